@@ -11,6 +11,9 @@ const connectDB = require('./config/db');
 const appRouter = require('./routes/index');
 const requestLogger = require('./middleware/requestLogger');
 const cleanupService = require('./services/cleanupService');
+const jobQueue = require('./services/jobQueue');
+const notificationService = require('./services/notificationService');
+const analysisService = require('./services/analysisService');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -66,6 +69,7 @@ app.get('/health/detailed', async (req, res) => {
             memory: process.memoryUsage(),
             version: process.env.npm_package_version || '1.0.0',
             database: 'connected',
+            llmCircuit: analysisService.provider.getCircuitState(),
             cleanupStats
         });
     } catch (error) {
@@ -98,4 +102,10 @@ app.listen(PORT, () => {
     // Start cleanup service
     cleanupService.start();
     console.log('🧹 Cleanup service started');
+
+    // Start async analysis job worker
+    jobQueue.start();
+
+    // Start reminder emails for micro-tests and check-ins
+    notificationService.start();
 });
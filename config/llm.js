@@ -0,0 +1,93 @@
+/**
+ * LLM provider and per-stage model configuration.
+ *
+ * LLM_PROVIDER selects the adapter: "openai" (default), "openai_compatible"
+ * (any OpenAI-compatible endpoint at LLM_BASE_URL, e.g. Ollama, LM Studio, vLLM)
+ * or "fixture" (deterministic responses from LLM_FIXTURES_PATH, no network).
+ *
+ * Every stage can override model, temperature and max tokens with
+ * LLM_<STAGE>_MODEL, LLM_<STAGE>_TEMPERATURE and LLM_<STAGE>_MAX_TOKENS,
+ * where <STAGE> is the upper snake case stage name (e.g. LLM_NARRATIVE_LOOP_MODEL).
+ *
+ * A stage model may be a comma separated fallback chain, tried in order
+ * (e.g. LLM_TAGS_MODEL=gpt-4o-mini,gpt-4o). The next model is used when a call
+ * fails or its output is still not valid JSON after the JSON-fix round-trip.
+ * LLM_MODEL may be a chain too; it applies to every stage without its own.
+ *
+ * LLM_STRUCTURED_OUTPUT controls how stage JSON schemas are enforced:
+ * "tools" (default, function calling), "json_schema" (response_format) or
+ * "prompt" (schema appended to the prompt, for endpoints without either).
+ */
+
+const stageDefaults = {
+    clarificationCheck: {maxTokens: 100, temperature: 0.1},
+    clarifyingQuestions: {maxTokens: 300, temperature: 0.3},
+    narrativeLoop: {maxTokens: 2000, temperature: 0.3},
+    spiessMap: {maxTokens: 2000, temperature: 0.3},
+    toolAction: {maxTokens: 800, temperature: 0.3},
+    summary: {maxTokens: 500, temperature: 0.3},
+    tags: {maxTokens: 500, temperature: 0},
+    comparison: {maxTokens: 500, temperature: 0.2},
+    jsonFix: {maxTokens: 2000, temperature: 0},
+    chat: {maxTokens: 200, temperature: 0.5}
+};
+
+const toEnvKey = (stage) => stage.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+
+const readNumber = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const readModels = (value) => (value || '').split(',').map(model => model.trim()).filter(Boolean);
+
+const provider = process.env.LLM_PROVIDER || 'openai';
+const configuredModels = readModels(process.env.LLM_MODEL);
+const defaultModels = configuredModels.length > 0 ? configuredModels : ['gpt-4'];
+const defaultModel = defaultModels[0];
+
+const llmConfig = {
+    provider,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    baseURL: process.env.LLM_BASE_URL || undefined,
+    fixturesPath: process.env.LLM_FIXTURES_PATH || undefined,
+    structuredOutput: process.env.LLM_STRUCTURED_OUTPUT || 'tools',
+    resilience: {
+        timeoutMs: readNumber(process.env.LLM_TIMEOUT_MS, 30000),
+        maxRetries: readNumber(process.env.LLM_MAX_RETRIES, 2),
+        retryBaseDelayMs: readNumber(process.env.LLM_RETRY_BASE_DELAY_MS, 500),
+        retryMaxDelayMs: readNumber(process.env.LLM_RETRY_MAX_DELAY_MS, 8000),
+        circuitFailureThreshold: readNumber(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD, 5),
+        circuitResetMs: readNumber(process.env.LLM_CIRCUIT_RESET_MS, 30000)
+    },
+    cache: {
+        enabled: process.env.LLM_CACHE_ENABLED !== 'false',
+        ttlHours: readNumber(process.env.LLM_CACHE_TTL_HOURS, 24)
+    },
+    defaultModel,
+    defaultModels,
+    stages: Object.keys(stageDefaults),
+
+    /**
+     * Resolve model settings for a pipeline stage
+     * @param {string} stage - Stage name (e.g. 'narrativeLoop')
+     * @returns {{model: string, models: Array<string>, temperature: number, maxTokens: number, timeoutMs: number|undefined}}
+     *   model is the first of the models fallback chain
+     */
+    getStageConfig(stage) {
+        const defaults = stageDefaults[stage] || {maxTokens: 1000, temperature: 0.3};
+        const envKey = toEnvKey(stage);
+        const stageModels = readModels(process.env[`LLM_${envKey}_MODEL`]);
+        const models = stageModels.length > 0 ? stageModels : defaultModels;
+
+        return {
+            model: models[0],
+            models,
+            temperature: readNumber(process.env[`LLM_${envKey}_TEMPERATURE`], defaults.temperature),
+            maxTokens: readNumber(process.env[`LLM_${envKey}_MAX_TOKENS`], defaults.maxTokens),
+            timeoutMs: readNumber(process.env[`LLM_${envKey}_TIMEOUT_MS`], undefined)
+        };
+    }
+};
+
+module.exports = llmConfig;
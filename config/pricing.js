@@ -0,0 +1,66 @@
+/**
+ * LLM price table for cost accounting, in USD per 1M tokens.
+ *
+ * LLM_PRICES overrides or adds entries as JSON, e.g.
+ *   LLM_PRICES={"gpt-4o":{"input":2.5,"output":10},"llama3":{"input":0,"output":0}}
+ * A model is matched exactly first, then by the longest configured prefix, so dated
+ * snapshots (gpt-4o-2024-08-06) use their base model's price. Models without a price
+ * are still recorded, with a null cost.
+ */
+
+const defaultPrices = {
+    'gpt-4': {input: 30, output: 60},
+    'gpt-4-turbo': {input: 10, output: 30},
+    'gpt-4o': {input: 2.5, output: 10},
+    'gpt-4o-mini': {input: 0.15, output: 0.6},
+    'gpt-3.5-turbo': {input: 0.5, output: 1.5},
+    'fixture': {input: 0, output: 0}
+};
+
+const readPrices = (value) => {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.warn('Ignoring LLM_PRICES: not valid JSON');
+        return {};
+    }
+};
+
+const prices = {...defaultPrices, ...readPrices(process.env.LLM_PRICES)};
+
+const pricing = {
+    prices,
+
+    /**
+     * Price entry for a model
+     * @param {string} model - Model name as reported by the provider
+     * @returns {{input: number, output: number}|null}
+     */
+    getPrice(model) {
+        if (!model) return null;
+        if (prices[model]) return prices[model];
+
+        const prefix = Object.keys(prices)
+            .filter(name => model.startsWith(name))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? prices[prefix] : null;
+    },
+
+    /**
+     * Cost of one call in USD
+     * @param {string} model - Model name
+     * @param {number} promptTokens - Input tokens
+     * @param {number} completionTokens - Output tokens
+     * @returns {number|null} - null when the model has no price
+     */
+    computeCost(model, promptTokens, completionTokens) {
+        const price = this.getPrice(model);
+        if (!price) return null;
+
+        const cost = (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+        return Math.round(cost * 1e6) / 1e6;
+    }
+};
+
+module.exports = pricing;
@@ -0,0 +1,121 @@
+/**
+ * Built-in prompt templates, one per stage. These stay active until an admin
+ * pins a newer version stored in MongoDB.
+ *
+ * Templates use {{variable}} placeholders; `variables` lists the ones each stage supplies.
+ */
+
+const builtInPrompts = {
+    clarificationCheck: {
+        version: 'v2',
+        variables: ['input'],
+        description: 'List the narrative fields that are still missing or unclear',
+        template: `Analyze this input and decide which parts of the story are missing or unclear:
+- trigger (what started this)
+- fear (what are they afraid of)
+- emotion (what they're feeling)
+- outcome (what they expect to happen)
+Return every missing or unclear field in missingFields, or an empty list if all four are clear.
+
+Input: {{input}}`
+    },
+    clarifyingQuestions: {
+        version: 'v2',
+        variables: ['input', 'missingFields'],
+        description: 'Generate up to 3 clarifying questions targeting the missing fields',
+        template: `Generate up to 3 clarifying questions to help understand this situation better.
+Ask only about these missing fields: {{missingFields}}.
+Tag each question with the field it targets.
+
+Input: {{input}}`
+    },
+    narrativeLoop: {
+        version: 'v2',
+        variables: ['input', 'previousSession'],
+        description: 'Extract the narrative loop from the user input',
+        template: `Extract a narrative loop from this input. Fill every field, keeping each one concise and grounded in what the person actually said.
+If this loop came up in a previous session, use it only to recognise the same trigger or fear; describe this time as the person tells it.
+
+Input: {{input}}
+Previous session: {{previousSession}}`
+    },
+    spiessMap: {
+        version: 'v3',
+        variables: ['narrativeLoop', 'needsEnum', 'previousSession'],
+        description: 'Convert the narrative loop into a SPIESS map',
+        template: `Convert this narrative loop into a SPIESS map.
+Choose needs only from: {{needsEnum}}.
+If this loop came up in a previous session, keep the same wording for sensations, beliefs and needs that recur so the two maps can be compared.
+
+Narrative Loop: {{narrativeLoop}}
+Previous session: {{previousSession}}`
+    },
+    toolAction: {
+        version: 'v2',
+        variables: ['narrativeLoop', 'spiessMap', 'protocols', 'previousSession'],
+        description: 'Choose a tool action protocol and fill its step slots',
+        template: `Choose the one protocol below that best fits this loop, then fill in every one of its slots for this person's situation.
+{{protocols}}
+
+Explain in the rationale why this protocol fits better than the other two, pointing at what the person described (where the reaction starts, what the choice is driven by, how rigid the belief is).
+Fill only the chosen protocol's slots, each in one or two plain sentences addressed to the person.
+If this loop came up in a previous session, build on it: do not suggest again what the person tried without effect, and take what their micro-test showed into account.
+
+Narrative Loop: {{narrativeLoop}}
+SPIESS Map: {{spiessMap}}
+Previous session: {{previousSession}}`
+    },
+    summary: {
+        version: 'v2',
+        variables: ['narrativeLoop', 'spiessMap', 'previousSession'],
+        description: 'Summarize the narrative loop and SPIESS map',
+        template: `Create a concise summary that names the key mechanisms and provides insight.
+If this loop came up in a previous session, mention briefly what is different this time.
+
+Narrative Loop: {{narrativeLoop}}
+SPIESS Map: {{spiessMap}}
+Previous session: {{previousSession}}`
+    },
+    tags: {
+        version: 'v1',
+        variables: ['narrativeLoop', 'spiessMap', 'tagsEnum'],
+        description: 'Classify the mechanisms present in the narrative loop',
+        template: `Decide which of these mechanisms are present in the narrative loop: {{tagsEnum}}.
+- fear_of_rejection: expecting to be excluded, abandoned or judged as not good enough
+- autonomy_threat: feeling controlled, or that their choices are being taken away
+- perfectionism: believing anything short of flawless will lead to failure or rejection
+- people_pleasing: putting other people's approval ahead of their own needs
+- boundary_signaling: struggling to state or hold a limit with someone
+- attention_testing: setting up tests to check whether others care
+- vulnerability_avoidance: hiding feelings or needs to avoid being exposed
+For each mechanism that may apply, give a confidence from 0 to 1 and a short quote from the narrative loop as evidence. Judge only what the person described; leave out mechanisms with no supporting quote.
+
+Narrative Loop: {{narrativeLoop}}
+SPIESS Map: {{spiessMap}}`
+    },
+    comparison: {
+        version: 'v1',
+        variables: ['previousSession', 'narrativeLoop', 'spiessMap'],
+        description: 'Compare a follow-up loop with the loop of the session it follows',
+        template: `The person analysed this loop before. Compare the new loop with the previous session.
+- trigger and fear: same, similar (the same theme in a different form) or new
+- intensity: lower, same or higher judging by the emotions, sensations and the check-in intensity of last time; unclear when there is nothing to go on
+List the changes that matter, such as a new trigger, the same fear, a breaking action that helped or a micro-test whose feared outcome did not happen.
+Compare only what was described in each session; do not assume progress.
+
+Previous session: {{previousSession}}
+Narrative Loop: {{narrativeLoop}}
+SPIESS Map: {{spiessMap}}`
+    },
+    chat: {
+        version: 'v1',
+        variables: [],
+        description: 'System prompt for conversational chat mode',
+        template: `You are Clarify, a calm and curious assistant helping someone make sense of a situation that is bothering them.
+Your goal is to understand four things: the trigger (what started it), the fear (what they are afraid of), the emotion (what they are feeling) and the outcome (what they expect to happen).
+Ask ONE short, warm follow-up question at a time about whichever of these is still unclear.
+Do not diagnose, give advice or summarize yet. Keep replies under 60 words.`
+    }
+};
+
+module.exports = builtInPrompts;
@@ -0,0 +1,116 @@
+/**
+ * Tool action protocol templates.
+ *
+ * Each protocol has a fixed, ordered list of step slots. The toolAction stage picks
+ * a protocol and fills its slots; every stored step is written as "<label>: <text>"
+ * in slot order, so a STOP action always reads Stop / Take a breath / Observe / Proceed.
+ *
+ * Slot rules:
+ *   pattern - the slot text must match it; patternHint says how, for error messages
+ *   differsFrom - slot keys whose text this slot must not repeat
+ *   fallback - text used when the model leaves the slot empty or breaks a rule
+ */
+
+const protocols = {
+    'STOP': {
+        description: 'Interrupt a reaction that starts in the body before acting on it',
+        selectWhen: 'the reaction starts in the body (racing heart, tight chest, heat) before any clear thought',
+        slots: [
+            {
+                key: 'stop',
+                label: 'Stop',
+                instruction: 'What to pause, in this situation',
+                fallback: 'Pause what you are doing before you reply or react'
+            },
+            {
+                key: 'breathe',
+                label: 'Take a breath',
+                instruction: 'One slow breath, tied to where the reaction is felt in the body',
+                pattern: /\b(breath\w*|inhale\w*|exhale\w*)\b/i,
+                patternHint: 'mention the breath',
+                fallback: 'Take one slow breath and let it reach the place where you feel the reaction'
+            },
+            {
+                key: 'observe',
+                label: 'Observe',
+                instruction: 'Separate the facts from the story the fear is telling',
+                fallback: 'Notice the facts of what happened, separately from the story the fear is telling'
+            },
+            {
+                key: 'proceed',
+                label: 'Proceed',
+                instruction: 'One deliberate next action',
+                fallback: 'Choose one small, deliberate next step and take it'
+            }
+        ],
+        exampleFallback: 'When the situation comes up again, pause, breathe, notice the story you are telling yourself, then take one deliberate step.'
+    },
+    'Values First': {
+        description: 'Act from what matters instead of from the fear',
+        selectWhen: 'a choice is being driven by fear (avoiding, pleasing, withdrawing) instead of by what the person values',
+        slots: [
+            {
+                key: 'value',
+                label: 'Name the value',
+                instruction: 'What matters to the person in this situation',
+                fallback: 'Name what matters to you in this situation'
+            },
+            {
+                key: 'fearChoice',
+                label: 'Notice the fear choice',
+                instruction: 'The choice the fear is pushing them toward',
+                fallback: 'Notice what the fear is pushing you to do instead'
+            },
+            {
+                key: 'valuedAction',
+                label: 'Choose the valued action',
+                instruction: 'One small action that fits the value',
+                differsFrom: ['fearChoice'],
+                fallback: 'Pick one small action that fits that value'
+            },
+            {
+                key: 'commit',
+                label: 'Commit',
+                instruction: 'When they will do it, without waiting for the feeling to pass',
+                fallback: 'Do it today, without waiting for the feeling to pass'
+            }
+        ],
+        exampleFallback: 'When you feel pulled to withdraw, remind yourself what you care about and send one message or make one plan that reflects it.'
+    },
+    'Bridge Belief': {
+        description: 'Step from a rigid belief to a more believable middle one',
+        selectWhen: 'a rigid, harsh belief drives the loop and its opposite would not feel believable yet',
+        slots: [
+            {
+                key: 'currentBelief',
+                label: 'Current belief',
+                instruction: 'The rigid belief, in the person\'s own words',
+                fallback: 'Write down the harsh belief exactly as it sounds in your head'
+            },
+            {
+                key: 'desiredBelief',
+                label: 'Desired belief',
+                instruction: 'The belief they would like to hold',
+                fallback: 'Write the belief you would like to hold instead'
+            },
+            {
+                key: 'bridge',
+                label: 'Bridge statement',
+                instruction: 'A first-person statement between the two that they can already partly believe',
+                pattern: /\b(I|I'm|I've|I'll|me|my)\b/,
+                patternHint: 'be written in the first person',
+                differsFrom: ['currentBelief', 'desiredBelief'],
+                fallback: 'I am still learning, and one moment does not decide what I am worth'
+            },
+            {
+                key: 'practice',
+                label: 'Practice',
+                instruction: 'When to repeat the bridge statement',
+                fallback: 'Repeat the bridge statement each time the harsh belief shows up today'
+            }
+        ],
+        exampleFallback: "When the thought 'I am not good enough' shows up, answer it with 'I am still learning, and one moment does not define me.'"
+    }
+};
+
+module.exports = protocols;
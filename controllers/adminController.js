@@ -0,0 +1,290 @@
+const promptRegistry = require('../services/promptRegistry');
+const AnalyticsService = require('../services/analyticsService');
+const llmCache = require('../services/llmCache');
+const usageService = require('../services/usageService');
+
+/**
+ * Map a service error result to an HTTP status
+ * @param {Object} error - Service error ({ code, message })
+ * @returns {number}
+ */
+const statusForError = (error) => (error.code === 'NOT_FOUND' ? 404 : 400);
+
+/**
+ * List prompt versions for every stage
+ * GET /admin/prompts
+ */
+const listPrompts = async (req, res) => {
+    try {
+        const stages = {};
+        for (const stage of promptRegistry.getStages()) {
+            stages[stage] = await promptRegistry.listVersions(stage);
+        }
+
+        return res.json({
+            success: true,
+            stages
+        });
+
+    } catch (error) {
+        console.error('List prompts error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to list prompts',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+/**
+ * List prompt versions for one stage
+ * GET /admin/prompts/:stage
+ */
+const listStagePrompts = async (req, res) => {
+    try {
+        const {stage} = req.params;
+
+        if (!promptRegistry.getStages().includes(stage)) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'NOT_FOUND',
+                    message: `Unknown prompt stage: ${stage}`,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        const versions = await promptRegistry.listVersions(stage);
+
+        return res.json({
+            success: true,
+            stage,
+            count: versions.length,
+            versions
+        });
+
+    } catch (error) {
+        console.error('List stage prompts error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to list prompt versions',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+/**
+ * Create a new prompt version for a stage
+ * POST /admin/prompts/:stage
+ * Body: { template: string, description?: string, activate?: boolean }
+ */
+const createPromptVersion = async (req, res) => {
+    try {
+        const {stage} = req.params;
+        const {template, description, activate = false} = req.body;
+
+        const result = await promptRegistry.createVersion(stage, {template, description, activate}, req.user._id);
+
+        if (!result.success) {
+            return res.status(statusForError(result.error)).json({
+                success: false,
+                error: {...result.error, timestamp: new Date().toISOString()}
+            });
+        }
+
+        return res.status(201).json(result);
+
+    } catch (error) {
+        console.error('Create prompt version error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to create prompt version',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+/**
+ * Pin the active prompt version for a stage
+ * PUT /admin/prompts/:stage/active
+ * Body: { versionId: string }
+ */
+const pinPromptVersion = async (req, res) => {
+    try {
+        const {stage} = req.params;
+        const {versionId} = req.body;
+
+        if (!versionId || typeof versionId !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'versionId is required',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        const result = await promptRegistry.pinVersion(stage, versionId);
+
+        if (!result.success) {
+            return res.status(statusForError(result.error)).json({
+                success: false,
+                error: {...result.error, timestamp: new Date().toISOString()}
+            });
+        }
+
+        return res.json(result);
+
+    } catch (error) {
+        console.error('Pin prompt version error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to pin prompt version',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+/**
+ * Get output repair rates per stage
+ * GET /admin/stats/repairs?days=30
+ */
+const getRepairStats = async (req, res) => {
+    try {
+        const days = parseInt(req.query.days, 10);
+        const since = Number.isFinite(days) && days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+
+        const stats = await AnalyticsService.getRepairStats(since);
+
+        return res.json({
+            success: true,
+            since,
+            stages: stats
+        });
+
+    } catch (error) {
+        console.error('Get repair stats error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to get repair stats',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+/**
+ * Get LLM response cache entry and hit counts per stage
+ * GET /admin/cache
+ */
+const getCacheStats = async (req, res) => {
+    try {
+        const stats = await llmCache.getStats();
+
+        return res.json({
+            success: true,
+            stages: stats
+        });
+
+    } catch (error) {
+        console.error('Get cache stats error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to get cache stats',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+/**
+ * Invalidate cached LLM responses
+ * DELETE /admin/cache?stage=summary&promptVersion=summary@v2
+ */
+const clearCache = async (req, res) => {
+    try {
+        const {stage, promptVersion} = req.query;
+
+        const deleted = await llmCache.invalidate({stage, promptVersion});
+
+        return res.json({
+            success: true,
+            deleted
+        });
+
+    } catch (error) {
+        console.error('Clear cache error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to clear cache',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+/**
+ * Get LLM token usage and cost per day and per model
+ * GET /admin/usage?days=30
+ */
+const getUsageStats = async (req, res) => {
+    try {
+        const days = parseInt(req.query.days, 10);
+        const window = Number.isFinite(days) && days > 0 ? days : 30;
+        const since = new Date(Date.now() - (window - 1) * 24 * 60 * 60 * 1000);
+
+        const [daily, models] = await Promise.all([
+            usageService.getDailyUsage(since),
+            usageService.getModelUsage(since)
+        ]);
+
+        return res.json({
+            success: true,
+            since,
+            days: daily,
+            models
+        });
+
+    } catch (error) {
+        console.error('Get usage stats error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to get usage stats',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+module.exports = {
+    listPrompts,
+    listStagePrompts,
+    createPromptVersion,
+    pinPromptVersion,
+    getRepairStats,
+    getCacheStats,
+    clearCache,
+    getUsageStats
+};
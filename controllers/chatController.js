@@ -1,19 +1,266 @@
 const analysisService = require('../services/analysisService');
+const sessionService = require('../services/sessionService');
+const revisionService = require('../services/revisionService');
+const jobQueue = require('../services/jobQueue');
+const usageService = require('../services/usageService');
+const microTestService = require('../services/microTestService');
 const Session = require('../models/session');
 const Feedback = require('../models/feedback');
 const AnalyticsService = require('../services/analyticsService');
 const SchemaValidationMiddleware = require('../middleware/schemaValidation');
 const mongoose = require('mongoose');
 const Message = require('../models/message');
+const SafetyUtils = require('../utils/safety');
+
+/**
+ * HTTP status for an unsuccessful analysis result: 503 when the model is unavailable
+ * @param {Object} result - Analysis result with success false
+ * @returns {number}
+ */
+const statusForFailure = (result) => (result.error && result.error.code === 'AI_SERVICE_UNAVAILABLE' ? 503 : 400);
+
+/**
+ * Check whether the client asked for a Server-Sent Events stream
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+const wantsEventStream = (req) => (req.get('Accept') || '').includes('text/event-stream');
+
+/**
+ * Check whether the client asked for an asynchronous job instead of waiting for the result
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+const wantsAsync = (req) => (req.body && req.body.async === true) || /respond-async/i.test(req.get('Prefer') || '');
+
+/**
+ * Whether the request may be served from the LLM response cache.
+ * Bypassed with `cache: false` in the body or a `Cache-Control: no-cache` header.
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+const allowsCache = (req) => !(
+    (req.body && req.body.cache === false) || /no-cache/i.test(req.get('Cache-Control') || '')
+);
+
+/**
+ * Whether the client asked for the rule-based offline analysis instead of the model
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+const wantsOffline = (req) => !!(req.body && req.body.offline === true);
+
+/**
+ * IP address anonymous callers' model usage is charged to; signed-in users are charged by user ID
+ * @param {Object} req - Express request object
+ * @param {string} userId - User the call is charged to (optional)
+ * @returns {string|null}
+ */
+const clientIpFor = (req, userId) => (userId ? null : req.ip);
+
+/**
+ * Check the daily token budget of whoever a model call is charged to: the user,
+ * or the caller's IP address when anonymous. Sends 429 when it is used up.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} userId - User the call is charged to (optional)
+ * @returns {Promise<boolean>} - True when a response was sent
+ */
+const rejectOverBudget = async (req, res, userId) => {
+    const budget = await usageService.checkBudget(userId, clientIpFor(req, userId));
+    if (budget.allowed) return false;
+
+    res.status(429).json({
+        success: false,
+        error: {
+            code: 'QUOTA_EXCEEDED',
+            message: `Daily token budget of ${budget.limit} tokens used up. It resets at ${budget.resetsAt.toISOString()}.`,
+            details: {
+                used: budget.used,
+                limit: budget.limit,
+                resetsAt: budget.resetsAt
+            },
+            timestamp: new Date().toISOString()
+        }
+    });
+    return true;
+};
+
+/**
+ * Load the session a follow-up analysis continues if the caller may continue it;
+ * otherwise send the error
+ * @param {Object} req - Express request object; only the signed-in user may continue an owned session
+ * @param {Object} res - Express response object
+ * @param {string} parentSessionId - Session ID from the request body
+ * @returns {Promise<Object|null>} - Parent session, or null when a response was sent
+ */
+const loadParentSession = async (req, res, parentSessionId) => {
+    const userId = req.user ? req.user._id : null;
+    const sendError = (status, code, message) => res.status(status).json({
+        success: false,
+        error: {
+            code,
+            message,
+            timestamp: new Date().toISOString()
+        }
+    });
+
+    if (typeof parentSessionId !== 'string' || !mongoose.Types.ObjectId.isValid(parentSessionId)) {
+        sendError(400, 'VALIDATION_ERROR', 'parentSessionId must be a valid session ID');
+        return null;
+    }
+
+    const parent = await Session.findOne({
+        sessionId: parentSessionId,
+        status: {$ne: 'deleted'}
+    });
+
+    if (!parent) {
+        sendError(404, 'INVALID_SESSION', 'Parent session not found');
+        return null;
+    }
+
+    if (parent.userId && (!userId || parent.userId.toString() !== userId.toString())) {
+        sendError(403, 'INVALID_SESSION', 'Access denied to the parent session');
+        return null;
+    }
+
+    // Sessions completed before analysisStatus existed count as finished
+    if (!parent.analysisStatus && parent.status !== 'completed') {
+        sendError(409, 'CONFLICT', 'Parent session has no finished analysis to follow up on');
+        return null;
+    }
+
+    return parent;
+};
+
+/**
+ * Stream analysis progress as Server-Sent Events.
+ * Emits loop_built, spiess_built, summary_built and tags as each stage completes
+ * (comparison_built too for follow-up sessions, stage_failed when one fails),
+ * then exactly one terminal event: complete, clarifying_questions, crisis or error.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} params - { input, userId, clientIp, storageOptIn, redactNames, cache, offline, parentSessionId }
+ */
+const streamAnalyze = async (req, res, {input, userId, clientIp, storageOptIn, redactNames, cache, offline, parentSessionId}) => {
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    const sendEvent = (event, data) => {
+        if (closed || res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        // compression() buffers responses unless explicitly flushed
+        if (typeof res.flush === 'function') res.flush();
+    };
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    try {
+        const result = await analysisService.analyze(input, {
+            userId,
+            clientIp,
+            storageOptIn,
+            redactNames,
+            cache,
+            offline,
+            parentSessionId,
+            onStage: sendEvent
+        }, req);
+
+        if (!result.success) {
+            if (result.response && result.response.code === 'CRISIS_DETECTED') {
+                sendEvent('crisis', result);
+            } else {
+                sendEvent('error', result);
+            }
+            return res.end();
+        }
+
+        await sessionService.persistAnalysis(result, input, {userId, storageOptIn, redactNames});
+
+        sendEvent(result.stage === 'clarifying_questions' ? 'clarifying_questions' : 'complete', result);
+        return res.end();
+
+    } catch (error) {
+        console.error('Streaming analyze error:', error);
+        sendEvent('error', {
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Analysis failed due to server error',
+                timestamp: new Date().toISOString()
+            }
+        });
+        return res.end();
+    }
+};
+
+/**
+ * Run the safety checks now and queue the model stages as a background job.
+ * Responds 202 with the job ID; progress and the result are read from GET /v1/jobs/:id.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} params - { input, userId, clientIp, storageOptIn, redactNames, cache, offline, parentSessionId }
+ */
+const queueAnalyze = async (req, res, {input, userId, clientIp, storageOptIn, redactNames, cache, offline, parentSessionId}) => {
+    const prepared = await analysisService.prepareAnalysis(input, {userId, storageOptIn, redactNames}, req);
+
+    if (!prepared.success) {
+        return res.status(statusForFailure(prepared)).json(prepared);
+    }
+
+    const job = await jobQueue.enqueue({
+        sessionId: prepared.sessionId,
+        userId,
+        processedInput: prepared.processedInput,
+        options: {storageOptIn, redactNames, cache, offline, parentSessionId, clientIp}
+    });
+
+    const statusUrl = `/api/v1/jobs/${job._id}`;
+    return res.status(202).location(statusUrl).json({
+        success: true,
+        async: true,
+        jobId: job._id,
+        sessionId: prepared.sessionId,
+        status: job.status,
+        statusUrl
+    });
+};
 
 /**
  * Analyze user input and generate narrative loop, SPIESS map, and summary
  * POST /v1/analyze
+ * Send `Accept: text/event-stream` to receive stage-by-stage progress events,
+ * or `async: true` (or `Prefer: respond-async`) to get a job ID back immediately.
+ * Send `parentSessionId` to analyse a recurring loop as a follow-up of an earlier session.
  */
 const analyze = async (req, res) => {
     try {
-        const {input, storageOptIn = false, redactNames = true, user} = req.body;
-        const userId = user ? user : null;
+        const {input, storageOptIn = false, redactNames = true, parentSessionId, user} = req.body;
+        // Usage, budget and ownership are only ever attributed to the signed-in user
+        const userId = req.user ? req.user._id : null;
+        const clientIp = clientIpFor(req, userId);
+
+        // `user` is accepted for older clients but must name the signed-in user
+        if (user !== undefined && user !== null && (!userId || String(user) !== userId.toString())) {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'FORBIDDEN',
+                    message: 'user does not match the signed-in user',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
 
         if (!input || typeof input !== 'string') {
             return res.status(400).json({
@@ -26,60 +273,39 @@ const analyze = async (req, res) => {
             });
         }
 
+        let parent = null;
+        if (parentSessionId !== undefined && parentSessionId !== null) {
+            parent = await loadParentSession(req, res, parentSessionId);
+            if (!parent) return;
+        }
+        const parentId = parent ? parent.sessionId : null;
+
+        // Offline analysis makes no model calls, so it is not limited by the token budget
+        if (!wantsOffline(req) && await rejectOverBudget(req, res, userId)) return;
+
+        if (wantsAsync(req)) {
+            return queueAnalyze(req, res, {input, userId, clientIp, storageOptIn, redactNames, cache: allowsCache(req), offline: wantsOffline(req), parentSessionId: parentId});
+        }
+
+        if (wantsEventStream(req)) {
+            return streamAnalyze(req, res, {input, userId, clientIp, storageOptIn, redactNames, cache: allowsCache(req), offline: wantsOffline(req), parentSessionId: parentId});
+        }
+
         const result = await analysisService.analyze(input, {
             userId,
+            clientIp,
             storageOptIn,
-            redactNames
+            redactNames,
+            cache: allowsCache(req),
+            offline: wantsOffline(req),
+            parentSessionId: parentId
         }, req);
 
         if (!result.success) {
-            return res.status(400).json(result);
+            return res.status(statusForFailure(result)).json(result);
         }
 
-        // Save session if storage is opted in
-        if (storageOptIn) {
-            try {
-                const session = new Session({
-                    sessionId: result.sessionId,
-                    userId,
-                    input: result.input || input,
-                    clarifyingQuestions: result.questions || [],
-                    narrativeLoop: result.narrativeLoop,
-                    spiessMap: result.spiessMap,
-                    summary: result.summary,
-                    tags: result.tags || [],
-                    storageOptIn,
-                    redactNames
-                });
-
-                await session.save();
-            } catch (error) {
-                console.error('Error saving session:', error);
-                // Continue without failing the request
-            }
-        }
-
-        // Store messages: user's input and assistant's questions
-        try {
-            await Message.create({
-                sessionId: result.sessionId,
-                sender: 'human',
-                message: input
-            });
-
-            const questions = Array.isArray(result.questions) ? result.questions : [];
-            if (questions.length > 0) {
-                const assistantContent = questions.map((q, i) => `Q${i + 1}: ${q}`).join('\n');
-                await Message.create({
-                    sessionId: result.sessionId,
-                    sender: 'openai',
-                    message: assistantContent
-                });
-            }
-        } catch (error) {
-            console.error('Error storing analyze messages:', error);
-            // Continue without failing the request
-        }
+        await sessionService.persistAnalysis(result, input, {userId, storageOptIn, redactNames});
 
         return res.json(result);
 
@@ -116,24 +342,64 @@ const processAnswers = async (req, res) => {
             });
         }
 
+        // The pending session holds the original story, so only its owner may answer
+        const pending = await Session.findOne({
+            sessionId,
+            status: {$ne: 'deleted'}
+        });
+
+        // Answers are only analysed together with the story they answer
+        const pendingError = analysisService.getPendingSessionError(pending);
+        if (pendingError) {
+            return res.status(pendingError.status).json({
+                success: false,
+                error: {
+                    code: pendingError.code,
+                    message: pendingError.message,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        if (pending.userId && pending.userId.toString() !== userId?.toString()) {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'INVALID_SESSION',
+                    message: 'Access denied to this session',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        const chargedUserId = pending.userId || userId;
+        if (!wantsOffline(req) && await rejectOverBudget(req, res, chargedUserId)) return;
+
         const result = await analysisService.processAnswers(sessionId, answers, {
-            userId
+            userId: chargedUserId,
+            clientIp: clientIpFor(req, chargedUserId),
+            cache: allowsCache(req),
+            offline: wantsOffline(req)
         }, req);
 
         if (!result.success) {
-            return res.status(400).json(result);
+            return res.status(statusForFailure(result)).json(result);
         }
 
-        // Update session if it exists
+        const needsMoreAnswers = result.stage === 'clarifying_questions';
+
+        // Update session if it exists. A new round of questions keeps it pending.
         try {
-            const session = await Session.findOne({ sessionId });
-            if (session) {
-                session.narrativeLoop = result.narrativeLoop;
-                session.spiessMap = result.spiessMap;
-                session.summary = result.summary;
-                session.tags = result.tags || [];
+            const session = needsMoreAnswers ? null : await Session.findOne({ sessionId });
+            if (session && !session.storageOptIn) {
+                // Ephemeral pending record: the original input is no longer needed
+                await Session.deleteOne({ sessionId });
+            } else if (session) {
+                sessionService.applyResult(session, result);
                 session.status = 'completed';
                 await session.save();
+                await revisionService.record(session, 'answers', { userId });
+                await microTestService.plan(session);
             }
         } catch (error) {
             console.error('Error updating session:', error);
@@ -156,7 +422,7 @@ const processAnswers = async (req, res) => {
             await Message.create({
                 sessionId,
                 sender: 'openai',
-                message: JSON.stringify(assistantPayload)
+                message: needsMoreAnswers ? sessionService.formatQuestions(result.questions) : JSON.stringify(assistantPayload)
             });
         } catch (error) {
             console.error('Error storing answers messages:', error);
@@ -179,7 +445,7 @@ const processAnswers = async (req, res) => {
 };
 
 /**
- * Get all sessions for the current user
+ * Get all sessions for the current user, or only one thread's with `?threadId=`
  * GET /v1/sessions
  */
 const getAllSession = async (req, res) => {
@@ -197,10 +463,28 @@ const getAllSession = async (req, res) => {
             });
         }
 
-        const sessions = await Session.find({
+        const filter = {
             userId: userId,
             status: {$ne: 'deleted'}
-        }).sort({createdAt: -1});
+        };
+
+        // A thread is its first session and every follow-up of it
+        const {threadId} = req.query;
+        if (threadId !== undefined) {
+            if (!mongoose.Types.ObjectId.isValid(threadId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: 'VALIDATION_ERROR',
+                        message: 'threadId must be a valid session ID',
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+            filter.$or = [{sessionId: threadId}, {threadId}];
+        }
+
+        const sessions = await Session.find(filter).sort({createdAt: -1});
 
         return res.json({
             success: true,
@@ -212,10 +496,24 @@ const getAllSession = async (req, res) => {
                 updatedAt: session.updatedAt,
                 input: session.storageOptIn ? session.input : null,
                 clarifyingQuestions: session.clarifyingQuestions,
+                clarifyingRounds: session.clarifyingRounds,
+                resolvedFields: session.resolvedFields,
+                missingFields: session.missingFields,
+                analysisStatus: session.analysisStatus,
+                analysisMode: session.analysisMode,
+                failedStages: session.failedStages,
+                staleStages: session.staleStages,
+                provenance: session.provenance,
                 narrativeLoop: session.narrativeLoop,
                 spiessMap: session.spiessMap,
                 summary: session.summary,
-                tags: session.tags
+                tags: session.tags,
+                tagEvidence: session.tagEvidence,
+                parentSessionId: session.parentSessionId,
+                threadId: session.threadId,
+                comparison: session.parentSessionId ? session.comparison : null,
+                promptVersions: session.promptVersions,
+                models: session.models
             }))
         });
 
@@ -268,6 +566,18 @@ const getSession = async (req, res) => {
             });
         }
 
+        // A signed-in user's session, with its provenance and thread links, is only shown to them
+        if (session.userId && session.userId.toString() !== userId?.toString()) {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'INVALID_SESSION',
+                    message: 'Access denied to this session',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
         const analytics = await AnalyticsService.getSessionSummary(id);
 
         return res.json({
@@ -279,10 +589,24 @@ const getSession = async (req, res) => {
                 updatedAt: session.updatedAt,
                 input: session.storageOptIn ? session.input : null,
                 clarifyingQuestions: session.clarifyingQuestions,
+                clarifyingRounds: session.clarifyingRounds,
+                resolvedFields: session.resolvedFields,
+                missingFields: session.missingFields,
+                analysisStatus: session.analysisStatus,
+                analysisMode: session.analysisMode,
+                failedStages: session.failedStages,
+                staleStages: session.staleStages,
+                provenance: session.provenance,
                 narrativeLoop: session.narrativeLoop,
                 spiessMap: session.spiessMap,
                 summary: session.summary,
                 tags: session.tags,
+                tagEvidence: session.tagEvidence,
+                parentSessionId: session.parentSessionId,
+                threadId: session.threadId,
+                comparison: session.parentSessionId ? session.comparison : null,
+                promptVersions: session.promptVersions,
+                models: session.models,
                 analytics
             }
         });
@@ -300,6 +624,237 @@ const getSession = async (req, res) => {
     }
 };
 
+/**
+ * Regenerate one stage of a stored session from its saved upstream outputs
+ * POST /v1/session/:id/regenerate
+ */
+const regenerateStage = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { stage, guidance, rebuildDownstream = false } = req.body;
+        const userId = req.user ? req.user._id : null;
+
+        if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Valid MongoDB Session ID is required',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        if (!stage || typeof stage !== 'string' ||
+            (guidance !== undefined && typeof guidance !== 'string') ||
+            typeof rebuildDownstream !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'stage is required; guidance must be a string and rebuildDownstream a boolean',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        const session = await Session.findOne({
+            sessionId: id,
+            status: { $ne: 'deleted' }
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'INVALID_SESSION',
+                    message: 'Session not found',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        if (session.userId && session.userId.toString() !== userId?.toString()) {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'INVALID_SESSION',
+                    message: 'Access denied to this session',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        if (session.status === 'pending') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Answer the clarifying questions before regenerating a stage',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        if (await rejectOverBudget(req, res, userId)) return;
+
+        const result = await analysisService.regenerateStage(session, stage, {
+            guidance,
+            rebuildDownstream,
+            userId,
+            clientIp: clientIpFor(req, userId),
+            cache: allowsCache(req)
+        }, req);
+
+        if (!result.success) {
+            return res.status(statusForFailure(result)).json(result);
+        }
+
+        sessionService.applyResult(session, result);
+        await session.save();
+        await revisionService.record(session, 'regenerate', {
+            userId,
+            details: { stage, regeneratedStages: result.regeneratedStages }
+        });
+
+        return res.json(result);
+
+    } catch (error) {
+        console.error('Regenerate stage error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Stage regeneration failed due to server error',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+/**
+ * Apply user edits to one stage of a stored session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} stage - narrativeLoop | spiessMap
+ */
+const editStageOutput = async (req, res, stage) => {
+    const { id } = req.params;
+    const { fields, rebuildSummary = false } = req.body;
+    const userId = req.user ? req.user._id : null;
+
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'Valid MongoDB Session ID is required',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    if (typeof rebuildSummary !== 'boolean') {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: 'VALIDATION_ERROR',
+                message: 'rebuildSummary must be a boolean',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    const session = await Session.findOne({
+        sessionId: id,
+        status: { $ne: 'deleted' }
+    });
+
+    if (!session) {
+        return res.status(404).json({
+            success: false,
+            error: {
+                code: 'INVALID_SESSION',
+                message: 'Session not found',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    if (session.userId && session.userId.toString() !== userId?.toString()) {
+        return res.status(403).json({
+            success: false,
+            error: {
+                code: 'INVALID_SESSION',
+                message: 'Access denied to this session',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+
+    // Only rebuilding the summary calls the model
+    if (rebuildSummary && await rejectOverBudget(req, res, userId)) return;
+
+    const result = await sessionService.editStage(session, stage, fields, {
+        rebuildSummary,
+        userId,
+        clientIp: clientIpFor(req, userId),
+        cache: allowsCache(req)
+    }, req);
+
+    if (!result.success) {
+        return res.status(400).json(result);
+    }
+
+    await session.save();
+    await revisionService.record(session, 'edit', {
+        userId,
+        details: { stage, fields: result.editedFields, summaryRebuilt: result.summaryRebuilt }
+    });
+
+    return res.json(result);
+};
+
+/**
+ * Edit the narrative loop of a stored session
+ * PATCH /v1/session/:id/narrative-loop
+ */
+const updateNarrativeLoop = async (req, res) => {
+    try {
+        return await editStageOutput(req, res, 'narrativeLoop');
+    } catch (error) {
+        console.error('Update narrative loop error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to update narrative loop',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+/**
+ * Edit the SPIESS map of a stored session
+ * PATCH /v1/session/:id/spiess-map
+ */
+const updateSpiessMap = async (req, res) => {
+    try {
+        return await editStageOutput(req, res, 'spiessMap');
+    } catch (error) {
+        console.error('Update SPIESS map error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to update SPIESS map',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
 /**
  * Delete session by ID
  * DELETE /v1/session/{id}
@@ -448,11 +1003,222 @@ const submitFeedback = async (req, res) => {
     }
 };
 
+/**
+ * Start a conversational chat session
+ * POST /v1/chat/start
+ */
+const startChat = async (req, res) => {
+    try {
+        const {storageOptIn = false, redactNames = true} = req.body;
+        const userId = req.user ? req.user._id : null;
+        const sessionId = new mongoose.Types.ObjectId();
+
+        const session = new Session({
+            sessionId,
+            userId,
+            mode: 'chat',
+            storageOptIn,
+            redactNames,
+            // Without storageOptIn an abandoned chat is removed by the TTL index
+            expiresAt: storageOptIn ? null : analysisService.getPendingExpiry()
+        });
+        await session.save();
+
+        await AnalyticsService.trackSessionStarted(sessionId, userId, req);
+
+        const reply = analysisService.getChatGreeting();
+        await Message.create({
+            sessionId,
+            sender: 'openai',
+            message: reply
+        });
+
+        return res.status(201).json({
+            success: true,
+            sessionId: sessionId.toString(),
+            stage: 'chatting',
+            reply
+        });
+
+    } catch (error) {
+        console.error('Start chat error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to start chat session',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+/**
+ * Send a message in a chat session and get the next reply.
+ * Once enough detail is gathered the reply is the full analysis.
+ * POST /v1/chat/send
+ */
+const sendMessage = async (req, res) => {
+    try {
+        const {sessionId, message} = req.body;
+        const userId = req.user ? req.user._id : null;
+
+        if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId) || !message || typeof message !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: 'Valid MongoDB Session ID and message string are required',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        const session = await Session.findOne({
+            sessionId,
+            mode: 'chat',
+            status: {$ne: 'deleted'}
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: 'INVALID_SESSION',
+                    message: 'Chat session not found',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        if (session.userId && session.userId.toString() !== userId?.toString()) {
+            return res.status(403).json({
+                success: false,
+                error: {
+                    code: 'INVALID_SESSION',
+                    message: 'Access denied to this session',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        if (session.status === 'completed') {
+            return res.status(409).json({
+                success: false,
+                error: {
+                    code: 'INVALID_SESSION',
+                    message: 'Chat session is already completed',
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        if (await rejectOverBudget(req, res, session.userId)) return;
+
+        const validation = SafetyUtils.validateInput(message, session.storageOptIn, session.redactNames);
+
+        if (!validation.isValid) {
+            if (validation.isCrisis) {
+                await AnalyticsService.trackSafeExit(sessionId, 'crisis_detected', session.userId, req);
+                return res.status(400).json({
+                    success: false,
+                    sessionId,
+                    response: validation.response
+                });
+            }
+
+            await AnalyticsService.trackSafeExit(sessionId, 'invalid_input', session.userId, req);
+            return res.status(400).json({
+                success: false,
+                sessionId,
+                error: {
+                    code: 'VALIDATION_ERROR',
+                    message: validation.error,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+        await Message.create({
+            sessionId,
+            sender: 'human',
+            message: validation.processedInput
+        });
+        await AnalyticsService.trackInputReceived(sessionId, validation.processedInput.length, session.userId, req);
+
+        const history = await Message.find({sessionId}).sort({createdAt: 1}).lean();
+
+        const result = await analysisService.continueChat(sessionId, history, {
+            userId: session.userId,
+            clientIp: clientIpFor(req, session.userId),
+            cache: allowsCache(req)
+        }, req);
+
+        if (!result.success) {
+            return res.status(statusForFailure(result)).json(result);
+        }
+
+        if (result.stage === 'completed') {
+            if (session.storageOptIn) {
+                sessionService.applyResult(session, result);
+                session.status = 'completed';
+                session.input = analysisService.buildChatTranscript(history);
+                await session.save();
+                await revisionService.record(session, 'chat', { userId });
+                await microTestService.plan(session);
+            } else {
+                // Ephemeral chat record: the analysis is returned but not kept, as with /answers
+                await Session.deleteOne({sessionId});
+            }
+
+            await Message.create({
+                sessionId,
+                sender: 'openai',
+                message: JSON.stringify({
+                    narrativeLoop: result.narrativeLoop,
+                    spiessMap: result.spiessMap,
+                    summary: result.summary
+                })
+            });
+        } else {
+            if (session.expiresAt) {
+                session.expiresAt = analysisService.getPendingExpiry();
+            }
+            sessionService.applyVersions(session, result);
+            await session.save();
+
+            await Message.create({
+                sessionId,
+                sender: 'openai',
+                message: result.reply
+            });
+        }
+
+        return res.json(result);
+
+    } catch (error) {
+        console.error('Send message error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to process chat message',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
 module.exports = {
     analyze,
     processAnswers,
     getAllSession,
     getSession,
+    regenerateStage,
+    updateNarrativeLoop,
+    updateSpiessMap,
     deleteSession,
-    submitFeedback
+    submitFeedback,
+    startChat,
+    sendMessage
 };
\ No newline at end of file
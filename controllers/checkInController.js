@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Session = require('../models/session');
+const checkInService = require('../services/checkInService');
+const SchemaValidationMiddleware = require('../middleware/schemaValidation');
+
+/**
+ * Send an error response in the API's error shape
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+const sendError = (res, status, code, message) => res.status(status).json({
+    success: false,
+    error: {
+        code,
+        message,
+        timestamp: new Date().toISOString()
+    }
+});
+
+/**
+ * Load the session named in the path if the caller may access it; otherwise send the error
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Session document, or null when a response was sent
+ */
+const loadSession = async (req, res) => {
+    const {id} = req.params;
+    const userId = req.user ? req.user._id : null;
+
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+        sendError(res, 400, 'VALIDATION_ERROR', 'Valid MongoDB Session ID is required');
+        return null;
+    }
+
+    const session = await Session.findOne({
+        sessionId: id,
+        status: {$ne: 'deleted'}
+    });
+
+    if (!session) {
+        sendError(res, 404, 'INVALID_SESSION', 'Session not found');
+        return null;
+    }
+
+    if (session.userId && session.userId.toString() !== userId?.toString()) {
+        sendError(res, 403, 'INVALID_SESSION', 'Access denied to this session');
+        return null;
+    }
+
+    return session;
+};
+
+/**
+ * Answer the follow-up check-in of a completed session
+ * POST /v1/session/:id/check-in
+ */
+const submitCheckIn = async (req, res) => {
+    try {
+        const validation = SchemaValidationMiddleware.validateCheckIn({
+            loopRecurred: req.body.loopRecurred,
+            intensity: req.body.intensity,
+            triedActions: req.body.triedActions,
+            notes: req.body.notes
+        });
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: SchemaValidationMiddleware.createErrorResponse(validation.error)
+            });
+        }
+
+        const session = await loadSession(req, res);
+        if (!session) return;
+
+        const result = await checkInService.record(session, validation.data, req);
+        if (result.response) {
+            return res.status(400).json({
+                success: false,
+                sessionId: session.sessionId,
+                response: result.response
+            });
+        }
+        if (!result.success) {
+            return sendError(res, result.error.code === 'CONFLICT' ? 409 : 400, result.error.code, result.error.message);
+        }
+
+        return res.json(result);
+
+    } catch (error) {
+        console.error('Submit check-in error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to submit check-in');
+    }
+};
+
+/**
+ * Get the check-in of a session
+ * GET /v1/session/:id/check-in
+ */
+const getCheckIn = async (req, res) => {
+    try {
+        const session = await loadSession(req, res);
+        if (!session) return;
+
+        const checkIn = await checkInService.get(session.sessionId);
+        if (!checkIn) {
+            return sendError(res, 404, 'NOT_FOUND', 'This session has no check-in yet');
+        }
+
+        return res.json({
+            success: true,
+            checkIn
+        });
+
+    } catch (error) {
+        console.error('Get check-in error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to retrieve check-in');
+    }
+};
+
+/**
+ * The current user's completed sessions that are due for a check-in
+ * GET /v1/check-ins/due
+ */
+const getDueCheckIns = async (req, res) => {
+    try {
+        const sessions = await checkInService.listDue(req.user._id);
+
+        return res.json({
+            success: true,
+            count: sessions.length,
+            sessions
+        });
+
+    } catch (error) {
+        console.error('Get due check-ins error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to retrieve due check-ins');
+    }
+};
+
+module.exports = {
+    submitCheckIn,
+    getCheckIn,
+    getDueCheckIns
+};
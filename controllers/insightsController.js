@@ -0,0 +1,59 @@
+const insightsService = require('../services/insightsService');
+const SchemaValidationMiddleware = require('../middleware/schemaValidation');
+
+/**
+ * Send an error response in the API's error shape
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+const sendError = (res, status, code, message) => res.status(status).json({
+    success: false,
+    error: {
+        code,
+        message,
+        timestamp: new Date().toISOString()
+    }
+});
+
+/**
+ * Patterns across the current user's sessions: recurring mechanisms, unmet needs,
+ * emotions, trigger themes and protocols used, with trend lines
+ * GET /v1/insights?days=90&interval=week&limit=10
+ */
+const getInsights = async (req, res) => {
+    try {
+        const validation = SchemaValidationMiddleware.validateInsightsQuery({
+            days: req.query.days,
+            interval: req.query.interval,
+            limit: req.query.limit
+        });
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: SchemaValidationMiddleware.createErrorResponse(validation.error)
+            });
+        }
+
+        const {days, interval, limit} = validation.data;
+        const since = insightsService.windowStart(days);
+        const insights = await insightsService.getInsights(req.user._id, {since, interval, limit});
+
+        return res.json({
+            success: true,
+            since,
+            days,
+            ...insights
+        });
+
+    } catch (error) {
+        console.error('Get insights error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to compute insights');
+    }
+};
+
+module.exports = {
+    getInsights
+};
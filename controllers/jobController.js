@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const jobQueue = require('../services/jobQueue');
+
+/**
+ * Reject malformed job IDs before they reach MongoDB
+ * @param {Object} res - Express response object
+ * @param {string} id - Job ID from the path
+ * @returns {boolean} - True when a response was sent
+ */
+const rejectInvalidJobId = (res, id) => {
+    if (mongoose.Types.ObjectId.isValid(id)) return false;
+
+    res.status(400).json({
+        success: false,
+        error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Valid job ID is required',
+            timestamp: new Date().toISOString()
+        }
+    });
+    return true;
+};
+
+/**
+ * Load a job if the caller may see it; otherwise send the error.
+ * Jobs queued by a signed-in user are only visible to that user.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} id - Job ID from the path
+ * @returns {Promise<Object|null>} - Job document, or null when a response was sent
+ */
+const loadJob = async (req, res, id) => {
+    const userId = req.user ? req.user._id : null;
+    const job = await jobQueue.getJob(id);
+
+    if (!job) {
+        res.status(404).json({
+            success: false,
+            error: {
+                code: 'NOT_FOUND',
+                message: 'Job not found',
+                timestamp: new Date().toISOString()
+            }
+        });
+        return null;
+    }
+
+    if (job.userId && job.userId.toString() !== userId?.toString()) {
+        res.status(403).json({
+            success: false,
+            error: {
+                code: 'FORBIDDEN',
+                message: 'Access denied to this job',
+                timestamp: new Date().toISOString()
+            }
+        });
+        return null;
+    }
+
+    return job;
+};
+
+/**
+ * Get an analysis job's stage progress and, once finished, its result
+ * GET /v1/jobs/:id
+ */
+const getJob = async (req, res) => {
+    try {
+        const {id} = req.params;
+        if (rejectInvalidJobId(res, id)) return;
+
+        const job = await loadJob(req, res, id);
+        if (!job) return;
+
+        return res.json({
+            success: true,
+            job: jobQueue.describe(job)
+        });
+
+    } catch (error) {
+        console.error('Get job error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to retrieve job',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+/**
+ * Cancel a queued or running analysis job
+ * DELETE /v1/jobs/:id
+ */
+const cancelJob = async (req, res) => {
+    try {
+        const {id} = req.params;
+        if (rejectInvalidJobId(res, id)) return;
+
+        if (!await loadJob(req, res, id)) return;
+
+        const result = await jobQueue.cancel(id);
+
+        if (!result.success) {
+            return res.status(result.error.code === 'NOT_FOUND' ? 404 : 409).json({
+                success: false,
+                error: {...result.error, timestamp: new Date().toISOString()}
+            });
+        }
+
+        return res.json(result);
+
+    } catch (error) {
+        console.error('Cancel job error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to cancel job',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+module.exports = {
+    getJob,
+    cancelJob
+};
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Session = require('../models/session');
+const microTestService = require('../services/microTestService');
+const SchemaValidationMiddleware = require('../middleware/schemaValidation');
+
+/**
+ * Send an error response in the API's error shape
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+const sendError = (res, status, code, message) => res.status(status).json({
+    success: false,
+    error: {
+        code,
+        message,
+        timestamp: new Date().toISOString()
+    }
+});
+
+/**
+ * Load the session named in the path and its current micro-test if the caller may
+ * access them; otherwise send the error
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - { session, microTest }, or null when a response was sent
+ */
+const loadMicroTest = async (req, res) => {
+    const {id} = req.params;
+    const userId = req.user ? req.user._id : null;
+
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+        sendError(res, 400, 'VALIDATION_ERROR', 'Valid MongoDB Session ID is required');
+        return null;
+    }
+
+    const session = await Session.findOne({
+        sessionId: id,
+        status: {$ne: 'deleted'}
+    });
+
+    if (!session) {
+        sendError(res, 404, 'INVALID_SESSION', 'Session not found');
+        return null;
+    }
+
+    if (session.userId && session.userId.toString() !== userId?.toString()) {
+        sendError(res, 403, 'INVALID_SESSION', 'Access denied to this session');
+        return null;
+    }
+
+    const microTest = await microTestService.sync(session);
+    if (!microTest) {
+        sendError(res, 404, 'NOT_FOUND', 'This session has no micro-test');
+        return null;
+    }
+
+    return { session, microTest };
+};
+
+/**
+ * Get a session's current micro-test
+ * GET /v1/session/:id/micro-test
+ */
+const getMicroTest = async (req, res) => {
+    try {
+        const loaded = await loadMicroTest(req, res);
+        if (!loaded) return;
+
+        return res.json({
+            success: true,
+            microTest: microTestService.describe(loaded.microTest)
+        });
+
+    } catch (error) {
+        console.error('Get micro-test error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to retrieve micro-test');
+    }
+};
+
+/**
+ * Start, skip or reschedule a session's micro-test
+ * PATCH /v1/session/:id/micro-test
+ */
+const updateMicroTest = async (req, res) => {
+    try {
+        const validation = SchemaValidationMiddleware.validateMicroTestUpdate({
+            status: req.body.status,
+            dueAt: req.body.dueAt
+        });
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: SchemaValidationMiddleware.createErrorResponse(validation.error)
+            });
+        }
+
+        const loaded = await loadMicroTest(req, res);
+        if (!loaded) return;
+
+        const result = await microTestService.update(loaded.microTest, validation.data);
+        if (!result.success) {
+            return sendError(res, 409, result.error.code, result.error.message);
+        }
+
+        return res.json(result);
+
+    } catch (error) {
+        console.error('Update micro-test error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to update micro-test');
+    }
+};
+
+/**
+ * Record how a session's micro-test went
+ * POST /v1/session/:id/micro-test/outcome
+ */
+const recordMicroTestOutcome = async (req, res) => {
+    try {
+        const validation = SchemaValidationMiddleware.validateMicroTestOutcome({
+            criteriaMet: req.body.criteriaMet,
+            fearCameTrue: req.body.fearCameTrue,
+            notes: req.body.notes
+        });
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: SchemaValidationMiddleware.createErrorResponse(validation.error)
+            });
+        }
+
+        const loaded = await loadMicroTest(req, res);
+        if (!loaded) return;
+
+        const result = await microTestService.recordOutcome(loaded.microTest, loaded.session, validation.data, req);
+        if (result.response) {
+            return res.status(400).json({
+                success: false,
+                sessionId: loaded.session.sessionId,
+                response: result.response
+            });
+        }
+        if (!result.success) {
+            return sendError(res, result.error.code === 'CONFLICT' ? 409 : 400, result.error.code, result.error.message);
+        }
+
+        return res.json(result);
+
+    } catch (error) {
+        console.error('Record micro-test outcome error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to record micro-test outcome');
+    }
+};
+
+module.exports = {
+    getMicroTest,
+    updateMicroTest,
+    recordMicroTestOutcome
+};
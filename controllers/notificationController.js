@@ -0,0 +1,108 @@
+const notificationService = require('../services/notificationService');
+const SchemaValidationMiddleware = require('../middleware/schemaValidation');
+
+/**
+ * The current user's reminder email preferences
+ * GET /v1/notifications/preferences
+ */
+const getPreferences = async (req, res) => {
+    try {
+        return res.json({
+            success: true,
+            preferences: notificationService.getPreferences(req.user)
+        });
+
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to retrieve notification preferences',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+/**
+ * Opt in to or out of reminder emails
+ * PUT /v1/notifications/preferences
+ */
+const updatePreferences = async (req, res) => {
+    try {
+        const validation = SchemaValidationMiddleware.validateNotificationPreferences({
+            microTestReminders: req.body.microTestReminders,
+            checkInReminders: req.body.checkInReminders
+        });
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: SchemaValidationMiddleware.createErrorResponse(validation.error)
+            });
+        }
+
+        const preferences = await notificationService.updatePreferences(req.user, validation.data);
+
+        return res.json({
+            success: true,
+            preferences
+        });
+
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        return res.status(500).json({
+            success: false,
+            error: {
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Failed to update notification preferences',
+                timestamp: new Date().toISOString()
+            }
+        });
+    }
+};
+
+/**
+ * Unsubscribe link from a reminder email. Only shows a confirm button, since mail scanners
+ * open links before the user does.
+ * GET /v1/notifications/unsubscribe?token=&type=
+ */
+const confirmUnsubscribe = async (req, res) => {
+    try {
+        const {token, type} = req.query;
+        const valid = await notificationService.isUnsubscribeToken(token);
+        const html = await notificationService.renderUnsubscribeConfirm(valid, req.originalUrl, type);
+
+        return res.status(valid ? 200 : 404).type('html').send(html);
+
+    } catch (error) {
+        console.error('Unsubscribe confirm error:', error);
+        return res.status(500).type('text').send('Failed to load this page. Please try again later.');
+    }
+};
+
+/**
+ * Unsubscribe: the confirm button, and the mail clients' one-click unsubscribe
+ * POST /v1/notifications/unsubscribe?token=&type=
+ */
+const unsubscribe = async (req, res) => {
+    try {
+        const {token, type} = req.query;
+        const success = await notificationService.unsubscribe(token, type);
+        const html = await notificationService.renderUnsubscribed(success, type);
+
+        return res.status(success ? 200 : 404).type('html').send(html);
+
+    } catch (error) {
+        console.error('Unsubscribe error:', error);
+        return res.status(500).type('text').send('Failed to unsubscribe. Please try again later.');
+    }
+};
+
+module.exports = {
+    getPreferences,
+    updatePreferences,
+    confirmUnsubscribe,
+    unsubscribe
+};
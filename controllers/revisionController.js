@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const Session = require('../models/session');
+const revisionService = require('../services/revisionService');
+
+/**
+ * Send an error response in the API's error shape
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+const sendError = (res, status, code, message) => res.status(status).json({
+    success: false,
+    error: {
+        code,
+        message,
+        timestamp: new Date().toISOString()
+    }
+});
+
+/**
+ * Parse a revision number from the path or query string
+ * @param {string} value - Raw value
+ * @returns {number|null} - Positive integer, or null when invalid
+ */
+const parseRevision = (value) => {
+    const revision = Number(value);
+    return Number.isInteger(revision) && revision > 0 ? revision : null;
+};
+
+/**
+ * Load the session named in the path if the caller may access it; otherwise send the error
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Session document, or null when a response was sent
+ */
+const loadSession = async (req, res) => {
+    const {id} = req.params;
+    const userId = req.user ? req.user._id : null;
+
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+        sendError(res, 400, 'VALIDATION_ERROR', 'Valid MongoDB Session ID is required');
+        return null;
+    }
+
+    const session = await Session.findOne({
+        sessionId: id,
+        status: {$ne: 'deleted'}
+    });
+
+    if (!session) {
+        sendError(res, 404, 'INVALID_SESSION', 'Session not found');
+        return null;
+    }
+
+    if (session.userId && session.userId.toString() !== userId?.toString()) {
+        sendError(res, 403, 'INVALID_SESSION', 'Access denied to this session');
+        return null;
+    }
+
+    return session;
+};
+
+/**
+ * List a session's analysis revisions, newest first
+ * GET /v1/session/:id/revisions
+ */
+const listRevisions = async (req, res) => {
+    try {
+        const session = await loadSession(req, res);
+        if (!session) return;
+
+        const revisions = await revisionService.list(session.sessionId);
+
+        return res.json({
+            success: true,
+            sessionId: session.sessionId,
+            count: revisions.length,
+            revisions
+        });
+
+    } catch (error) {
+        console.error('List revisions error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to retrieve revisions');
+    }
+};
+
+/**
+ * Get one revision with its analysis outputs
+ * GET /v1/session/:id/revisions/:revision
+ */
+const getRevision = async (req, res) => {
+    try {
+        const revisionNumber = parseRevision(req.params.revision);
+        if (!revisionNumber) {
+            return sendError(res, 400, 'VALIDATION_ERROR', 'Revision must be a positive integer');
+        }
+
+        const session = await loadSession(req, res);
+        if (!session) return;
+
+        const revision = await revisionService.get(session.sessionId, revisionNumber);
+        if (!revision) {
+            return sendError(res, 404, 'NOT_FOUND', 'Revision not found');
+        }
+
+        return res.json({
+            success: true,
+            sessionId: session.sessionId,
+            revision
+        });
+
+    } catch (error) {
+        console.error('Get revision error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to retrieve revision');
+    }
+};
+
+/**
+ * Field-level diff between two revisions
+ * GET /v1/session/:id/revisions/diff?from=1&to=2
+ */
+const diffRevisions = async (req, res) => {
+    try {
+        const from = parseRevision(req.query.from);
+        const to = parseRevision(req.query.to);
+        if (!from || !to) {
+            return sendError(res, 400, 'VALIDATION_ERROR', 'from and to must be positive revision numbers');
+        }
+
+        const session = await loadSession(req, res);
+        if (!session) return;
+
+        const result = await revisionService.diff(session.sessionId, from, to);
+        if (!result.success) {
+            return sendError(res, 404, result.error.code, result.error.message);
+        }
+
+        return res.json({
+            sessionId: session.sessionId,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Diff revisions error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to diff revisions');
+    }
+};
+
+/**
+ * Make an older revision the session's current analysis
+ * POST /v1/session/:id/revisions/:revision/restore
+ */
+const restoreRevision = async (req, res) => {
+    try {
+        const revisionNumber = parseRevision(req.params.revision);
+        if (!revisionNumber) {
+            return sendError(res, 400, 'VALIDATION_ERROR', 'Revision must be a positive integer');
+        }
+
+        const session = await loadSession(req, res);
+        if (!session) return;
+
+        const userId = req.user ? req.user._id : null;
+        const result = await revisionService.restore(session, revisionNumber, userId);
+        if (!result.success) {
+            return sendError(res, 404, result.error.code, result.error.message);
+        }
+
+        return res.json({
+            success: true,
+            sessionId: session.sessionId,
+            restoredFrom: revisionNumber,
+            revision: result.revision,
+            narrativeLoop: session.narrativeLoop,
+            spiessMap: session.spiessMap,
+            summary: session.summary,
+            tags: session.tags,
+            tagEvidence: session.tagEvidence,
+            analysisStatus: session.analysisStatus,
+            failedStages: session.failedStages,
+            staleStages: session.staleStages
+        });
+
+    } catch (error) {
+        console.error('Restore revision error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to restore revision');
+    }
+};
+
+module.exports = {
+    listRevisions,
+    getRevision,
+    diffRevisions,
+    restoreRevision
+};
@@ -0,0 +1,81 @@
+const searchService = require('../services/searchService');
+const SchemaValidationMiddleware = require('../middleware/schemaValidation');
+
+/**
+ * Send an error response in the API's error shape
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+const sendError = (res, status, code, message) => res.status(status).json({
+    success: false,
+    error: {
+        code,
+        message,
+        timestamp: new Date().toISOString()
+    }
+});
+
+/**
+ * List query parameter as an array: `tags=a,b` and `tags=a&tags=b` both give ['a', 'b']
+ * @param {any} value - Raw value
+ * @returns {Array<string>|undefined}
+ */
+const toList = (value) => {
+    if (value === undefined) return undefined;
+    return (Array.isArray(value) ? value : [value])
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+};
+
+/**
+ * Search the current user's sessions by text, ranked by TF-IDF, with filters
+ * GET /v1/session/search?q=ignored&tags=fear_of_rejection&protocol=STOP
+ */
+const searchSessions = async (req, res) => {
+    try {
+        const validation = SchemaValidationMiddleware.validateSessionSearch({
+            q: req.query.q,
+            tags: toList(req.query.tags),
+            needs: toList(req.query.needs),
+            protocol: req.query.protocol,
+            status: req.query.status,
+            from: req.query.from,
+            to: req.query.to,
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+
+        if (!validation.isValid) {
+            return res.status(400).json({
+                success: false,
+                error: SchemaValidationMiddleware.createErrorResponse(validation.error)
+            });
+        }
+
+        const query = validation.data;
+        if (query.q && !searchService.hasTerms(query.q)) {
+            return sendError(res, 400, 'VALIDATION_ERROR', 'q has no words to search for, only common words like "the" or "and"');
+        }
+
+        const {total, results} = await searchService.search(req.user._id, query);
+
+        return res.json({
+            success: true,
+            total,
+            limit: query.limit,
+            offset: query.offset,
+            results
+        });
+
+    } catch (error) {
+        console.error('Search sessions error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to search sessions');
+    }
+};
+
+module.exports = {
+    searchSessions
+};
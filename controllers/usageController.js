@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Session = require('../models/session');
+const usageService = require('../services/usageService');
+
+const DEFAULT_USAGE_DAYS = 30;
+
+/**
+ * Send an error response in the API's error shape
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ */
+const sendError = (res, status, code, message) => res.status(status).json({
+    success: false,
+    error: {
+        code,
+        message,
+        timestamp: new Date().toISOString()
+    }
+});
+
+/**
+ * Start of the reporting window from ?days= (default 30)
+ * @param {Object} req - Express request object
+ * @returns {Date}
+ */
+const parseSince = (req) => {
+    const days = parseInt(req.query.days, 10);
+    const window = Number.isFinite(days) && days > 0 ? days : DEFAULT_USAGE_DAYS;
+    return new Date(Date.now() - (window - 1) * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Token usage and cost of one session, per stage
+ * GET /v1/session/:id/usage
+ */
+const getSessionUsage = async (req, res) => {
+    try {
+        const {id} = req.params;
+        const userId = req.user ? req.user._id : null;
+
+        if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+            return sendError(res, 400, 'VALIDATION_ERROR', 'Valid MongoDB Session ID is required');
+        }
+
+        const session = await Session.findOne({
+            sessionId: id,
+            status: {$ne: 'deleted'}
+        });
+
+        if (!session) {
+            return sendError(res, 404, 'INVALID_SESSION', 'Session not found');
+        }
+
+        if (session.userId && session.userId.toString() !== userId?.toString()) {
+            return sendError(res, 403, 'INVALID_SESSION', 'Access denied to this session');
+        }
+
+        const usage = await usageService.getSessionUsage(session.sessionId);
+
+        return res.json({
+            success: true,
+            sessionId: session.sessionId,
+            usage
+        });
+
+    } catch (error) {
+        console.error('Get session usage error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to retrieve session usage');
+    }
+};
+
+/**
+ * The current user's token usage and cost, per day, with today's budget
+ * GET /v1/usage?days=30
+ */
+const getMyUsage = async (req, res) => {
+    try {
+        const since = parseSince(req);
+        const [usage, budget] = await Promise.all([
+            usageService.getUserUsage(req.user._id, since),
+            usageService.checkBudget(req.user._id)
+        ]);
+
+        return res.json({
+            success: true,
+            since,
+            usage,
+            budget: {
+                limit: budget.limit,
+                used: budget.used,
+                resetsAt: budget.resetsAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Get user usage error:', error);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Failed to retrieve usage');
+    }
+};
+
+module.exports = {
+    getSessionUsage,
+    getMyUsage
+};
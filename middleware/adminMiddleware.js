@@ -0,0 +1,11 @@
+/**
+ * Restrict a route to admin users. Must run after authMiddleware.
+ */
+const adminMiddleware = (req, res, next) => {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ok: false, message: 'Admin access required'});
+    }
+    next();
+};
+
+module.exports = adminMiddleware;
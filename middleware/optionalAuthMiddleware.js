@@ -0,0 +1,35 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+
+/**
+ * Attach req.user when a valid Bearer token is present, but never reject the request.
+ * Used by routes that also serve anonymous sessions.
+ */
+const optionalAuthMiddleware = async (req, res, next) => {
+    try {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return next();
+        }
+
+        const token = authHeader.split(' ')[1].trim();
+
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (err) {
+            return next();
+        }
+
+        const user = await User.findOne({_id: decoded.id, deleted_at: null}).select('-passwordHash');
+        if (user) {
+            req.user = user;
+        }
+        next();
+    } catch (err) {
+        console.error('Optional auth middleware error:', err);
+        next();
+    }
+};
+
+module.exports = optionalAuthMiddleware;
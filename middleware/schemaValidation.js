@@ -7,8 +7,15 @@ const {
   sessionSchema,
   sessionRepairSchema,
   errorSchema,
-  feedbackSchema
+  feedbackSchema,
+  microTestUpdateSchema,
+  microTestOutcomeSchema,
+  checkInSchema,
+  notificationPreferencesSchema,
+  insightsQuerySchema,
+  sessionSearchSchema
 } = require('../schemas');
+const protocolService = require('../services/protocolService');
 
 class SchemaValidationMiddleware {
   /**
@@ -160,6 +167,89 @@ class SchemaValidationMiddleware {
     };
   }
 
+  /**
+   * Validate a micro-test status change or reschedule
+   * @param {Object} data - Data to validate
+   * @returns {Object} - Validation result
+   */
+  static validateMicroTestUpdate(data) {
+    return this.validateWith(microTestUpdateSchema, data);
+  }
+
+  /**
+   * Validate a micro-test outcome
+   * @param {Object} data - Data to validate
+   * @returns {Object} - Validation result
+   */
+  static validateMicroTestOutcome(data) {
+    return this.validateWith(microTestOutcomeSchema, data);
+  }
+
+  /**
+   * Validate check-in answers
+   * @param {Object} data - Data to validate
+   * @returns {Object} - Validation result
+   */
+  static validateCheckIn(data) {
+    return this.validateWith(checkInSchema, data);
+  }
+
+  /**
+   * Validate reminder email preferences
+   * @param {Object} data - Data to validate
+   * @returns {Object} - Validation result
+   */
+  static validateNotificationPreferences(data) {
+    return this.validateWith(notificationPreferencesSchema, data);
+  }
+
+  /**
+   * Validate an insights query
+   * @param {Object} data - Data to validate
+   * @returns {Object} - Validation result
+   */
+  static validateInsightsQuery(data) {
+    return this.validateWith(insightsQuerySchema, data);
+  }
+
+  /**
+   * Validate a session search query
+   * @param {Object} data - Data to validate
+   * @returns {Object} - Validation result
+   */
+  static validateSessionSearch(data) {
+    return this.validateWith(sessionSearchSchema, data);
+  }
+
+  /**
+   * Validate data against a schema, stripping unknown keys
+   * @param {Object} schema - Joi schema
+   * @param {Object} data - Data to validate
+   * @returns {Object} - Validation result
+   */
+  static validateWith(schema, data) {
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        error: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message,
+          value: detail.context?.value
+        }))
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+
   /**
    * Repair data structure for narrative loop
    * @param {Object} data - Data to repair
@@ -222,11 +312,7 @@ class SchemaValidationMiddleware {
         timeframe: 'Within 24 hours',
         successCriteria: 'Hypothesis: Success criteria not clearly identified'
       },
-      toolAction: data.toolAction || {
-        protocol: 'STOP',
-        steps: ['Hypothesis: Tool action steps not clearly identified'],
-        example: 'Hypothesis: Tool action example not clearly identified'
-      }
+      toolAction: data.toolAction || protocolService.buildDefault('STOP')
     };
 
     return {
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+const stageCheckpointSchema = new mongoose.Schema(
+    {
+        output: {type: mongoose.Schema.Types.Mixed},
+        promptVersion: {type: String, default: null},
+        model: {type: String, default: null},
+        provenance: {type: mongoose.Schema.Types.Mixed, default: []},
+        completedAt: {type: Date, default: Date.now}
+    },
+    {_id: false}
+);
+
+const analysisJobSchema = new mongoose.Schema(
+    {
+        sessionId: {type: mongoose.Schema.Types.ObjectId, ref: "Session", required: true},
+        userId: {type: mongoose.Schema.Types.ObjectId, ref: "User", required: false},
+        status: {type: String, enum: ['queued', 'running', 'completed', 'failed', 'cancelled'], default: 'queued'},
+        input: {type: String, maxlength: 10000}, // sanitized, redacted input; cleared when the job finishes
+        options: {
+            storageOptIn: {type: Boolean, default: false},
+            redactNames: {type: Boolean, default: true},
+            cache: {type: Boolean, default: true},
+            offline: {type: Boolean, default: false},
+            parentSessionId: {type: mongoose.Schema.Types.ObjectId, ref: "Session", default: null}, // follow-up of this session
+            clientIp: {type: String, default: null} // anonymous caller's IP, charged for the job's token usage
+        },
+        currentStage: {type: String, default: null},
+        stages: {type: Map, of: stageCheckpointSchema, default: {}}, // completed stage -> checkpoint
+        result: {type: mongoose.Schema.Types.Mixed, default: null},
+        error: {
+            code: {type: String},
+            message: {type: String, maxlength: 500}
+        },
+        attempts: {type: Number, default: 0},
+        lockedBy: {type: String, default: null},
+        lockedAt: {type: Date, default: null},
+        startedAt: {type: Date, default: null},
+        finishedAt: {type: Date, default: null},
+        cancelledAt: {type: Date, default: null},
+        expiresAt: {type: Date, default: null} // set once the job finishes
+    },
+    {timestamps: true}
+);
+
+// Index for performance
+analysisJobSchema.index({ status: 1, createdAt: 1 });
+analysisJobSchema.index({ sessionId: 1 });
+// Finished jobs are removed by MongoDB once expiresAt passes
+analysisJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AnalysisJob", analysisJobSchema);
@@ -10,7 +10,12 @@ const analyticsSchema = new mongoose.Schema(
             'questions_asked',
             'loop_built',
             'spiess_built',
+            'tool_action_built',
             'summary_built',
+            'tags_classified',
+            'comparison_built',
+            'stage_failed',
+            'offline_analysis',
             'safe_exit',
             'user_deleted_data',
             'micro_test_completed',
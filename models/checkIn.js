@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Follow-up answers given when the user returns to a completed session
+const checkInSchema = new mongoose.Schema(
+    {
+        sessionId: {type: mongoose.Schema.Types.ObjectId, ref: "Session", required: true, unique: true},
+        userId: {type: mongoose.Schema.Types.ObjectId, ref: "User", default: null},
+        loopRecurred: {type: Boolean, required: true}, // did the loop show up again
+        intensity: {type: Number, min: 0, max: 10, default: null}, // how strong it was, when it recurred
+        breakingActions: [{
+            action: {type: String, maxlength: 500}, // from the session's narrativeLoop.breakingActions
+            tried: {type: Boolean, default: false},
+            _id: false
+        }],
+        notes: {type: String, maxlength: 2000},
+        hoursSinceSession: {type: Number, min: 0}
+    },
+    {timestamps: true}
+);
+
+// Index for performance
+checkInSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("CheckIn", checkInSchema);
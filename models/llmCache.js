@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+const llmCacheSchema = new mongoose.Schema(
+    {
+        key: {type: String, required: true, unique: true}, // sha256 of stage, prompt version, model and input hash
+        stage: {type: String, required: true},
+        promptVersion: {type: String, default: null},
+        model: {type: String, required: true},
+        inputHash: {type: String, required: true}, // sha256 of the rendered (redacted) messages
+        content: {type: String, required: true},
+        hits: {type: Number, default: 0},
+        expiresAt: {type: Date, required: true}
+    },
+    {timestamps: true}
+);
+
+// Index for performance
+llmCacheSchema.index({ stage: 1 });
+// Entries are removed by MongoDB once expiresAt passes
+llmCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LlmCache", llmCacheSchema);
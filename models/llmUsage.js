@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+const llmUsageSchema = new mongoose.Schema(
+    {
+        sessionId: {type: mongoose.Schema.Types.ObjectId, ref: "Session", default: null},
+        userId: {type: mongoose.Schema.Types.ObjectId, ref: "User", default: null},
+        clientIp: {type: String, default: null}, // caller's IP for anonymous calls, which are budgeted per IP
+        stage: {type: String, required: true},
+        provider: {type: String, required: true},
+        model: {type: String, required: true},
+        promptTokens: {type: Number, default: 0},
+        completionTokens: {type: Number, default: 0},
+        totalTokens: {type: Number, default: 0},
+        latencyMs: {type: Number, default: 0},
+        cost: {type: Number, default: null}, // USD, null when the model has no configured price
+        day: {type: String, required: true} // UTC date of the call, YYYY-MM-DD
+    },
+    {timestamps: true}
+);
+
+// Index for performance
+llmUsageSchema.index({ sessionId: 1 });
+llmUsageSchema.index({ userId: 1, day: 1 });
+llmUsageSchema.index({ clientIp: 1, day: 1 });
+llmUsageSchema.index({ day: 1 });
+
+module.exports = mongoose.model("LlmUsage", llmUsageSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// A session's micro-test as something the user runs: planned from the SPIESS map, then started, done or skipped
+const microTestSchema = new mongoose.Schema(
+    {
+        sessionId: {type: mongoose.Schema.Types.ObjectId, ref: "Session", required: true},
+        userId: {type: mongoose.Schema.Types.ObjectId, ref: "User", default: null},
+        description: {type: String, required: true, maxlength: 500},
+        timeframe: {type: String, maxlength: 100},
+        successCriteria: {type: String, maxlength: 300},
+        status: {type: String, enum: ['planned', 'in_progress', 'done', 'skipped'], default: 'planned'},
+        dueAt: {type: Date, required: true}, // derived from the timeframe unless rescheduled
+        startedAt: {type: Date, default: null},
+        completedAt: {type: Date, default: null}, // when it was done or skipped
+        outcome: {
+            criteriaMet: {type: String, enum: ['met', 'partly', 'not_met']}, // against successCriteria
+            fearCameTrue: {type: Boolean},
+            notes: {type: String, maxlength: 2000},
+            recordedAt: {type: Date}
+        }
+    },
+    {timestamps: true}
+);
+
+// Index for performance
+microTestSchema.index({ sessionId: 1, createdAt: -1 });
+microTestSchema.index({ userId: 1, status: 1 });
+microTestSchema.index({ status: 1, dueAt: 1 });
+
+module.exports = mongoose.model("MicroTest", microTestSchema);
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// One reminder email per micro-test or session, so a reminder is never sent twice
+const notificationSchema = new mongoose.Schema(
+    {
+        userId: {type: mongoose.Schema.Types.ObjectId, ref: "User", required: true},
+        kind: {type: String, enum: ['micro_test_due', 'check_in_due'], required: true},
+        refId: {type: mongoose.Schema.Types.ObjectId, required: true}, // MicroTest _id or Session sessionId
+        status: {type: String, enum: ['sending', 'sent', 'failed'], default: 'sending'},
+        attempts: {type: Number, default: 0},
+        error: {type: String, default: null},
+        sentAt: {type: Date, default: null}
+    },
+    {timestamps: true}
+);
+
+// Index for performance
+notificationSchema.index({ kind: 1, refId: 1 }, { unique: true });
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
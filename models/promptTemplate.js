@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+const promptTemplateSchema = new mongoose.Schema(
+    {
+        stage: {type: String, required: true},
+        version: {type: String, required: true},
+        versionId: {type: String, required: true, unique: true}, // `${stage}@${version}`
+        template: {type: String, required: true, maxlength: 20000},
+        description: {type: String, maxlength: 500},
+        isActive: {type: Boolean, default: false},
+        createdBy: {type: mongoose.Schema.Types.ObjectId, ref: "User", required: false}
+    },
+    {timestamps: true}
+);
+
+// Index for performance
+promptTemplateSchema.index({ stage: 1, isActive: 1 });
+
+module.exports = mongoose.model("PromptTemplate", promptTemplateSchema);
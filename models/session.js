@@ -1,12 +1,37 @@
 const mongoose = require("mongoose");
 
+const clarifyFields = ['trigger', 'fear', 'emotion', 'outcome'];
+
+// Where an output field came from, so clients can tell guessed fields from real content
+const fieldProvenanceSchema = new mongoose.Schema(
+    {
+        path: {type: String, required: true}, // dotted, e.g. spiessMap.microTest.timeframe
+        source: {type: String, enum: ['model', 'repaired', 'default', 'user_edited', 'heuristic'], required: true},
+        confidence: {type: Number, min: 0, max: 1, default: null} // model's own score, when given
+    },
+    {_id: false}
+);
+
 const sessionSchema = new mongoose.Schema(
     {
         sessionId: {type: mongoose.Schema.Types.ObjectId, required: true, unique: true, ref: "Session"},
         userId: {type: mongoose.Schema.Types.ObjectId, ref: "User", required: false},
-        status: {type: String, enum: ['active', 'completed', 'deleted'], default: 'active'},
+        status: {type: String, enum: ['pending', 'active', 'completed', 'deleted'], default: 'active'},
+        mode: {type: String, enum: ['analyze', 'chat'], default: 'analyze'},
         input: {type: String, maxlength: 10000},
-        clarifyingQuestions: [{type: String, maxlength: 500}],
+        clarifyingQuestions: [{type: String, maxlength: 500}], // latest round only
+        clarifyingRounds: [{
+            round: {type: Number, required: true},
+            questions: [{
+                field: {type: String, enum: clarifyFields},
+                question: {type: String, maxlength: 500}
+            }],
+            answers: [{type: String, maxlength: 10000}],
+            askedAt: {type: Date},
+            answeredAt: {type: Date}
+        }],
+        resolvedFields: [{type: String, enum: clarifyFields}],
+        missingFields: [{type: String, enum: clarifyFields}],
         narrativeLoop: {
             trigger: {type: String, maxlength: 1000},
             fear: {type: String, maxlength: 1000},
@@ -33,7 +58,8 @@ const sessionSchema = new mongoose.Schema(
             },
             toolAction: {
                 protocol: {type: String, enum: ['STOP', 'Values First', 'Bridge Belief']},
-                steps: [{type: String, maxlength: 300}],
+                rationale: {type: String, maxlength: 500}, // why the protocol was chosen
+                steps: [{type: String, maxlength: 300}], // "<label>: <text>", in template slot order
                 example: {type: String, maxlength: 500}
             }
         },
@@ -47,9 +73,32 @@ const sessionSchema = new mongoose.Schema(
             'people_pleasing', 'boundary_signaling', 'attention_testing',
             'vulnerability_avoidance'
         ]}],
+        tagEvidence: [{
+            tag: {type: String},
+            confidence: {type: Number, min: 0, max: 1, default: null}, // null when the keyword fallback was used
+            evidence: {type: String, maxlength: 300, default: null},
+            _id: false
+        }],
+        parentSessionId: {type: mongoose.Schema.Types.ObjectId, ref: "Session", default: null}, // session this one follows up
+        threadId: {type: mongoose.Schema.Types.ObjectId, ref: "Session", default: null}, // first session of the thread; null outside threads
+        comparison: { // what changed since the parent session's loop
+            trigger: {type: String, enum: ['same', 'similar', 'new']},
+            fear: {type: String, enum: ['same', 'similar', 'new']},
+            intensity: {type: String, enum: ['lower', 'same', 'higher', 'unclear']},
+            changes: [{type: String, maxlength: 200}],
+            summary: {type: String, maxlength: 300}
+        },
+        analysisStatus: {type: String, enum: ['complete', 'partial'], default: undefined}, // partial when some stages failed
+        analysisMode: {type: String, enum: ['online', 'offline'], default: undefined}, // offline when built by the rule-based fallback
+        failedStages: [{type: String}],
+        staleStages: [{type: String}], // built from an upstream stage that was regenerated or edited since
+        provenance: [fieldProvenanceSchema],
+        promptVersions: {type: Map, of: String, default: {}}, // stage -> prompt version id, e.g. narrativeLoop@v1
+        models: {type: Map, of: String, default: {}}, // stage -> model that produced it, e.g. gpt-4o-mini after fallbacks
         storageOptIn: {type: Boolean, default: false},
         redactNames: {type: Boolean, default: true},
-        deletedAt: {type: Date, default: null}
+        deletedAt: {type: Date, default: null},
+        expiresAt: {type: Date, default: null} // set on ephemeral pending sessions only
     },
     {timestamps: true}
 );
@@ -59,5 +108,8 @@ sessionSchema.index({ sessionId: 1 });
 sessionSchema.index({ userId: 1 });
 sessionSchema.index({ status: 1 });
 sessionSchema.index({ createdAt: 1 });
+sessionSchema.index({ threadId: 1, createdAt: 1 });
+// Ephemeral pending sessions are removed by MongoDB once expiresAt passes
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+const revisionTriggers = ['analyze', 'answers', 'chat', 'regenerate', 'edit', 'restore'];
+
+// Snapshot of a session's analysis after a change. Fields are immutable once written.
+const sessionRevisionSchema = new mongoose.Schema(
+    {
+        sessionId: {type: mongoose.Schema.Types.ObjectId, ref: "Session", required: true, immutable: true},
+        revision: {type: Number, required: true, immutable: true}, // 1-based, per session
+        trigger: {type: String, enum: revisionTriggers, required: true, immutable: true},
+        details: {type: mongoose.Schema.Types.Mixed, default: {}, immutable: true}, // e.g. { stages } or { restoredFrom }
+        userId: {type: mongoose.Schema.Types.ObjectId, ref: "User", required: false, immutable: true},
+        narrativeLoop: {type: mongoose.Schema.Types.Mixed, default: null, immutable: true},
+        spiessMap: {type: mongoose.Schema.Types.Mixed, default: null, immutable: true},
+        summary: {type: mongoose.Schema.Types.Mixed, default: null, immutable: true},
+        tags: {type: [String], default: [], immutable: true},
+        tagEvidence: {type: mongoose.Schema.Types.Mixed, default: [], immutable: true},
+        analysisStatus: {type: String, enum: ['complete', 'partial'], default: undefined, immutable: true},
+        failedStages: {type: [String], default: [], immutable: true},
+        staleStages: {type: [String], default: [], immutable: true},
+        provenance: {type: mongoose.Schema.Types.Mixed, default: [], immutable: true},
+        promptVersions: {type: Map, of: String, default: {}, immutable: true},
+        models: {type: Map, of: String, default: {}, immutable: true}
+    },
+    {timestamps: true}
+);
+
+// Index for performance
+sessionRevisionSchema.index({ sessionId: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model("SessionRevision", sessionRevisionSchema);
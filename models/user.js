@@ -7,9 +7,17 @@ const userSchema = new mongoose.Schema(
         firstName: {type: String, default: null, trim: true},
         lastName: {type: String, default: null, trim: true},
         contact: {type: String, default: null},
+        role: {type: String, enum: ['user', 'admin'], default: 'user'},
         deleted_at: {type: Date, default: null},
+        notifications: {
+            microTestReminders: {type: Boolean, default: false}, // opt-in
+            checkInReminders: {type: Boolean, default: false}, // opt-in
+            unsubscribeToken: {type: String, default: null} // set on first opt-in, used by email unsubscribe links
+        },
     },
     {timestamps: true}
 );
 
+userSchema.index({ 'notifications.unsubscribeToken': 1 }, { sparse: true });
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,43 @@
+const express = require('express');
+const {
+    listPrompts,
+    listStagePrompts,
+    createPromptVersion,
+    pinPromptVersion,
+    getRepairStats,
+    getCacheStats,
+    clearCache,
+    getUsageStats
+} = require('../../controllers/adminController');
+const authMiddleware = require('../../middleware/authMiddleware');
+const adminMiddleware = require('../../middleware/adminMiddleware');
+
+const router = express.Router();
+
+router.use(authMiddleware, adminMiddleware);
+
+// GET /admin/prompts - List prompt versions for every stage
+router.get('/prompts', listPrompts);
+
+// GET /admin/prompts/:stage - List prompt versions for one stage
+router.get('/prompts/:stage', listStagePrompts);
+
+// POST /admin/prompts/:stage - Create a new prompt version
+router.post('/prompts/:stage', createPromptVersion);
+
+// PUT /admin/prompts/:stage/active - Pin the active prompt version
+router.put('/prompts/:stage/active', pinPromptVersion);
+
+// GET /admin/stats/repairs - Output repair rates per stage
+router.get('/stats/repairs', getRepairStats);
+
+// GET /admin/cache - LLM response cache entries and hits per stage
+router.get('/cache', getCacheStats);
+
+// DELETE /admin/cache - Invalidate cached LLM responses (optionally by stage or prompt version)
+router.delete('/cache', clearCache);
+
+// GET /admin/usage - LLM token usage and cost per day and per model
+router.get('/usage', getUsageStats);
+
+module.exports = router;
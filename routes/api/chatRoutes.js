@@ -1,8 +1,12 @@
 const express = require("express");
 const router = express.Router();
 const {startChat, sendMessage} = require("../../controllers/chatController");
+const optionalAuthMiddleware = require("../../middleware/optionalAuthMiddleware");
 
-router.post("/start", startChat);
-router.post("/send", sendMessage);
+// POST /v1/chat/start - Open a conversational session
+router.post("/start", optionalAuthMiddleware, startChat);
+
+// POST /v1/chat/send - Send a message in a conversational session
+router.post("/send", optionalAuthMiddleware, sendMessage);
 
 module.exports = router;
@@ -4,28 +4,105 @@ const {
     processAnswers,
     getAllSession,
     getSession, 
+    regenerateStage,
+    updateNarrativeLoop,
+    updateSpiessMap,
     deleteSession, 
     submitFeedback 
 } = require('../../controllers/chatController');
+const { getJob, cancelJob } = require('../../controllers/jobController');
+const {
+    listRevisions,
+    getRevision,
+    diffRevisions,
+    restoreRevision
+} = require('../../controllers/revisionController');
+const { getSessionUsage, getMyUsage } = require('../../controllers/usageController');
+const {
+    getMicroTest,
+    updateMicroTest,
+    recordMicroTestOutcome
+} = require('../../controllers/microTestController');
+const { submitCheckIn, getCheckIn, getDueCheckIns } = require('../../controllers/checkInController');
+const { getInsights } = require('../../controllers/insightsController');
+const { searchSessions } = require('../../controllers/searchController');
 const authMiddleware = require('../../middleware/authMiddleware');
+const optionalAuthMiddleware = require('../../middleware/optionalAuthMiddleware');
 
 const router = express.Router();
 
 // POST /v1/analyze - Analyze user input
-router.post('/analyze', analyze);
+router.post('/analyze', optionalAuthMiddleware, analyze);
 
 // POST /v1/answers - Process answers to clarifying questions
-router.post('/answers', processAnswers);
+router.post('/answers', optionalAuthMiddleware, processAnswers);
 
 // GET /v1/sessions - Get all sessions for current user
 router.get('/session', authMiddleware, getAllSession);
 
+// GET /v1/session/search - Search the current user's sessions (before /session/:id)
+router.get('/session/search', authMiddleware, searchSessions);
+
 // GET /v1/session/:id - Get session by ID
-router.get('/session/:id', getSession);
+router.get('/session/:id', optionalAuthMiddleware, getSession);
+
+// POST /v1/session/:id/regenerate - Rerun one analysis stage of a stored session
+router.post('/session/:id/regenerate', optionalAuthMiddleware, regenerateStage);
+
+// PATCH /v1/session/:id/narrative-loop - Edit the narrative loop
+router.patch('/session/:id/narrative-loop', optionalAuthMiddleware, updateNarrativeLoop);
+
+// PATCH /v1/session/:id/spiess-map - Edit the SPIESS map
+router.patch('/session/:id/spiess-map', optionalAuthMiddleware, updateSpiessMap);
+
+// GET /v1/session/:id/revisions - List analysis revisions of a session
+router.get('/session/:id/revisions', optionalAuthMiddleware, listRevisions);
+
+// GET /v1/session/:id/revisions/diff?from=&to= - Diff two revisions
+router.get('/session/:id/revisions/diff', optionalAuthMiddleware, diffRevisions);
+
+// GET /v1/session/:id/revisions/:revision - Get one revision
+router.get('/session/:id/revisions/:revision', optionalAuthMiddleware, getRevision);
+
+// POST /v1/session/:id/revisions/:revision/restore - Restore a revision as the current analysis
+router.post('/session/:id/revisions/:revision/restore', optionalAuthMiddleware, restoreRevision);
+
+// GET /v1/session/:id/micro-test - Current micro-test of a session
+router.get('/session/:id/micro-test', optionalAuthMiddleware, getMicroTest);
+
+// PATCH /v1/session/:id/micro-test - Start, skip or reschedule the micro-test
+router.patch('/session/:id/micro-test', optionalAuthMiddleware, updateMicroTest);
+
+// POST /v1/session/:id/micro-test/outcome - Record how the micro-test went
+router.post('/session/:id/micro-test/outcome', optionalAuthMiddleware, recordMicroTestOutcome);
+
+// POST /v1/session/:id/check-in - Answer the follow-up check-in of a completed session
+router.post('/session/:id/check-in', optionalAuthMiddleware, submitCheckIn);
+
+// GET /v1/session/:id/check-in - Get the check-in of a session
+router.get('/session/:id/check-in', optionalAuthMiddleware, getCheckIn);
+
+// GET /v1/check-ins/due - Completed sessions due for a check-in
+router.get('/check-ins/due', authMiddleware, getDueCheckIns);
+
+// GET /v1/session/:id/usage - Token usage and cost of a session
+router.get('/session/:id/usage', optionalAuthMiddleware, getSessionUsage);
+
+// GET /v1/usage - Token usage and cost of the current user
+router.get('/usage', authMiddleware, getMyUsage);
+
+// GET /v1/insights - Patterns across the current user's sessions
+router.get('/insights', authMiddleware, getInsights);
 
 // DELETE /v1/session/:id - Delete session by ID
 router.delete('/session/:id', deleteSession);
 
+// GET /v1/jobs/:id - Async analysis job progress and result
+router.get('/jobs/:id', optionalAuthMiddleware, getJob);
+
+// DELETE /v1/jobs/:id - Cancel an async analysis job
+router.delete('/jobs/:id', optionalAuthMiddleware, cancelJob);
+
 // POST /v1/feedback - Submit feedback for a session
 router.post('/feedback', submitFeedback);
 
@@ -0,0 +1,19 @@
+const express = require('express');
+const {getPreferences, updatePreferences, confirmUnsubscribe, unsubscribe} = require('../../controllers/notificationController');
+const authMiddleware = require('../../middleware/authMiddleware');
+
+const router = express.Router();
+
+// GET /v1/notifications/preferences - Reminder email preferences of the current user
+router.get('/preferences', authMiddleware, getPreferences);
+
+// PUT /v1/notifications/preferences - Opt in to or out of reminder emails
+router.put('/preferences', authMiddleware, updatePreferences);
+
+// GET /v1/notifications/unsubscribe?token= - Unsubscribe link from a reminder email; asks to confirm
+router.get('/unsubscribe', confirmUnsubscribe);
+
+// POST /v1/notifications/unsubscribe?token= - Confirmed or one-click unsubscribe from mail clients
+router.post('/unsubscribe', unsubscribe);
+
+module.exports = router;
@@ -4,9 +4,15 @@ const router = express.Router();
 const authRouter = require("./api/authRoutes");
 const clarifyRouter = require("./api/clarifyRoutes");
 const messageRouter = require("./api/messageRoutes");
+const chatRouter = require("./api/chatRoutes");
+const adminRouter = require("./api/adminRoutes");
+const notificationRouter = require("./api/notificationRoutes");
 
 router.use("/auth", authRouter);
 router.use("/v1", clarifyRouter);
 router.use("/v1", messageRouter);
+router.use("/v1/chat", chatRouter);
+router.use("/v1/notifications", notificationRouter);
+router.use("/admin", adminRouter);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const Joi = require('joi');
+
+const checkInSchema = Joi.object({
+  loopRecurred: Joi.boolean().required()
+    .description('Whether the loop showed up again'),
+  intensity: Joi.number().integer().min(0).max(10)
+    .when('loopRecurred', { is: true, then: Joi.required(), otherwise: Joi.forbidden() })
+    .description('How intense it was, 0-10; only when the loop recurred'),
+  triedActions: Joi.array().items(Joi.string().min(1).max(500)).max(10).default([])
+    .description('The session\'s breaking actions that were tried, as written in narrativeLoop.breakingActions'),
+  notes: Joi.string().max(2000).optional()
+    .description('Anything else about the last days, in the user\'s words')
+});
+
+module.exports = {
+  checkInSchema
+};
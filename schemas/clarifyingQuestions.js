@@ -0,0 +1,24 @@
+const Joi = require('joi');
+
+// Narrative loop fields the clarifying loop tries to resolve before analysis
+const clarifyFieldsEnum = ['trigger', 'fear', 'emotion', 'outcome'];
+
+const clarificationCheckSchema = Joi.object({
+  missingFields: Joi.array().items(Joi.string().valid(...clarifyFieldsEnum)).max(clarifyFieldsEnum.length).required()
+    .description('Narrative fields that are missing or unclear; empty when all are clear')
+});
+
+const clarifyingQuestionsSchema = Joi.object({
+  questions: Joi.array().items(Joi.object({
+    field: Joi.string().valid(...clarifyFieldsEnum).required()
+      .description('The narrative field this question targets'),
+    question: Joi.string().required().min(1).max(500)
+  })).min(1).max(3).required()
+    .description('Clarifying questions about what is missing from the story')
+});
+
+module.exports = {
+  clarifyFieldsEnum,
+  clarificationCheckSchema,
+  clarifyingQuestionsSchema
+};
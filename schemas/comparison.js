@@ -0,0 +1,24 @@
+const Joi = require('joi');
+
+const sameOrNewEnum = ['same', 'similar', 'new'];
+const intensityChangeEnum = ['lower', 'same', 'higher', 'unclear'];
+
+// What changed between a follow-up session's loop and the loop of the session it follows
+const comparisonSchema = Joi.object({
+  trigger: Joi.string().valid(...sameOrNewEnum).required()
+    .description('Whether the trigger is the same as last time, similar, or new'),
+  fear: Joi.string().valid(...sameOrNewEnum).required()
+    .description('Whether the fear is the same as last time, similar, or new'),
+  intensity: Joi.string().valid(...intensityChangeEnum).required()
+    .description('Whether the reaction is weaker, the same or stronger than last time, or unclear from what was said'),
+  changes: Joi.array().items(Joi.string().min(1).max(200)).min(1).max(5).required()
+    .description('What changed since the previous session, each as one short plain sentence addressed to the person'),
+  summary: Joi.string().min(1).max(300).required()
+    .description('One or two sentences on how this loop compares to the previous one, including what the micro-test and breaking actions showed')
+});
+
+module.exports = {
+  sameOrNewEnum,
+  intensityChangeEnum,
+  comparisonSchema
+};
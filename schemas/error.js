@@ -7,8 +7,11 @@ const errorSchema = Joi.object({
     'CRISIS_DETECTED',
     'RATE_LIMIT_EXCEEDED',
     'INVALID_SESSION',
+    'NOT_FOUND',
+    'CONFLICT',
     'SCHEMA_VALIDATION_FAILED',
     'AI_PROCESSING_ERROR',
+    'AI_SERVICE_UNAVAILABLE',
     'INTERNAL_SERVER_ERROR'
   ),
   message: Joi.string().required().max(500),
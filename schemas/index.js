@@ -1,18 +1,55 @@
 const { narrativeLoopSchema, narrativeLoopRepairSchema } = require('./narrativeLoop');
-const { spiessMapSchema, spiessMapRepairSchema, needsEnum } = require('./spiessMap');
+const { spiessMapSchema, spiessMapStageSchema, spiessMapRepairSchema, needsEnum } = require('./spiessMap');
+const { protocolsEnum, checkSlot, parseSteps, toolActionSchema, toolActionGenerationSchema } = require('./toolAction');
+const { summarySchema } = require('./summary');
+const { sameOrNewEnum, intensityChangeEnum, comparisonSchema } = require('./comparison');
+const { clarifyFieldsEnum, clarificationCheckSchema, clarifyingQuestionsSchema } = require('./clarifyingQuestions');
+const { tagsEnum, tagItemSchema, tagClassificationSchema } = require('./tags');
 const { sessionSchema, sessionRepairSchema } = require('./session');
 const { errorSchema, crisisResponseSchema } = require('./error');
 const { feedbackSchema } = require('./feedback');
+const { criteriaMetEnum, microTestUpdateSchema, microTestOutcomeSchema } = require('./microTest');
+const { checkInSchema } = require('./checkIn');
+const { notificationPreferencesSchema } = require('./notification');
+const { insightIntervalEnum, insightsQuerySchema } = require('./insights');
+const { searchStatusEnum, sessionSearchSchema } = require('./search');
+const { stageOutputSchemas } = require('./structuredOutputs');
 
 module.exports = {
   narrativeLoopSchema,
   narrativeLoopRepairSchema,
   spiessMapSchema,
+  spiessMapStageSchema,
   spiessMapRepairSchema,
   needsEnum,
+  protocolsEnum,
+  checkSlot,
+  parseSteps,
+  toolActionSchema,
+  toolActionGenerationSchema,
+  summarySchema,
+  sameOrNewEnum,
+  intensityChangeEnum,
+  comparisonSchema,
+  clarifyFieldsEnum,
+  clarificationCheckSchema,
+  clarifyingQuestionsSchema,
+  tagsEnum,
+  tagItemSchema,
+  tagClassificationSchema,
   sessionSchema,
   sessionRepairSchema,
   errorSchema,
   crisisResponseSchema,
-  feedbackSchema
+  feedbackSchema,
+  criteriaMetEnum,
+  microTestUpdateSchema,
+  microTestOutcomeSchema,
+  checkInSchema,
+  notificationPreferencesSchema,
+  insightIntervalEnum,
+  insightsQuerySchema,
+  searchStatusEnum,
+  sessionSearchSchema,
+  stageOutputSchemas
 };
@@ -0,0 +1,18 @@
+const Joi = require('joi');
+
+const insightIntervalEnum = ['day', 'week', 'month'];
+
+// Query of the cross-session insights endpoint
+const insightsQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(730).default(90)
+    .description('Length of the window in whole UTC days, ending today'),
+  interval: Joi.string().valid(...insightIntervalEnum).default('week')
+    .description('Trend period: UTC day, Monday-based week or month'),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+    .description('Maximum rows in each list')
+});
+
+module.exports = {
+  insightIntervalEnum,
+  insightsQuerySchema
+};
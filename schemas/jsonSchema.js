@@ -0,0 +1,96 @@
+/**
+ * Convert Joi schemas into JSON Schema for model structured outputs,
+ * so the Joi definitions stay the single source of the output contract.
+ * Supports the subset used by the stage schemas: objects, arrays, strings,
+ * numbers, booleans, min/max limits, valid() enums and descriptions.
+ */
+
+const getLimit = (description, ruleName) => {
+  const rule = (description.rules || []).find(r => r.name === ruleName);
+  return rule && rule.args ? rule.args.limit : undefined;
+};
+
+/**
+ * Convert a Joi describe() node into a JSON Schema node
+ * @param {Object} description - Output of joiSchema.describe()
+ * @returns {Object} - JSON Schema node
+ */
+function describeToJsonSchema(description) {
+  const node = {};
+  const flags = description.flags || {};
+  const min = getLimit(description, 'min');
+  const max = getLimit(description, 'max');
+
+  if (flags.description) {
+    node.description = flags.description;
+  }
+
+  switch (description.type) {
+    case 'object': {
+      node.type = 'object';
+      node.properties = {};
+      const required = [];
+      for (const [key, child] of Object.entries(description.keys || {})) {
+        node.properties[key] = describeToJsonSchema(child);
+        if ((child.flags || {}).presence === 'required') required.push(key);
+      }
+      if (required.length > 0) node.required = required;
+      node.additionalProperties = false;
+      break;
+    }
+
+    case 'array':
+      node.type = 'array';
+      if (description.items && description.items.length > 0) {
+        node.items = describeToJsonSchema(description.items[0]);
+      }
+      if (min !== undefined) node.minItems = min;
+      if (max !== undefined) node.maxItems = max;
+      break;
+
+    case 'string':
+      node.type = 'string';
+      if (flags.only && Array.isArray(description.allow)) {
+        node.enum = description.allow.filter(v => typeof v === 'string' && v !== '');
+      }
+      if (min !== undefined) node.minLength = min;
+      if (max !== undefined) node.maxLength = max;
+      break;
+
+    case 'number':
+      node.type = (description.rules || []).some(r => r.name === 'integer') ? 'integer' : 'number';
+      if (min !== undefined) node.minimum = min;
+      if (max !== undefined) node.maximum = max;
+      break;
+
+    case 'boolean':
+      node.type = 'boolean';
+      break;
+
+    default:
+      // any/alternatives: leave unconstrained
+      break;
+  }
+
+  return node;
+}
+
+/**
+ * Build a named JSON Schema from a Joi schema
+ * @param {string} name - Schema/function name sent to the model (a-z, 0-9, _)
+ * @param {Object} joiSchema - Joi schema
+ * @param {string} description - What the structured output represents
+ * @returns {{name: string, description: string, schema: Object}}
+ */
+function toJsonSchema(name, joiSchema, description = '') {
+  return {
+    name,
+    description,
+    schema: describeToJsonSchema(joiSchema.describe())
+  };
+}
+
+module.exports = {
+  toJsonSchema,
+  describeToJsonSchema
+};
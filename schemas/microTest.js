@@ -0,0 +1,24 @@
+const Joi = require('joi');
+
+const criteriaMetEnum = ['met', 'partly', 'not_met'];
+
+// Start, skip or reschedule a micro-test; outcomes are recorded separately
+const microTestUpdateSchema = Joi.object({
+  status: Joi.string().valid('in_progress', 'skipped'),
+  dueAt: Joi.date().iso().greater('now')
+}).or('status', 'dueAt');
+
+const microTestOutcomeSchema = Joi.object({
+  criteriaMet: Joi.string().valid(...criteriaMetEnum).required()
+    .description('Whether the success criteria were met'),
+  fearCameTrue: Joi.boolean().optional()
+    .description('Whether the feared outcome actually happened'),
+  notes: Joi.string().max(2000).optional()
+    .description('What happened, in the user\'s words')
+});
+
+module.exports = {
+  criteriaMetEnum,
+  microTestUpdateSchema,
+  microTestOutcomeSchema
+};
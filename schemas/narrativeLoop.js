@@ -1,14 +1,22 @@
 const Joi = require('joi');
 
 const narrativeLoopSchema = Joi.object({
-  trigger: Joi.string().required().min(1).max(1000),
-  fear: Joi.string().required().min(1).max(1000),
-  emotion: Joi.string().required().min(1).max(1000),
-  outcome: Joi.string().required().min(1).max(1000),
-  whyItFeelsReal: Joi.string().required().min(1).max(1000),
-  hiddenLogic: Joi.string().required().min(1).max(1000),
-  breakingActions: Joi.array().items(Joi.string().min(1).max(500)).min(1).max(5).required(),
+  trigger: Joi.string().required().min(1).max(1000)
+    .description('What started this situation'),
+  fear: Joi.string().required().min(1).max(1000)
+    .description("What they're afraid of"),
+  emotion: Joi.string().required().min(1).max(1000)
+    .description("What they're feeling"),
+  outcome: Joi.string().required().min(1).max(1000)
+    .description('What they expect to happen'),
+  whyItFeelsReal: Joi.string().required().min(1).max(1000)
+    .description('Why this fear feels real to them'),
+  hiddenLogic: Joi.string().required().min(1).max(1000)
+    .description('The hidden logic driving this'),
+  breakingActions: Joi.array().items(Joi.string().min(1).max(500)).min(1).max(5).required()
+    .description('Concrete actions that would break the loop'),
   mechanisms: Joi.array().items(Joi.string().min(1).max(200)).min(1).max(10).required()
+    .description('Psychological mechanisms at work')
 });
 
 const narrativeLoopRepairSchema = Joi.object({
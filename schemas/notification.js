@@ -0,0 +1,12 @@
+const Joi = require('joi');
+
+const notificationPreferencesSchema = Joi.object({
+  microTestReminders: Joi.boolean()
+    .description('Email a reminder before a micro-test is due'),
+  checkInReminders: Joi.boolean()
+    .description('Email a reminder when a session\'s check-in is due')
+}).or('microTestReminders', 'checkInReminders');
+
+module.exports = {
+  notificationPreferencesSchema
+};
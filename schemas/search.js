@@ -0,0 +1,31 @@
+const Joi = require('joi');
+const { tagsEnum } = require('./tags');
+const { needsEnum } = require('./spiessMap');
+const { protocolsEnum } = require('./toolAction');
+
+const searchStatusEnum = ['pending', 'active', 'completed'];
+
+// Query of a session search; list filters arrive as arrays (see searchController)
+const sessionSearchSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200)
+    .description('Words to look for in the input, narrative loop and summary'),
+  tags: Joi.array().items(Joi.string().valid(...tagsEnum)).max(tagsEnum.length)
+    .description('Only sessions with any of these mechanism tags'),
+  needs: Joi.array().items(Joi.string().valid(...needsEnum)).max(needsEnum.length)
+    .description('Only sessions with any of these needs in the SPIESS map'),
+  protocol: Joi.string().valid(...protocolsEnum)
+    .description('Only sessions whose tool action uses this protocol'),
+  status: Joi.string().valid(...searchStatusEnum)
+    .description('Only sessions with this status'),
+  from: Joi.date().iso()
+    .description('Only sessions created at or after this time'),
+  to: Joi.date().iso().min(Joi.ref('from'))
+    .description('Only sessions created at or before this time'),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+  offset: Joi.number().integer().min(0).max(1000).default(0)
+});
+
+module.exports = {
+  searchStatusEnum,
+  sessionSearchSchema
+};
@@ -1,29 +1,19 @@
 const Joi = require('joi');
+const { summarySchema } = require('./summary');
+const { tagsEnum } = require('./tags');
 
 const sessionSchema = Joi.object({
   id: Joi.string().pattern(/^[a-fA-F0-9]{24}$/).required(),
   userId: Joi.string().optional(),
-  status: Joi.string().valid('active', 'completed', 'deleted').required(),
+  status: Joi.string().valid('pending', 'active', 'completed', 'deleted').required(),
   createdAt: Joi.date().iso().required(),
   updatedAt: Joi.date().iso().required(),
   input: Joi.string().max(10000).optional(),
   clarifyingQuestions: Joi.array().items(Joi.string().max(500)).max(3).optional(),
   narrativeLoop: Joi.object().optional(),
   spiessMap: Joi.object().optional(),
-  summary: Joi.object({
-    content: Joi.string().max(250).required(),
-    mechanisms: Joi.array().items(Joi.string().max(100)).max(5).required(),
-    nextStep: Joi.string().max(200).required()
-  }).optional(),
-  tags: Joi.array().items(Joi.string().valid(
-    'fear_of_rejection',
-    'autonomy_threat',
-    'perfectionism',
-    'people_pleasing',
-    'boundary_signaling',
-    'attention_testing',
-    'vulnerability_avoidance'
-  )).max(7).optional(),
+  summary: summarySchema.optional(),
+  tags: Joi.array().items(Joi.string().valid(...tagsEnum)).max(7).optional(),
   storageOptIn: Joi.boolean().default(false),
   redactNames: Joi.boolean().default(true)
 });
@@ -31,7 +21,7 @@ const sessionSchema = Joi.object({
 const sessionRepairSchema = Joi.object({
   id: Joi.string().pattern(/^[a-fA-F0-9]{24}$/),
   userId: Joi.string().allow(''),
-  status: Joi.string().valid('active', 'completed', 'deleted'),
+  status: Joi.string().valid('pending', 'active', 'completed', 'deleted'),
   createdAt: Joi.date().iso(),
   updatedAt: Joi.date().iso(),
   input: Joi.string().max(10000).allow(''),
@@ -43,15 +33,7 @@ const sessionRepairSchema = Joi.object({
     mechanisms: Joi.array().items(Joi.string().max(100)).max(5),
     nextStep: Joi.string().max(200).allow('')
   }).allow(null),
-  tags: Joi.array().items(Joi.string().valid(
-    'fear_of_rejection',
-    'autonomy_threat',
-    'perfectionism',
-    'people_pleasing',
-    'boundary_signaling',
-    'attention_testing',
-    'vulnerability_avoidance'
-  )).max(7),
+  tags: Joi.array().items(Joi.string().valid(...tagsEnum)).max(7),
   storageOptIn: Joi.boolean(),
   redactNames: Joi.boolean()
 });
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { protocolsEnum, toolActionSchema } = require('./toolAction');
 
 const needsEnum = [
   'safety',
@@ -15,23 +16,30 @@ const needsEnum = [
   'meaning'
 ];
 
-const spiessMapSchema = Joi.object({
-  sensations: Joi.array().items(Joi.string().min(1).max(200)).min(1).max(5).required(),
-  emotions: Joi.array().items(Joi.string().min(1).max(200)).min(1).max(5).required(),
-  needs: Joi.array().items(Joi.string().valid(...needsEnum)).min(1).max(3).required(),
-  confirmationBias: Joi.string().required().min(1).max(1000),
+// What the spiessMap stage produces; the tool action is built by its own stage
+const spiessMapStageSchema = Joi.object({
+  sensations: Joi.array().items(Joi.string().min(1).max(200)).min(1).max(5).required()
+    .description('Physical sensations'),
+  emotions: Joi.array().items(Joi.string().min(1).max(200)).min(1).max(5).required()
+    .description('Emotions felt'),
+  needs: Joi.array().items(Joi.string().valid(...needsEnum)).min(1).max(3).required()
+    .description('Underlying unmet needs'),
+  confirmationBias: Joi.string().required().min(1).max(1000)
+    .description('Cause-effect sentence about the confirmation bias keeping the loop going'),
   microTest: Joi.object({
-    description: Joi.string().required().min(1).max(500),
-    timeframe: Joi.string().required().min(1).max(100),
+    description: Joi.string().required().min(1).max(500)
+      .description('A small real-world test of the fear'),
+    timeframe: Joi.string().required().min(1).max(100)
+      .description('When to run it, e.g. "Within 24 hours"'),
     successCriteria: Joi.string().required().min(1).max(300)
-  }).required(),
-  toolAction: Joi.object({
-    protocol: Joi.string().valid('STOP', 'Values First', 'Bridge Belief').required(),
-    steps: Joi.array().items(Joi.string().min(1).max(300)).min(1).max(5).required(),
-    example: Joi.string().required().min(1).max(500)
+      .description('How to measure success')
   }).required()
 });
 
+const spiessMapSchema = spiessMapStageSchema.keys({
+  toolAction: toolActionSchema.required()
+});
+
 const spiessMapRepairSchema = Joi.object({
   sensations: Joi.array().items(Joi.string().max(200)).max(5),
   emotions: Joi.array().items(Joi.string().max(200)).max(5),
@@ -43,7 +51,8 @@ const spiessMapRepairSchema = Joi.object({
     successCriteria: Joi.string().allow('').max(300)
   }),
   toolAction: Joi.object({
-    protocol: Joi.string().valid('STOP', 'Values First', 'Bridge Belief'),
+    protocol: Joi.string().valid(...protocolsEnum),
+    rationale: Joi.string().allow('').max(500),
     steps: Joi.array().items(Joi.string().max(300)).max(5),
     example: Joi.string().allow('').max(500)
   })
@@ -51,6 +60,7 @@ const spiessMapRepairSchema = Joi.object({
 
 module.exports = {
   spiessMapSchema,
+  spiessMapStageSchema,
   spiessMapRepairSchema,
   needsEnum
 };
@@ -0,0 +1,41 @@
+const Joi = require('joi');
+const { toJsonSchema } = require('./jsonSchema');
+const { narrativeLoopSchema } = require('./narrativeLoop');
+const { spiessMapStageSchema } = require('./spiessMap');
+const { toolActionGenerationSchema } = require('./toolAction');
+const { summarySchema } = require('./summary');
+const { comparisonSchema } = require('./comparison');
+const { clarificationCheckSchema, clarifyingQuestionsSchema } = require('./clarifyingQuestions');
+const { tagClassificationSchema } = require('./tags');
+
+/**
+ * Extend a stage schema with an optional per-field confidence map for the model to fill.
+ * Only the model-facing schema carries it; stored outputs are validated without it.
+ * @param {Object} joiSchema - Stage output schema
+ * @returns {Object} - Extended Joi schema
+ */
+const withConfidence = (joiSchema) => {
+  const fields = Object.keys(joiSchema.describe().keys);
+  return joiSchema.keys({
+    confidence: Joi.object(Object.fromEntries(fields.map(field => [field, Joi.number().min(0).max(1)])))
+      .description('How well the input supports each field, from 0 (a guess) to 1 (stated directly)')
+  });
+};
+
+/**
+ * JSON Schemas sent to the model for each structured stage, generated from the Joi schemas
+ */
+const stageOutputSchemas = {
+  clarificationCheck: toJsonSchema('clarification_check', clarificationCheckSchema, 'Narrative fields still missing from the story'),
+  clarifyingQuestions: toJsonSchema('clarifying_questions', clarifyingQuestionsSchema, 'Up to 3 clarifying questions, each tagged with the field it targets'),
+  narrativeLoop: toJsonSchema('narrative_loop', withConfidence(narrativeLoopSchema), 'Narrative loop extracted from the user input'),
+  spiessMap: toJsonSchema('spiess_map', withConfidence(spiessMapStageSchema), 'SPIESS map built from the narrative loop'),
+  toolAction: toJsonSchema('tool_action', toolActionGenerationSchema, 'Tool action protocol chosen for the loop, with its step slots filled in'),
+  summary: toJsonSchema('summary', withConfidence(summarySchema), 'Concise summary of the narrative loop and SPIESS map'),
+  tags: toJsonSchema('tag_classification', tagClassificationSchema, 'Psychological mechanisms present in the narrative loop'),
+  comparison: toJsonSchema('loop_comparison', comparisonSchema, 'What changed compared to the loop of the previous session')
+};
+
+module.exports = {
+  stageOutputSchemas
+};
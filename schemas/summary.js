@@ -0,0 +1,14 @@
+const Joi = require('joi');
+
+const summarySchema = Joi.object({
+  content: Joi.string().required().min(1).max(250)
+    .description('Concise summary that names the key mechanisms and provides insight'),
+  mechanisms: Joi.array().items(Joi.string().min(1).max(100)).min(1).max(5).required()
+    .description('Key mechanisms driving the loop'),
+  nextStep: Joi.string().required().min(1).max(200)
+    .description('One clear next step')
+});
+
+module.exports = {
+  summarySchema
+};
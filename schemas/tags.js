@@ -0,0 +1,30 @@
+const Joi = require('joi');
+
+const tagsEnum = [
+  'fear_of_rejection',
+  'autonomy_threat',
+  'perfectionism',
+  'people_pleasing',
+  'boundary_signaling',
+  'attention_testing',
+  'vulnerability_avoidance'
+];
+
+const tagItemSchema = Joi.object({
+  tag: Joi.string().valid(...tagsEnum).required(),
+  confidence: Joi.number().min(0).max(1).required()
+    .description('How clearly the narrative loop shows this mechanism, from 0 to 1'),
+  evidence: Joi.string().min(1).max(300).required()
+    .description('Short quote from the narrative loop that shows the mechanism')
+});
+
+const tagClassificationSchema = Joi.object({
+  tags: Joi.array().items(tagItemSchema).max(7).required()
+    .description('Each mechanism that may be present, with a confidence and an evidence quote')
+});
+
+module.exports = {
+  tagsEnum,
+  tagItemSchema,
+  tagClassificationSchema
+};
@@ -0,0 +1,96 @@
+const Joi = require('joi');
+const protocols = require('../config/protocols');
+
+const protocolsEnum = Object.keys(protocols);
+const slotKeysEnum = [...new Set(Object.values(protocols).flatMap(p => p.slots.map(slot => slot.key)))];
+
+const normalizeText = (text) => text.toLowerCase().replace(/[^a-z0-9' ]/g, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Check one filled slot of a protocol template against its rules
+ * @param {Object} template - Protocol template from config/protocols.js
+ * @param {Object} slot - One of the template's slots
+ * @param {string} text - Slot text
+ * @param {Object} filled - Slot key -> text of the template's slots
+ * @returns {string|null} - What is wrong with the text, or null when it follows the rules
+ */
+const checkSlot = (template, slot, text, filled = {}) => {
+  if (typeof text !== 'string' || text.trim().length === 0) return `${slot.label} is empty`;
+  if (slot.pattern && !slot.pattern.test(text)) return `${slot.label} must ${slot.patternHint}`;
+  const repeated = (slot.differsFrom || []).find(key => filled[key] && normalizeText(filled[key]) === normalizeText(text));
+  if (repeated) {
+    return `${slot.label} must not repeat ${template.slots.find(s => s.key === repeated).label}`;
+  }
+  return null;
+};
+
+/**
+ * Split stored "<label>: <text>" steps back into slot texts
+ * @param {string} protocol - Protocol name
+ * @param {Array<string>} steps - Stored steps
+ * @returns {Object|null} - Slot key -> text, or null when the steps do not follow the template's slots
+ */
+const parseSteps = (protocol, steps) => {
+  const template = protocols[protocol];
+  if (!template || !Array.isArray(steps) || steps.length !== template.slots.length) return null;
+
+  const filled = {};
+  for (let i = 0; i < template.slots.length; i++) {
+    const { key, label } = template.slots[i];
+    const prefix = `${label}: `;
+    if (typeof steps[i] !== 'string' || !steps[i].startsWith(prefix)) return null;
+    filled[key] = steps[i].slice(prefix.length);
+  }
+  return filled;
+};
+
+/**
+ * Joi rule: steps follow the chosen protocol's slots, in order, and every slot passes its rules
+ */
+const followsTemplate = (value, helpers) => {
+  const template = protocols[value.protocol];
+  const filled = parseSteps(value.protocol, value.steps);
+  if (!filled) {
+    const labels = template.slots.map(slot => slot.label).join(', ');
+    return helpers.message(`"toolAction.steps" must be the ${value.protocol} steps in order, each starting with its label: ${labels}`);
+  }
+
+  for (const slot of template.slots) {
+    const problem = checkSlot(template, slot, filled[slot.key], filled);
+    if (problem) return helpers.message(`"toolAction.steps" ${problem}`);
+  }
+  return value;
+};
+
+const toolActionSchema = Joi.object({
+  protocol: Joi.string().valid(...protocolsEnum).required(),
+  rationale: Joi.string().min(1).max(500)
+    .description('Why this protocol was chosen for this loop'),
+  steps: Joi.array().items(Joi.string().min(1).max(300)).min(1).max(5).required()
+    .description('The protocol\'s steps in template order, each as "<label>: <text>"'),
+  example: Joi.string().required().min(1).max(500)
+    .description('Concrete example of using the protocol in this situation')
+}).custom(followsTemplate, 'protocol template');
+
+// What the toolAction stage asks the model for: a protocol choice and its filled slots
+const toolActionGenerationSchema = Joi.object({
+  protocol: Joi.string().valid(...protocolsEnum).required()
+    .description('Protocol that best fits this loop'),
+  rationale: Joi.string().min(1).max(500).required()
+    .description('Why this protocol fits this loop better than the other two, pointing at what the person described'),
+  slots: Joi.array().items(Joi.object({
+    slot: Joi.string().valid(...slotKeysEnum).required(),
+    text: Joi.string().min(1).max(250).required()
+  })).min(1).max(5).required()
+    .description('Every slot of the chosen protocol, filled in for this situation'),
+  example: Joi.string().min(1).max(500).required()
+    .description('Concrete example of using the protocol in this situation')
+});
+
+module.exports = {
+  protocolsEnum,
+  checkSlot,
+  parseSteps,
+  toolActionSchema,
+  toolActionGenerationSchema
+};
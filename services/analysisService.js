@@ -1,20 +1,273 @@
-const OpenAI = require('openai');
 const mongoose = require('mongoose');
+const Session = require('../models/session');
 const SafetyUtils = require('../utils/safety');
 const AnalyticsService = require('./analyticsService');
+const offlineAnalysisService = require('./offlineAnalysisService');
+const protocolService = require('./protocolService');
+const threadService = require('./threadService');
+const promptRegistry = require('./promptRegistry');
+const llmCache = require('./llmCache');
+const usageService = require('./usageService');
+const llmConfig = require('../config/llm');
+const { createProvider, LlmError } = require('./llm');
 const { 
   narrativeLoopSchema, 
-  spiessMapSchema, 
-  needsEnum 
+  spiessMapStageSchema, 
+  summarySchema,
+  comparisonSchema,
+  stageOutputSchemas,
+  clarifyFieldsEnum,
+  needsEnum,
+  tagsEnum,
+  tagItemSchema
 } = require('../schemas');
 
+// How long the redacted input of a non-opted-in session is kept while waiting for answers
+const PENDING_SESSION_TTL_MS = (parseInt(process.env.PENDING_SESSION_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+// Clarifying question rounds asked before analysis runs with whatever detail is available
+const MAX_CLARIFYING_ROUNDS = parseInt(process.env.MAX_CLARIFYING_ROUNDS, 10) || 2;
+
+// Minimum classifier confidence for a mechanism tag to be applied; 0 keeps every tag
+const configuredTagThreshold = parseFloat(process.env.TAG_CONFIDENCE_THRESHOLD);
+const TAG_CONFIDENCE_THRESHOLD = Number.isFinite(configuredTagThreshold) ? configuredTagThreshold : 0.6;
+
+// Keyword fallback for tagging when the classifier is unavailable.
+// "control" and "test" alone are left out: the control need and micro-test wording would match almost anything.
+const TAG_KEYWORDS = {
+  fear_of_rejection: /\breject(ed|ion|ing)?\b/,
+  autonomy_threat: /\b(controlling|controlled by|being controlled|micromanag\w*|autonomy)\b/,
+  perfectionism: /\bperfect(ion|ionism|ly)?\b/,
+  people_pleasing: /\b(people[- ]pleas\w*|approval)\b/,
+  boundary_signaling: /\b(boundar(y|ies)|limits?)\b/,
+  attention_testing: /\b(attention|test(s|ed|ing)? (him|her|them|whether|if))\b/,
+  vulnerability_avoidance: /\bvulnerab(le|ility)\b/
+};
+
+// Fall back to the offline heuristics when the provider cannot be reached
+const OFFLINE_FALLBACK_ENABLED = process.env.OFFLINE_FALLBACK_ENABLED !== 'false';
+
+// Stage failure codes that mean the provider is down or unconfigured, not that its output was unusable
+const PROVIDER_UNAVAILABLE_CODES = [
+  'LLM_NOT_CONFIGURED',
+  'LLM_TIMEOUT',
+  'LLM_CIRCUIT_OPEN',
+  'LLM_RATE_LIMITED',
+  'LLM_UPSTREAM_ERROR',
+  'LLM_CONNECTION_ERROR',
+  'LLM_REQUEST_REJECTED'
+];
+
+// Provider failures that no other model of the same provider can avoid, so the fallback chain stops
+const CHAIN_STOPPING_CODES = ['LLM_NOT_CONFIGURED', 'LLM_CIRCUIT_OPEN'];
+
+// Conversational chat limits
+const MAX_CHAT_HISTORY = 20; // messages sent to the model as context
+const MAX_CHAT_TURNS = 6; // human turns before handing off to analysis regardless
+
+// Stages a stored session can regenerate, each mapped to the stages built from its output
+const STAGE_DOWNSTREAM = {
+  narrativeLoop: ['spiessMap', 'toolAction', 'summary', 'tags'],
+  spiessMap: ['toolAction', 'summary', 'tags'],
+  toolAction: [],
+  summary: [],
+  tags: []
+};
+
+const CHAT_GREETING = "Hi, I'm here to help you untangle what's on your mind. What happened?";
+
 class AnalysisService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
+    this.provider = createProvider(llmConfig);
+  }
+
+  /**
+   * Run a completion for a pipeline stage using that stage's configured model settings
+   * @param {string} stage - Stage name (see config/llm.js)
+   * @param {Array} messages - Chat messages
+   * @param {Object} [responseSchema] - Structured output schema ({ name, description, schema })
+   * @param {Object} [meta] - Stage metadata collector; when given the response cache is used
+   * and the call's usage is recorded against meta.sessionId and meta.userId (meta.clientIp when anonymous)
+   * @param {string} [chainModel] - Model of the stage's fallback chain to call; defaults to the first
+   * @returns {Promise<{content: string, model: string, usage: Object|null, cached: boolean}>}
+   */
+  async complete(stage, messages, responseSchema = undefined, meta = null, chainModel = undefined) {
+    const config = llmConfig.getStageConfig(stage);
+    const { temperature, maxTokens, timeoutMs } = config;
+    const model = chainModel || config.model;
+
+    const useCache = meta && !meta.bypassCache;
+    const cacheKey = useCache
+      ? llmCache.buildKey({ stage, promptVersion: meta.promptVersion, model, messages, responseSchema })
+      : null;
+
+    if (cacheKey) {
+      const hit = await llmCache.get(cacheKey.key);
+      if (hit) {
+        // A stage only counts as cached when every call it made was a hit
+        meta.cached = meta.cached !== false;
+        return { content: hit.content, model: hit.model, usage: null, cached: true };
+      }
+    }
+
+    const startedAt = Date.now();
+    const result = await this.provider.complete({ stage, messages, model, temperature, maxTokens, responseSchema, timeoutMs });
+    await usageService.record({
+      sessionId: meta ? meta.sessionId : null,
+      userId: meta ? meta.userId : null,
+      clientIp: meta ? meta.clientIp : null,
+      stage,
+      provider: llmConfig.provider,
+      model: result.model || model,
+      usage: result.usage,
+      latencyMs: Date.now() - startedAt
+    });
+
+    if (meta) meta.cached = false;
+    if (cacheKey) {
+      await llmCache.set({ ...cacheKey, stage, promptVersion: meta.promptVersion, model, content: result.content });
+    }
+
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Try each model of a stage's fallback chain in turn until one succeeds.
+   * An attempt fails by throwing or by returning { ok: false }; the last model's
+   * failure is returned (or thrown) as is. The model that succeeded is recorded
+   * on meta.model and every model given up on in meta.fallbacks.
+   * @param {string} stage - Stage name (see config/llm.js)
+   * @param {Object|null} meta - Stage metadata collector
+   * @param {Function} attempt - (model) => Promise of a result with the model actually used
+   * @returns {Promise<Object>} - Result of the first successful attempt
+   */
+  async withModelFallback(stage, meta, attempt) {
+    const { models } = llmConfig.getStageConfig(stage);
+    let result = null;
+
+    for (let i = 0; i < models.length; i++) {
+      const isLast = i === models.length - 1;
+      let code;
+      try {
+        result = await attempt(models[i]);
+        if (result.ok !== false) {
+          if (meta) meta.model = result.model || models[i];
+          return result;
+        }
+        code = 'LLM_INVALID_OUTPUT';
+      } catch (error) {
+        code = error instanceof LlmError ? error.code : 'AI_PROCESSING_ERROR';
+        if (isLast || CHAIN_STOPPING_CODES.includes(code)) throw error;
+      }
+
+      if (isLast) break;
+      console.warn(`${stage} failed on ${models[i]} (${code}), falling back to ${models[i + 1]}`);
+      if (meta) meta.fallbacks.push({ model: models[i], code });
+    }
+
+    return result;
+  }
+
+  /**
+   * Run a structured stage: request JSON matching the stage's output schema and parse it.
+   * Falls back to one JSON-fix round-trip when the output still cannot be parsed, then to
+   * the next model of the stage's fallback chain.
+   * @param {string} stage - Stage name with an entry in stageOutputSchemas
+   * @param {Array} messages - Chat messages
+   * @param {Object} meta - Stage metadata collector (see createStageMeta)
+   * @returns {Promise<{ok: true, data: any, model: string} | {ok: false, error: Error}>}
+   */
+  async completeStructured(stage, messages, meta = this.createStageMeta()) {
+    const responseSchema = stageOutputSchemas[stage];
+
+    return this.withModelFallback(stage, meta, async (model) => {
+      const { content: raw, model: used } = await this.complete(stage, messages, responseSchema, meta, model);
+
+      let parsed = this.safeJsonParse(raw);
+      if (!parsed.ok) {
+        meta.repairs.push('json_fix');
+        const fixed = await this.retryJsonFix(responseSchema, raw, meta);
+        parsed = this.safeJsonParse(fixed);
+      }
+      return { ...parsed, model: used || model };
     });
   }
 
+  /**
+   * Create the per-stage metadata collector passed through the stage builders
+   * @param {Object} options - Analysis options (cache: false bypasses the response cache)
+   * @returns {Object} - repairs lists each repair step that ran ('json_fix', 'schema_repair');
+   * cached is true when every model call of the stage was served from the cache;
+   * status is 'ok', 'failed' or 'skipped' once the stage has run, with error set on failure;
+   * sessionId and userId (clientIp for anonymous callers) identify who the stage's model calls are accounted to;
+   * model is the model that produced the output and fallbacks the { model, code } given up on before it
+   */
+  createStageMeta(options = {}) {
+    return {
+      sessionId: options.sessionId || null,
+      userId: options.userId || null,
+      clientIp: options.clientIp || null,
+      repairs: [],
+      promptVersion: null,
+      model: null,
+      fallbacks: [],
+      cached: null,
+      bypassCache: options.cache === false,
+      status: null,
+      error: null,
+      provenance: []
+    };
+  }
+
+  /**
+   * Record a stage failure on its metadata
+   * @param {string} label - Stage name for the log
+   * @param {Object} meta - Stage metadata collector
+   * @param {Error} error - Failure
+   * @returns {null} - Failed stages produce no output
+   */
+  failStage(label, meta, error) {
+    console.error(`Error building ${label}:`, error);
+    meta.status = 'failed';
+    meta.error = {
+      code: error instanceof LlmError ? error.code : 'AI_PROCESSING_ERROR',
+      message: error instanceof LlmError ? error.message : 'Stage failed due to processing error'
+    };
+    return null;
+  }
+
+  /**
+   * Error result for a pipeline that produced nothing usable
+   * @param {string} sessionId - Session ID
+   * @param {Object} result - processStages result with status 'failed'
+   * @returns {Object}
+   */
+  buildStageFailureResult(sessionId, result) {
+    return {
+      success: false,
+      sessionId,
+      failedStages: result.failedStages,
+      error: {
+        code: 'AI_SERVICE_UNAVAILABLE',
+        message: 'The analysis model is unavailable right now. Please try again shortly.',
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Render the active prompt template for a stage and record its version
+   * @param {string} stage - Stage name
+   * @param {Object} variables - Template variables
+   * @param {Object} meta - Stage metadata collector
+   * @returns {Promise<string>} - Rendered prompt
+   */
+  async renderPrompt(stage, variables, meta = this.createStageMeta()) {
+    const { versionId, content } = await promptRegistry.render(stage, variables);
+    meta.promptVersion = versionId;
+    return content;
+  }
+
   /**
    * Attempt to extract and parse JSON from a model response.
    * Tries direct parse, fenced blocks, and balanced brace extraction.
@@ -68,21 +321,17 @@ class AnalysisService {
   /**
    * One retry to coerce/repair invalid JSON using the model.
    * Returns only the repaired JSON (no prose).
-   * @param {string} instruction - Short description of required JSON shape
+   * @param {Object} responseSchema - Structured output schema the JSON must match
    * @param {string} rawContent - The invalid content to fix
+   * @param {Object} [meta] - Stage metadata collector of the stage being fixed
    */
-  async retryJsonFix(instruction, rawContent) {
+  async retryJsonFix(responseSchema, rawContent, meta = null) {
     const messages = [
       { role: 'system', content: 'You are a strict JSON reformatter. Output ONLY valid JSON. No prose, no backticks.' },
-      { role: 'user', content: `Convert the following into valid JSON that matches: ${instruction}\n\nContent to fix:\n${rawContent}` }
+      { role: 'user', content: `Convert the following into valid JSON that matches this JSON Schema:\n${JSON.stringify(responseSchema.schema)}\n\nContent to fix:\n${rawContent}` }
     ];
-    const resp = await this.openai.chat.completions.create({
-      model: 'gpt-4',
-      messages,
-      max_tokens: 2000,
-      temperature: 0
-    });
-    return resp.choices[0].message.content;
+    const { content } = await this.complete('jsonFix', messages, responseSchema, meta);
+    return content;
   }
 
   /**
@@ -93,9 +342,24 @@ class AnalysisService {
    * @returns {Object} - Analysis result
    */
   async analyze(input, options = {}, req = null) {
+    const prepared = await this.prepareAnalysis(input, options, req);
+    if (!prepared.success) {
+      return prepared;
+    }
+
+    return this.runAnalysis(prepared.sessionId, prepared.processedInput, options, req);
+  }
+
+  /**
+   * Start a session and run the safety checks on raw input
+   * @param {string} input - User input
+   * @param {Object} options - Analysis options
+   * @param {Object} req - Express request object
+   * @returns {Object} - { success, sessionId, processedInput } or a crisis/validation result
+   */
+  async prepareAnalysis(input, options = {}, req = null) {
     const sessionId = new mongoose.Types.ObjectId();
-    const startTime = Date.now();
-    
+
     try {
       // Track session start
       await AnalyticsService.trackSessionStarted(sessionId, options.userId, req);
@@ -132,24 +396,92 @@ class AnalysisService {
       // Track input received
       await AnalyticsService.trackInputReceived(sessionId, validation.processedInput.length, options.userId, req);
 
-      // Check if clarifying questions are needed
-      const needsQuestions = await this.needsClarifyingQuestions(validation.processedInput);
+      return {
+        success: true,
+        sessionId,
+        processedInput: validation.processedInput
+      };
+
+    } catch (error) {
+      console.error('Analysis error:', error);
+      await AnalyticsService.trackSafeExit(sessionId, 'processing_error', options.userId, req);
+
+      return {
+        success: false,
+        sessionId: sessionId.toString(),
+        error: {
+          code: 'AI_PROCESSING_ERROR',
+          message: 'Analysis failed due to processing error',
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+  }
+
+  /**
+   * Run the model stages on input that already passed prepareAnalysis.
+   * Used directly by the job queue, which passes resume/checkpoint hooks in options.
+   * @param {string} sessionId - Session ID
+   * @param {string} processedInput - Sanitized, redacted input
+   * @param {Object} options - Analysis options (see runStage for resume and cancellation)
+   * @param {Object} req - Express request object
+   * @returns {Object} - Analysis result
+   */
+  async runAnalysis(sessionId, processedInput, options = {}, req = null) {
+    const startTime = Date.now();
+    // Every stage's model calls are accounted to this session
+    options = { ...options, sessionId };
+    
+    try {
+      options = await this.withThread(options, options.parentSessionId);
+
+      // Check which narrative fields are still missing.
+      // Asking needs the model, so offline analysis runs on whatever detail is there.
+      const checkMeta = this.createStageMeta(options);
+      const { missingFields } = options.offline
+        ? { missingFields: [] }
+        : await this.runStage('clarificationCheck', checkMeta, options, async () => ({
+          missingFields: await this.assessMissingFields(processedInput, checkMeta)
+        }));
+      const questionsMeta = this.createStageMeta(options);
+      const questions = missingFields.length > 0
+        ? await this.generateClarifyingQuestions(processedInput, missingFields, questionsMeta)
+        : [];
       
-      if (needsQuestions) {
-        const questions = await this.generateClarifyingQuestions(validation.processedInput);
-        await AnalyticsService.trackQuestionsAsked(sessionId, questions, options.userId, req);
+      if (questions.length > 0) {
+        await AnalyticsService.trackQuestionsAsked(sessionId, questions, options.userId, req, { ...questionsMeta, round: 1 });
+
+        const promptVersions = this.collectPromptVersions({
+          clarificationCheck: checkMeta,
+          clarifyingQuestions: questionsMeta
+        });
+        const models = this.collectModels({
+          clarificationCheck: checkMeta,
+          clarifyingQuestions: questionsMeta
+        });
+
+        // Keep the redacted story so the answers can be merged with it later
+        await this.savePendingSession(sessionId, processedInput, questions, missingFields, promptVersions, options, models);
         
         return {
           success: true,
           sessionId,
           stage: 'clarifying_questions',
           questions,
-          needsAnswers: true
+          needsAnswers: true,
+          ...this.getClarifyingProgress(missingFields, 1),
+          ...this.getThreadFields(options),
+          promptVersions,
+          models
         };
       }
 
       // Process through all stages
-      const result = await this.processStages(validation.processedInput, sessionId, options, req);
+      const result = await this.processStages(processedInput, sessionId, options, req);
+      if (result.status === 'failed') {
+        await AnalyticsService.trackSafeExit(sessionId, 'ai_unavailable', options.userId, req);
+        return this.buildStageFailureResult(sessionId.toString(), result);
+      }
       
       const processingTime = Date.now() - startTime;
       console.log(`Analysis completed in ${processingTime}ms for session ${sessionId.toString()}`);
@@ -158,10 +490,23 @@ class AnalysisService {
         success: true,
           sessionId: sessionId.toString(),
         ...result,
+        ...this.getClarifyingProgress(missingFields, 0),
+        ...this.getThreadFields(options),
+        promptVersions: {
+          ...this.collectPromptVersions({ clarificationCheck: checkMeta }),
+          ...result.promptVersions
+        },
+        models: {
+          ...this.collectModels({ clarificationCheck: checkMeta }),
+          ...result.models
+        },
         processingTime
       };
 
     } catch (error) {
+      // Cancellation is handled by the caller that requested it
+      if (this.isCancelled(options)) throw error;
+
       console.error('Analysis error:', error);
       await AnalyticsService.trackSafeExit(sessionId, 'processing_error', options.userId, req);
       
@@ -186,17 +531,110 @@ class AnalysisService {
    * @returns {Object} - Analysis result
    */
   async processAnswers(sessionId, answers, options = {}, req = null) {
+    options = { ...options, sessionId };
     try {
-      // Merge answers with original input
-      const mergedInput = await this.mergeAnswersWithInput(sessionId, answers);
+      const session = await Session.findOne({ sessionId, status: { $ne: 'deleted' } });
+      const pendingError = this.getPendingSessionError(session);
+      if (pendingError) {
+        return {
+          success: false,
+          sessionId,
+          error: {
+            code: pendingError.code,
+            message: pendingError.message,
+            timestamp: new Date().toISOString()
+          }
+        };
+      }
+
+      const storageOptIn = session.storageOptIn;
+      const redactNames = session.redactNames !== false;
+      options = await this.withThread(options, session.parentSessionId);
+
+      // Answers get the same safety checks and redaction as the original input
+      const validation = this.validateAnswers(answers, storageOptIn, redactNames);
+
+      if (!validation.isValid) {
+        if (validation.isCrisis) {
+          await AnalyticsService.trackSafeExit(sessionId, 'crisis_detected', options.userId, req);
+          return {
+            success: false,
+            sessionId,
+            response: validation.response
+          };
+        }
+
+        await AnalyticsService.trackSafeExit(sessionId, 'invalid_input', options.userId, req);
+        return {
+          success: false,
+          sessionId,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: validation.error,
+            timestamp: new Date().toISOString()
+          }
+        };
+      }
+
+      // Merge answers from every round with the original input
+      this.recordAnswers(session, validation.answers);
+      const mergedInput = this.mergeAnswersWithInput(session, validation.answers);
+
+      const round = session.clarifyingRounds.length;
+      let missingFields = Array.isArray(session.missingFields) ? [...session.missingFields] : [];
+      const promptVersions = {};
+      const models = {};
+
+      // Re-check what is still missing and ask another round while the limit allows
+      if (round < MAX_CLARIFYING_ROUNDS && !options.offline) {
+        const checkMeta = this.createStageMeta(options);
+        missingFields = await this.assessMissingFields(mergedInput, checkMeta);
+        Object.assign(promptVersions, this.collectPromptVersions({ clarificationCheck: checkMeta }));
+        Object.assign(models, this.collectModels({ clarificationCheck: checkMeta }));
+
+        const questionsMeta = this.createStageMeta(options);
+        const questions = missingFields.length > 0
+          ? await this.generateClarifyingQuestions(mergedInput, missingFields, questionsMeta)
+          : [];
+
+        if (questions.length > 0) {
+          await AnalyticsService.trackQuestionsAsked(sessionId, questions, options.userId, req, { ...questionsMeta, round: round + 1 });
+          Object.assign(promptVersions, this.collectPromptVersions({ clarifyingQuestions: questionsMeta }));
+          Object.assign(models, this.collectModels({ clarifyingQuestions: questionsMeta }));
+
+          await this.saveClarifyingRound(session, questions, missingFields, promptVersions, models);
+
+          return {
+            success: true,
+            sessionId,
+            stage: 'clarifying_questions',
+            questions,
+            needsAnswers: true,
+            ...this.getClarifyingProgress(missingFields, round + 1),
+            ...this.getThreadFields(options),
+            promptVersions,
+            models
+          };
+        }
+      }
+
+      await this.saveClarifyingRound(session, [], missingFields, promptVersions, models);
       
       // Process through all stages
       const result = await this.processStages(mergedInput, sessionId, options, req);
+      if (result.status === 'failed') {
+        await AnalyticsService.trackSafeExit(sessionId, 'ai_unavailable', options.userId, req);
+        return this.buildStageFailureResult(sessionId, result);
+      }
       
       return {
         success: true,
         sessionId,
-        ...result
+        ...result,
+        ...this.getClarifyingProgress(missingFields, round),
+        ...this.getThreadFields(options),
+        promptVersions: { ...promptVersions, ...result.promptVersions },
+        models: { ...models, ...result.models }
       };
 
     } catch (error) {
@@ -214,330 +652,1359 @@ class AnalysisService {
   }
 
   /**
-   * Check if clarifying questions are needed
-   * @param {string} input - Processed input
-   * @returns {boolean} - True if questions needed
+   * Opening assistant message for a new chat session
+   * @returns {string} - Greeting message
    */
-  async needsClarifyingQuestions(input) {
-    const prompt = `Analyze this input and determine if clarifying questions are needed. 
-    Return only "YES" or "NO" based on whether any of these are missing or unclear:
-    - Trigger (what started this)
-    - Fear (what are they afraid of)
-    - Emotion (what they're feeling)
-    - Outcome (what they expect to happen)
-    
-    Input: ${input}`;
+  getChatGreeting() {
+    return CHAT_GREETING;
+  }
+
+  /**
+   * When an ephemeral session (no storageOptIn) left waiting for the user expires
+   * @returns {Date}
+   */
+  getPendingExpiry() {
+    return new Date(Date.now() + PENDING_SESSION_TTL_MS);
+  }
 
+  /**
+   * Continue a conversational chat session.
+   * Replies with a follow-up question until the story has enough detail,
+   * then hands the human turns off to processStages.
+   * @param {string} sessionId - Session ID
+   * @param {Array} history - Prior messages ({sender, message}) including the latest human turn
+   * @param {Object} options - Processing options
+   * @param {Object} req - Express request object
+   * @returns {Object} - Chat reply or complete analysis result
+   */
+  async continueChat(sessionId, history, options = {}, req = null) {
+    options = { ...options, sessionId };
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 10,
-        temperature: 0.1
-      });
+      const transcript = this.buildChatTranscript(history);
+      const humanTurns = history.filter(m => m.sender === 'human').length;
+
+      const checkMeta = this.createStageMeta(options);
+      const needsMoreDetail = humanTurns < MAX_CHAT_TURNS && await this.needsClarifyingQuestions(transcript, checkMeta);
+
+      if (needsMoreDetail) {
+        // Chat replies are never cached
+        const chatMeta = this.createStageMeta({ ...options, cache: false });
+        const reply = await this.generateChatReply(history, chatMeta);
+        return {
+          success: true,
+          sessionId,
+          stage: 'chatting',
+          reply,
+          promptVersions: this.collectPromptVersions({ clarificationCheck: checkMeta, chat: chatMeta }),
+          models: this.collectModels({ clarificationCheck: checkMeta, chat: chatMeta })
+        };
+      }
+
+      // Enough detail gathered - run the full analysis on the user's side of the conversation
+      const result = await this.processStages(transcript, sessionId, options, req);
+      if (result.status === 'failed') {
+        await AnalyticsService.trackSafeExit(sessionId, 'ai_unavailable', options.userId, req);
+        return this.buildStageFailureResult(sessionId, result);
+      }
+
+      return {
+        success: true,
+        sessionId,
+        ...result,
+        promptVersions: {
+          ...this.collectPromptVersions({ clarificationCheck: checkMeta }),
+          ...result.promptVersions
+        },
+        models: {
+          ...this.collectModels({ clarificationCheck: checkMeta }),
+          ...result.models
+        }
+      };
 
-      return response.choices[0].message.content.trim().toUpperCase() === 'YES';
     } catch (error) {
-      console.error('Error checking for clarifying questions:', error);
-      return false; // Default to no questions if error
+      console.error('Chat processing error:', error);
+      await AnalyticsService.trackSafeExit(sessionId, 'processing_error', options.userId, req);
+
+      return {
+        success: false,
+        sessionId,
+        error: {
+          code: 'AI_PROCESSING_ERROR',
+          message: 'Chat processing failed',
+          timestamp: new Date().toISOString()
+        }
+      };
     }
   }
 
   /**
-   * Generate clarifying questions
-   * @param {string} input - Processed input
-   * @returns {Array} - Array of up to 3 questions
+   * Join the human turns of a conversation into a single narrative
+   * @param {Array} history - Messages ({sender, message})
+   * @returns {string} - Combined user narrative
    */
-  async generateClarifyingQuestions(input) {
-    const prompt = `Generate up to 3 clarifying questions to help understand this situation better. 
-    Focus on missing: trigger, fear, emotion, or outcome.
-    Return as a JSON array of strings, max 3 questions.
-    
-    Input: ${input}`;
+  buildChatTranscript(history) {
+    return history
+      .filter(m => m.sender === 'human' && typeof m.message === 'string')
+      .map(m => m.message.trim())
+      .filter(Boolean)
+      .join('\n');
+  }
 
+  /**
+   * Generate the next conversational reply using the prior message history as context
+   * @param {Array} history - Messages ({sender, message})
+   * @param {Object} [meta] - Stage metadata collector
+   * @returns {string} - Assistant reply
+   */
+  async generateChatReply(history, meta = this.createStageMeta({ cache: false })) {
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 300,
-        temperature: 0.3
-      });
-      const raw = response.choices[0].message.content;
-      let parsed = this.safeJsonParse(raw);
-      if (!parsed.ok) {
-        // One retry to coerce to JSON array
-        const fixed = await this.retryJsonFix('a JSON array of up to 3 strings', raw);
-        parsed = this.safeJsonParse(fixed);
-      }
-      const questions = parsed.ok ? parsed.data : [];
-      return Array.isArray(questions) ? questions.slice(0, 3) : [];
+      const systemPrompt = await this.renderPrompt('chat', {}, meta);
+      const messages = [
+        { role: 'system', content: systemPrompt },
+        ...history.slice(-MAX_CHAT_HISTORY).map(m => ({
+          role: m.sender === 'human' ? 'user' : 'assistant',
+          content: m.message
+        }))
+      ];
+
+      const { content } = await this.withModelFallback('chat', meta,
+        model => this.complete('chat', messages, undefined, meta, model));
+
+      const reply = content.trim();
+      return reply.length > 0 ? reply : 'Could you tell me a little more about what happened and how it made you feel?';
     } catch (error) {
-      console.error('Error generating clarifying questions:', error);
-      return [];
+      console.error('Error generating chat reply:', error);
+      return 'Could you tell me a little more about what happened and how it made you feel?';
     }
   }
 
   /**
-   * Merge answers with original input
-   * @param {string} sessionId - Session ID
-   * @param {Array} answers - User answers
-   * @returns {string} - Merged input
+   * Find the narrative fields (trigger, fear, emotion, outcome) that are missing or unclear
+   * @param {string} input - Processed input
+   * @param {Object} meta - Stage metadata collector
+   * @returns {Array<string>} - Missing fields, in narrative order
    */
-  async mergeAnswersWithInput(sessionId, answers) {
-    // This would typically retrieve the original input from the session
-    // For now, combine just the textual answers
+  async assessMissingFields(input, meta = this.createStageMeta()) {
     try {
-      if (!Array.isArray(answers)) return '';
-      const parts = answers.map(a => {
-        if (!a) return '';
-        if (typeof a === 'string') return a;
-        if (typeof a.answer === 'string') return a.answer;
-        return '';
-      }).filter(Boolean);
-      return parts.join(' ');
-    } catch (_e) {
-      return '';
+      const prompt = await this.renderPrompt('clarificationCheck', { input }, meta);
+      const parsed = await this.completeStructured('clarificationCheck', [{ role: "user", content: prompt }], meta);
+      const missing = parsed.ok && parsed.data && Array.isArray(parsed.data.missingFields) ? parsed.data.missingFields : [];
+
+      return clarifyFieldsEnum.filter(field => missing.includes(field));
+    } catch (error) {
+      console.error('Error checking for clarifying questions:', error);
+      return []; // Default to no questions if error
     }
   }
 
   /**
-   * Process input through all analysis stages
+   * Check if clarifying questions are needed
    * @param {string} input - Processed input
-   * @param {string} sessionId - Session ID
-   * @param {Object} options - Processing options
-   * @param {Object} req - Express request object
-   * @returns {Object} - Complete analysis result
+   * @param {Object} meta - Stage metadata collector
+   * @returns {boolean} - True if questions needed
    */
-  async processStages(input, sessionId, options = {}, req = null) {
-    // Stage 1: Narrative Loop
-    const narrativeLoop = await this.buildNarrativeLoop(input);
-    await AnalyticsService.trackLoopBuilt(sessionId, narrativeLoop, options.userId, req);
+  async needsClarifyingQuestions(input, meta = this.createStageMeta()) {
+    const missingFields = await this.assessMissingFields(input, meta);
+    return missingFields.length > 0;
+  }
 
-    // Stage 2: SPIESS Map
-    const spiessMap = await this.buildSpiessMap(narrativeLoop);
-    await AnalyticsService.trackSpiessBuilt(sessionId, spiessMap, options.userId, req);
+  /**
+   * Generate clarifying questions, each tagged with the narrative field it targets
+   * @param {string} input - Processed input
+   * @param {Array<string>} missingFields - Fields the questions should target
+   * @param {Object} meta - Stage metadata collector
+   * @returns {Array<{field: string, question: string}>} - Up to 3 questions
+   */
+  async generateClarifyingQuestions(input, missingFields = clarifyFieldsEnum, meta = this.createStageMeta()) {
+    try {
+      const prompt = await this.renderPrompt('clarifyingQuestions', { input, missingFields }, meta);
+      const parsed = await this.completeStructured('clarifyingQuestions', [{ role: "user", content: prompt }], meta);
+      const data = parsed.ok ? parsed.data : {};
+      // Accept a bare array from providers that ignore the wrapper object
+      const raw = Array.isArray(data) ? data : data.questions;
+      if (!Array.isArray(raw)) return [];
 
-    // Stage 3: Summary
-    const summary = await this.buildSummary(narrativeLoop, spiessMap);
-    await AnalyticsService.trackSummaryBuilt(sessionId, summary, options.userId, req);
+      const questions = raw
+        .map((q, i) => {
+          // Untagged questions are assigned to the missing fields in order
+          if (typeof q === 'string') return { field: missingFields[i % missingFields.length], question: q };
+          return q && typeof q.question === 'string' ? { field: q.field, question: q.question } : null;
+        })
+        .filter(q => q && clarifyFieldsEnum.includes(q.field) && q.question.trim().length > 0)
+        .map(q => ({ field: q.field, question: q.question.trim().substring(0, 500) }));
 
-    // Detect mechanisms and tags
-    const tags = await this.detectMechanisms(narrativeLoop, spiessMap);
+      // Prefer questions about fields that are actually missing
+      const targeted = questions.filter(q => missingFields.includes(q.field));
+      return (targeted.length > 0 ? targeted : questions).slice(0, 3);
+    } catch (error) {
+      console.error('Error generating clarifying questions:', error);
+      return [];
+    }
+  }
 
+  /**
+   * Progress through the clarifying loop, for the UI
+   * @param {Array<string>} missingFields - Fields still missing
+   * @param {number} round - Current round (0 when no questions were asked)
+   * @returns {Object} - { round, maxRounds, resolvedFields, missingFields }
+   */
+  getClarifyingProgress(missingFields, round) {
     return {
-      narrativeLoop,
-      spiessMap,
-      summary,
-      tags,
-      stage: 'completed'
+      round,
+      maxRounds: MAX_CLARIFYING_ROUNDS,
+      resolvedFields: clarifyFieldsEnum.filter(field => !missingFields.includes(field)),
+      missingFields
     };
   }
 
   /**
-   * Build narrative loop (Stage 1)
-   * @param {string} input - Processed input
-   * @returns {Object} - Narrative loop data
-   */
-  async buildNarrativeLoop(input) {
-    const prompt = `Extract a narrative loop from this input. Return a JSON object with these exact fields:
-    {
-      "trigger": "What started this situation (max 1000 chars)",
-      "fear": "What they're afraid of (max 1000 chars)",
-      "emotion": "What they're feeling (max 1000 chars)",
-      "outcome": "What they expect to happen (max 1000 chars)",
-      "whyItFeelsReal": "Why this fear feels real to them (max 1000 chars)",
-      "hiddenLogic": "The hidden logic driving this (max 1000 chars)",
-      "breakingActions": ["Action 1", "Action 2", "Action 3"] (1-5 actions, max 500 chars each),
-      "mechanisms": ["mechanism1", "mechanism2"] (1-10 mechanisms, max 200 chars each)
-    }
-    
-    Input: ${input}`;
-
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 2000,
-        temperature: 0.3
+   * Options for analysing a follow-up session: its thread links and, as options.previous,
+   * what the previous session found (see threadService.describePrevious). A parent deleted
+   * since the analysis started leaves the session unlinked.
+   * @param {Object} options - Analysis options
+   * @param {string|null} parentSessionId - Session the analysis follows, if any
+   * @returns {Promise<Object>} - Options with parentSessionId, threadId and previous set
+   */
+  async withThread(options, parentSessionId) {
+    const thread = parentSessionId ? await threadService.getThread(parentSessionId) : null;
+    return {
+      ...options,
+      parentSessionId: thread ? thread.parentSessionId : null,
+      threadId: thread ? thread.threadId : null,
+      previous: thread ? thread.previous : null
+    };
+  }
+
+  /**
+   * Thread links for the response of a follow-up session
+   * @param {Object} options - Options from withThread
+   * @returns {Object} - { parentSessionId, threadId }, or nothing for a first session
+   */
+  getThreadFields(options) {
+    return options.threadId
+      ? { parentSessionId: options.parentSessionId, threadId: options.threadId }
+      : {};
+  }
+
+  /**
+   * Store the redacted input and questions while waiting for answers.
+   * Without storageOptIn the record is ephemeral and expires via the TTL index.
+   * @param {string} sessionId - Session ID
+   * @param {string} processedInput - Sanitized, redacted input
+   * @param {Array} questions - Clarifying questions asked ({ field, question })
+   * @param {Array<string>} missingFields - Fields the questions target
+   * @param {Object} promptVersions - Stage -> prompt version id
+   * @param {Object} options - Analysis options
+   * @param {Object} models - Stage -> model that produced it
+   */
+  async savePendingSession(sessionId, processedInput, questions, missingFields, promptVersions, options = {}, models = {}) {
+    try {
+      const storageOptIn = options.storageOptIn || false;
+      await Session.create({
+        sessionId,
+        userId: options.userId || null,
+        status: 'pending',
+        input: processedInput,
+        clarifyingQuestions: questions.map(q => q.question),
+        clarifyingRounds: [{ round: 1, questions, askedAt: new Date() }],
+        missingFields,
+        resolvedFields: clarifyFieldsEnum.filter(field => !missingFields.includes(field)),
+        promptVersions,
+        models,
+        parentSessionId: options.parentSessionId || null,
+        threadId: options.threadId || null,
+        storageOptIn,
+        redactNames: options.redactNames !== false,
+        expiresAt: storageOptIn ? null : this.getPendingExpiry()
       });
-      const raw = response.choices[0].message.content;
-      let parsed = this.safeJsonParse(raw);
+    } catch (error) {
+      console.error('Error saving pending session:', error);
+      // Answers will be analyzed without the original input
+    }
+  }
+
+  /**
+   * Extract, sanitize and safety-check answer texts
+   * @param {Array} answers - Answers as strings or { answer } objects
+   * @param {boolean} storageOptIn - Whether user opted into storage
+   * @param {boolean} redactNames - Whether to redact names
+   * @returns {Object} - Validation result with processed answers (empty string for skipped ones)
+   */
+  validateAnswers(answers, storageOptIn = false, redactNames = true) {
+    const texts = (Array.isArray(answers) ? answers : []).map(a => {
+      if (!a) return '';
+      if (typeof a === 'string') return a;
+      if (typeof a.answer === 'string') return a.answer;
+      return '';
+    });
+
+    const processed = [];
+    for (const text of texts) {
+      if (text.trim().length === 0) {
+        processed.push('');
+        continue;
+      }
+
+      const validation = SafetyUtils.validateInput(text, storageOptIn, redactNames);
+      if (!validation.isValid) {
+        return validation;
+      }
+      processed.push(validation.processedInput);
+    }
+
+    if (!processed.some(Boolean)) {
+      return {
+        isValid: false,
+        error: 'At least one non-empty answer is required'
+      };
+    }
+
+    return {
+      isValid: true,
+      answers: processed
+    };
+  }
+
+  /**
+   * Attach answers to the latest clarifying round of a pending session
+   * @param {Object|null} session - Pending session
+   * @param {Array<string>} answers - Processed answers, aligned with the round's questions by index
+   */
+  recordAnswers(session, answers) {
+    if (!session || !Array.isArray(session.clarifyingRounds) || session.clarifyingRounds.length === 0) return;
+
+    const current = session.clarifyingRounds[session.clarifyingRounds.length - 1];
+    current.answers = answers;
+    current.answeredAt = new Date();
+  }
+
+  /**
+   * Store a follow-up round of questions (or just the latest answers when none are asked)
+   * @param {Object} session - Pending session
+   * @param {Array} questions - New questions ({ field, question }), empty when the loop is done
+   * @param {Array<string>} missingFields - Fields still missing
+   * @param {Object} promptVersions - Stage -> prompt version id
+   * @param {Object} models - Stage -> model that produced it
+   */
+  async saveClarifyingRound(session, questions, missingFields, promptVersions, models = {}) {
+    try {
+      if (questions.length > 0) {
+        session.clarifyingRounds.push({ round: session.clarifyingRounds.length + 1, questions, askedAt: new Date() });
+        session.clarifyingQuestions = questions.map(q => q.question);
+      }
+      session.missingFields = missingFields;
+      session.resolvedFields = clarifyFieldsEnum.filter(field => !missingFields.includes(field));
+      session.promptVersions = { ...Object.fromEntries(session.promptVersions || []), ...promptVersions };
+      session.models = { ...Object.fromEntries(session.models || []), ...models };
+      if (session.expiresAt) {
+        session.expiresAt = this.getPendingExpiry();
+      }
+      await session.save();
+    } catch (error) {
+      console.error('Error saving clarifying round:', error);
+    }
+  }
+
+  /**
+   * Why a session cannot take answers to clarifying questions: it must be pending
+   * and still hold the story the questions were asked about
+   * @param {Object|null} session - Session document
+   * @returns {Object|null} - { status, code, message }, or null when it can take answers
+   */
+  getPendingSessionError(session) {
+    if (!session || session.status !== 'pending') {
+      return { status: 404, code: 'INVALID_SESSION', message: 'No session is waiting for answers with this ID' };
+    }
+    if (!session.input || (session.expiresAt && session.expiresAt <= new Date())) {
+      return { status: 410, code: 'INVALID_SESSION', message: 'The session expired before it was answered; start a new analysis' };
+    }
+    return null;
+  }
+
+  /**
+   * Merge answers with the original input into a structured Q/A prompt input
+   * @param {Object|null} session - Pending session holding the original input and every round's questions
+   * @param {Array<string>} answers - Processed answers to the latest round, aligned with its questions by index
+   * @returns {string} - Merged input, empty when the original input is not stored
+   */
+  mergeAnswersWithInput(session, answers) {
+    const originalInput = session && session.input ? session.input.trim() : '';
+
+    // Sessions created before rounds were tracked only hold the latest questions
+    const rounds = session && Array.isArray(session.clarifyingRounds) && session.clarifyingRounds.length > 0
+      ? session.clarifyingRounds.map(r => ({ questions: r.questions.map(q => q.question), answers: r.answers || [] }))
+      : [{ questions: session && Array.isArray(session.clarifyingQuestions) ? session.clarifyingQuestions : [], answers }];
+
+    const qaLines = [];
+    let n = 0;
+    rounds.forEach(({ questions, answers: roundAnswers }) => {
+      roundAnswers.forEach((answer, i) => {
+        if (!answer) return;
+        if (questions[i]) {
+          n += 1;
+          qaLines.push(`Q${n}: ${questions[i]}`);
+          qaLines.push(`A${n}: ${answer}`);
+        } else {
+          qaLines.push(`Additional detail: ${answer}`);
+        }
+      });
+    });
+
+    if (!originalInput) {
+      // Answers mean little without the story they answer
+      return '';
+    }
+
+    return `Original account:\n${originalInput}\n\nClarifying questions and answers:\n${qaLines.join('\n')}`;
+  }
+
+  /**
+   * Rerun one stage of a stored session from the session's saved upstream outputs.
+   * The regenerated stage always bypasses the response cache. Downstream stages are
+   * rebuilt when rebuildDownstream is set, otherwise they are reported as stale.
+   * A stage that fails keeps its previous output.
+   * @param {Object} session - Stored session document
+   * @param {string} stage - narrativeLoop | spiessMap | summary | tags
+   * @param {Object} options - { guidance, rebuildDownstream, userId, cache }
+   * @param {Object} req - Express request object
+   * @returns {Object} - Regeneration result
+   */
+  async regenerateStage(session, stage, options = {}, req = null) {
+    const startTime = Date.now();
+    const sessionId = session.sessionId.toString();
+    options = { ...options, sessionId };
+    const storageOptIn = session.storageOptIn || false;
+    const redactNames = session.redactNames !== false;
+
+    if (!Object.prototype.hasOwnProperty.call(STAGE_DOWNSTREAM, stage)) {
+      return this.buildValidationError(sessionId, `stage must be one of: ${Object.keys(STAGE_DOWNSTREAM).join(', ')}`);
+    }
+
+    try {
+      let guidance = null;
+      if (options.guidance) {
+        // Guidance gets the same safety checks and redaction as the original input
+        const validation = SafetyUtils.validateInput(options.guidance, storageOptIn, redactNames);
+        if (!validation.isValid) {
+          if (validation.isCrisis) {
+            await AnalyticsService.trackSafeExit(sessionId, 'crisis_detected', options.userId, req);
+            return { success: false, sessionId, response: validation.response };
+          }
+          return this.buildValidationError(sessionId, validation.error);
+        }
+        guidance = validation.processedInput;
+      }
+
+      const outputs = this.getStoredOutputs(session);
+      const missingUpstream = this.getMissingUpstream(stage, outputs);
+      if (missingUpstream) {
+        return this.buildValidationError(sessionId, `Cannot regenerate ${stage}: ${missingUpstream} has no stored output. Regenerate ${missingUpstream} first.`);
+      }
+
+      let input = null;
+      if (stage === 'narrativeLoop') {
+        const validation = SafetyUtils.validateInput(this.getSessionInput(session), storageOptIn, redactNames);
+        if (!validation.isValid) {
+          return this.buildValidationError(sessionId, 'The original input is not stored for this session');
+        }
+        input = validation.processedInput;
+      }
+
+      // A follow-up session's stages are rebuilt with what its previous session found
+      const { previous } = await this.withThread({}, session.parentSessionId);
+
+      const planned = options.rebuildDownstream ? [stage, ...STAGE_DOWNSTREAM[stage]] : [stage];
+      const stageMeta = {};
+      const regeneratedStages = [];
+      const failed = new Set();
+
+      for (const name of planned) {
+        // Stages built from one that failed in this run keep their old output
+        if (this.getUpstream(name).some(upstream => failed.has(upstream))) continue;
+
+        const meta = this.createStageMeta(name === stage ? { ...options, cache: false } : options);
+        stageMeta[name] = meta;
+
+        let output;
+        if (name === 'narrativeLoop') {
+          output = await this.buildNarrativeLoop(input, meta, guidance, previous);
+        } else if (name === 'spiessMap') {
+          output = await this.buildSpiessMap(outputs.narrativeLoop, meta, name === stage ? guidance : null, previous);
+        } else if (name === 'toolAction') {
+          output = await this.buildToolAction(outputs.narrativeLoop, outputs.spiessMap, meta, name === stage ? guidance : null, previous);
+        } else if (name === 'summary') {
+          output = await this.buildSummary(outputs.narrativeLoop, outputs.spiessMap, meta, name === stage ? guidance : null, previous);
+        } else {
+          output = await this.classifyTags(outputs.narrativeLoop, outputs.spiessMap, meta, name === stage ? guidance : null);
+        }
+
+        if (meta.status === 'failed') {
+          await this.reportStageFailure(sessionId, name, meta, options, req);
+          if (name === stage) {
+            return this.buildStageFailureResult(sessionId, { failedStages: [{ stage, ...meta.error }] });
+          }
+          failed.add(name);
+          continue;
+        }
+
+        if (name === 'tags') {
+          outputs.tags = output.map(t => t.tag);
+          outputs.tagEvidence = output;
+        } else if (name === 'toolAction') {
+          outputs.spiessMap = { ...outputs.spiessMap, toolAction: output };
+        } else if (name === 'spiessMap') {
+          // The stored tool action is kept, stale, until toolAction is rebuilt too
+          outputs.spiessMap = { ...output, toolAction: outputs.spiessMap ? outputs.spiessMap.toolAction : null };
+        } else {
+          outputs[name] = output;
+        }
+        regeneratedStages.push(name);
+        await this.trackRegeneratedStage(sessionId, name, name === 'spiessMap' ? outputs.spiessMap : output, options, req, meta);
+      }
+
+      // Everything built from a regenerated stage is stale until it is rebuilt too
+      const stale = new Set(session.staleStages || []);
+      STAGE_DOWNSTREAM[stage].forEach(name => stale.add(name));
+      regeneratedStages.forEach(name => stale.delete(name));
+
+      const failedStages = Object.entries(stageMeta)
+        .filter(([, meta]) => meta.status === 'failed')
+        .map(([name, meta]) => ({ stage: name, ...meta.error }));
+
+      return {
+        success: true,
+        sessionId,
+        stage: 'completed',
+        regeneratedStage: stage,
+        regeneratedStages,
+        staleStages: Object.keys(STAGE_DOWNSTREAM).filter(name => stale.has(name)),
+        narrativeLoop: outputs.narrativeLoop,
+        spiessMap: outputs.spiessMap,
+        summary: outputs.summary,
+        tags: outputs.tags || [],
+        tagEvidence: outputs.tagEvidence || [],
+        status: failedStages.length > 0 ? 'partial' : 'complete',
+        failedStages,
+        promptVersions: this.collectPromptVersions(stageMeta),
+        models: this.collectModels(stageMeta),
+        provenance: this.collectProvenance(stageMeta),
+        processingTime: Date.now() - startTime
+      };
+
+    } catch (error) {
+      console.error('Stage regeneration error:', error);
+      return {
+        success: false,
+        sessionId,
+        error: {
+          code: 'AI_PROCESSING_ERROR',
+          message: 'Stage regeneration failed due to processing error',
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+  }
+
+  /**
+   * Stage outputs saved on a session; stages that were never built are null
+   * @param {Object} session - Stored session document
+   * @returns {Object} - Stage name -> output
+   */
+  getStoredOutputs(session) {
+    const data = typeof session.toObject === 'function' ? session.toObject() : session;
+    const { narrativeLoop, spiessMap, summary } = data;
+
+    return {
+      narrativeLoop: narrativeLoop && narrativeLoop.trigger ? narrativeLoop : null,
+      spiessMap: spiessMap && (spiessMap.confirmationBias || (spiessMap.emotions || []).length > 0) ? spiessMap : null,
+      summary: summary && summary.content ? summary : null,
+      tags: Array.isArray(data.tags) ? data.tags : [],
+      tagEvidence: Array.isArray(data.tagEvidence) ? data.tagEvidence : []
+    };
+  }
+
+  /**
+   * Stages built from a stage's output, in pipeline order
+   * @param {string} stage - Stage name
+   * @returns {Array<string>}
+   */
+  getDownstreamStages(stage) {
+    return STAGE_DOWNSTREAM[stage] ? [...STAGE_DOWNSTREAM[stage]] : [];
+  }
+
+  /**
+   * Stage that produced the field at a provenance path. The tool action is stored
+   * inside the SPIESS map but built by its own stage.
+   * @param {string} path - Field path, e.g. 'spiessMap.toolAction.steps'
+   * @returns {string} - Stage name
+   */
+  getProvenanceStage(path) {
+    return path.startsWith('spiessMap.toolAction') ? 'toolAction' : path.split('.')[0];
+  }
+
+  /**
+   * Stages whose output a stage is built from
+   * @param {string} stage - Stage name
+   * @returns {Array<string>}
+   */
+  getUpstream(stage) {
+    return Object.keys(STAGE_DOWNSTREAM).filter(name => STAGE_DOWNSTREAM[name].includes(stage));
+  }
+
+  /**
+   * First upstream stage a stage needs that has no output
+   * @param {string} stage - Stage name
+   * @param {Object} outputs - Stage name -> output
+   * @returns {string|null} - Missing stage name, or null when the stage can run
+   */
+  getMissingUpstream(stage, outputs) {
+    return this.getUpstream(stage).find(name => !outputs[name]) || null;
+  }
+
+  /**
+   * Input the narrative loop was built from: the stored account plus any clarifying answers
+   * @param {Object} session - Stored session document
+   * @returns {string} - Input text, empty when nothing was stored
+   */
+  getSessionInput(session) {
+    const answered = Array.isArray(session.clarifyingRounds) &&
+      session.clarifyingRounds.some(r => Array.isArray(r.answers) && r.answers.length > 0);
+    if (answered) {
+      return this.mergeAnswersWithInput(session, []);
+    }
+    return session.input ? session.input.trim() : '';
+  }
+
+  /**
+   * Track a stage rebuilt by regeneration with the same events the pipeline emits
+   * @param {string} sessionId - Session ID
+   * @param {string} stage - Stage name
+   * @param {any} output - Stage output
+   * @param {Object} options - Processing options
+   * @param {Object} req - Express request object
+   * @param {Object} meta - Stage metadata
+   */
+  async trackRegeneratedStage(sessionId, stage, output, options, req, meta) {
+    if (stage === 'narrativeLoop') {
+      await AnalyticsService.trackLoopBuilt(sessionId, output, options.userId, req, meta);
+    } else if (stage === 'spiessMap') {
+      await AnalyticsService.trackSpiessBuilt(sessionId, output, options.userId, req, meta);
+    } else if (stage === 'toolAction') {
+      await AnalyticsService.trackToolActionBuilt(sessionId, output, options.userId, req, meta);
+    } else if (stage === 'summary') {
+      await AnalyticsService.trackSummaryBuilt(sessionId, output, options.userId, req, meta);
+    } else if (stage === 'tags') {
+      await AnalyticsService.trackTagsClassified(sessionId, output, options.userId, req, meta);
+    }
+  }
+
+  /**
+   * Validation error result
+   * @param {string} sessionId - Session ID
+   * @param {string} message - Error message
+   * @returns {Object}
+   */
+  buildValidationError(sessionId, message) {
+    return {
+      success: false,
+      sessionId,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Process input through all analysis stages.
+   * A failed stage yields null and skips the stages that depend on it; status is
+   * 'complete' when every stage ran, 'partial' when some failed and 'failed' when
+   * the narrative loop itself could not be built. With options.offline, or when the
+   * narrative loop fails because the provider is unavailable, the offline heuristics are used.
+   * @param {string} input - Processed input
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - Processing options (onStage receives each stage result as it completes)
+   * @param {Object} req - Express request object
+   * @returns {Object} - Complete analysis result
+   */
+  async processStages(input, sessionId, options = {}, req = null) {
+    if (options.offline) {
+      return this.processOfflineStages(input, sessionId, options, req, 'requested');
+    }
+
+    const stageMeta = {
+      narrativeLoop: this.createStageMeta(options),
+      spiessMap: this.createStageMeta(options),
+      toolAction: this.createStageMeta(options),
+      summary: this.createStageMeta(options),
+      tags: this.createStageMeta(options)
+    };
+    // Only follow-up sessions have a previous loop to compare with
+    if (options.previous) {
+      stageMeta.comparison = this.createStageMeta(options);
+    }
+
+    // Stage 1: Narrative Loop
+    const narrativeLoop = await this.runStage('narrativeLoop', stageMeta.narrativeLoop, options,
+      () => this.buildNarrativeLoop(input, stageMeta.narrativeLoop, null, options.previous));
+    if (narrativeLoop) {
+      if (!stageMeta.narrativeLoop.resumed) {
+        await AnalyticsService.trackLoopBuilt(sessionId, narrativeLoop, options.userId, req, stageMeta.narrativeLoop);
+      }
+      this.emitStage(options, 'loop_built', { narrativeLoop });
+    } else {
+      await this.reportStageFailure(sessionId, 'narrativeLoop', stageMeta.narrativeLoop, options, req);
+      if (this.canFallBackOffline(stageMeta.narrativeLoop.error)) {
+        return this.processOfflineStages(input, sessionId, options, req, stageMeta.narrativeLoop.error.code);
+      }
+    }
+
+    // Stage 2: SPIESS Map
+    const observations = narrativeLoop
+      ? await this.runStage('spiessMap', stageMeta.spiessMap, options,
+        () => this.buildSpiessMap(narrativeLoop, stageMeta.spiessMap, null, options.previous))
+      : this.skipStage(stageMeta.spiessMap);
+
+    // Stage 3: Tool action, filled from the chosen protocol's template
+    const toolAction = observations
+      ? await this.runStage('toolAction', stageMeta.toolAction, options,
+        () => this.buildToolAction(narrativeLoop, observations, stageMeta.toolAction, null, options.previous))
+      : this.skipStage(stageMeta.toolAction);
+
+    const spiessMap = observations ? { ...observations, toolAction } : null;
+    if (spiessMap) {
+      if (!stageMeta.spiessMap.resumed) {
+        await AnalyticsService.trackSpiessBuilt(sessionId, spiessMap, options.userId, req, stageMeta.spiessMap);
+      }
+      if (!stageMeta.toolAction.resumed) {
+        await AnalyticsService.trackToolActionBuilt(sessionId, toolAction, options.userId, req, stageMeta.toolAction);
+      }
+      this.emitStage(options, 'spiess_built', { spiessMap });
+    } else if (stageMeta.spiessMap.status === 'failed') {
+      await this.reportStageFailure(sessionId, 'spiessMap', stageMeta.spiessMap, options, req);
+    }
+
+    // Stage 4: Summary
+    const summary = narrativeLoop && spiessMap
+      ? await this.runStage('summary', stageMeta.summary, options,
+        () => this.buildSummary(narrativeLoop, spiessMap, stageMeta.summary, null, options.previous))
+      : this.skipStage(stageMeta.summary);
+    if (summary) {
+      if (!stageMeta.summary.resumed) {
+        await AnalyticsService.trackSummaryBuilt(sessionId, summary, options.userId, req, stageMeta.summary);
+      }
+      this.emitStage(options, 'summary_built', { summary });
+    } else if (stageMeta.summary.status === 'failed') {
+      await this.reportStageFailure(sessionId, 'summary', stageMeta.summary, options, req);
+    }
+
+    // Stage 5: Mechanism tags
+    const tagEvidence = narrativeLoop && spiessMap
+      ? await this.runStage('tags', stageMeta.tags, options,
+        () => this.classifyTags(narrativeLoop, spiessMap, stageMeta.tags))
+      : this.skipStage(stageMeta.tags);
+    const tags = (tagEvidence || []).map(t => t.tag);
+    if (tagEvidence && !stageMeta.tags.resumed) {
+      await AnalyticsService.trackTagsClassified(sessionId, tagEvidence, options.userId, req, stageMeta.tags);
+    }
+    this.emitStage(options, 'tags', { tags, tagEvidence: tagEvidence || [] });
+
+    // Stage 6: What changed since the previous session
+    let comparison = null;
+    if (stageMeta.comparison) {
+      comparison = narrativeLoop && spiessMap
+        ? await this.runStage('comparison', stageMeta.comparison, options,
+          () => this.buildComparison(options.previous, narrativeLoop, spiessMap, stageMeta.comparison))
+        : this.skipStage(stageMeta.comparison);
+      if (comparison) {
+        if (!stageMeta.comparison.resumed) {
+          await AnalyticsService.trackComparisonBuilt(sessionId, comparison, options.userId, req, stageMeta.comparison);
+        }
+        this.emitStage(options, 'comparison_built', { comparison });
+      }
+    }
+
+    const failedStages = Object.entries(stageMeta)
+      .filter(([, meta]) => meta.status === 'failed')
+      .map(([stage, meta]) => ({ stage, ...meta.error }));
+    const skippedStages = Object.entries(stageMeta)
+      .filter(([, meta]) => meta.status === 'skipped')
+      .map(([stage]) => stage);
+
+    let status = 'complete';
+    if (!narrativeLoop) status = 'failed';
+    else if (failedStages.length > 0) status = 'partial';
+
+    return {
+      narrativeLoop,
+      spiessMap,
+      summary,
+      tags,
+      tagEvidence: tagEvidence || [],
+      tagSource: stageMeta.tags.fallback || (tagEvidence ? 'model' : null),
+      toolActionSource: stageMeta.toolAction.fallback || (toolAction ? 'model' : null),
+      comparison,
+      comparisonSource: stageMeta.comparison ? stageMeta.comparison.fallback || (comparison ? 'model' : null) : null,
+      status,
+      failedStages,
+      skippedStages,
+      promptVersions: this.collectPromptVersions(stageMeta),
+      models: this.collectModels(stageMeta),
+      provenance: this.collectProvenance(stageMeta),
+      mode: 'online',
+      stage: 'completed'
+    };
+  }
+
+  /**
+   * Whether a narrative loop failure should fall back to the offline heuristics
+   * @param {Object} error - Stage error ({ code, message })
+   * @returns {boolean}
+   */
+  canFallBackOffline(error) {
+    return OFFLINE_FALLBACK_ENABLED && !!error && PROVIDER_UNAVAILABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * Build the analysis with the rule-based offline heuristics instead of the model.
+   * Emits the same stage events as processStages.
+   * @param {string} input - Processed input
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - Processing options
+   * @param {Object} req - Express request object
+   * @param {string} reason - 'requested', or the provider error code that triggered the fallback
+   * @returns {Object} - Complete analysis result with mode 'offline'
+   */
+  async processOfflineStages(input, sessionId, options = {}, req = null, reason = 'requested') {
+    this.throwIfCancelled(options);
+
+    const { narrativeLoop, spiessMap, summary, provenance } = offlineAnalysisService.analyze(input);
+    this.emitStage(options, 'loop_built', { narrativeLoop });
+    this.emitStage(options, 'spiess_built', { spiessMap });
+    this.emitStage(options, 'summary_built', { summary });
+
+    const tags = await this.detectMechanisms(narrativeLoop, spiessMap);
+    const tagEvidence = tags.map(tag => ({ tag, confidence: null, evidence: null }));
+    this.emitStage(options, 'tags', { tags, tagEvidence });
+
+    const comparison = options.previous ? offlineAnalysisService.compareWithPrevious(options.previous, narrativeLoop) : null;
+    if (comparison) {
+      this.emitStage(options, 'comparison_built', { comparison });
+    }
+
+    await AnalyticsService.trackOfflineAnalysis(sessionId, reason, options.userId, req);
+
+    return {
+      narrativeLoop,
+      spiessMap,
+      summary,
+      tags,
+      tagEvidence,
+      tagSource: 'heuristic',
+      toolActionSource: 'heuristic',
+      comparison,
+      comparisonSource: comparison ? 'heuristic' : null,
+      status: 'complete',
+      failedStages: [],
+      skippedStages: [],
+      promptVersions: {},
+      models: {},
+      provenance,
+      mode: 'offline',
+      offlineReason: reason,
+      stage: 'completed'
+    };
+  }
+
+  /**
+   * Run one pipeline stage, or reuse its checkpointed output when resuming.
+   * Options used by the job queue:
+   *   resume - stage -> { output, promptVersion, model } saved by an earlier attempt
+   *   onStageStart(stage) / onStageComplete(stage, output, meta) - checkpoint hooks
+   *   signal - AbortSignal; cancellation takes effect between stages
+   * @param {string} stage - Stage name
+   * @param {Object} meta - Stage metadata collector
+   * @param {Object} options - Processing options
+   * @param {Function} build - Produces the stage output
+   * @returns {Promise<any>} - Stage output
+   */
+  async runStage(stage, meta, options, build) {
+    this.throwIfCancelled(options);
+
+    const saved = options.resume && options.resume[stage];
+    if (saved) {
+      meta.status = 'ok';
+      meta.promptVersion = saved.promptVersion || null;
+      meta.model = saved.model || null;
+      meta.provenance = saved.provenance || [];
+      meta.resumed = true;
+      return saved.output;
+    }
+
+    if (typeof options.onStageStart === 'function') {
+      await options.onStageStart(stage);
+    }
+
+    const output = await build();
+
+    // Failed stages are not checkpointed so a resumed run tries them again
+    if (meta.status !== 'failed' && typeof options.onStageComplete === 'function') {
+      await options.onStageComplete(stage, output, meta);
+    }
+    this.throwIfCancelled(options);
+
+    return output;
+  }
+
+  /**
+   * Whether the caller cancelled this run
+   * @param {Object} options - Processing options, may contain an AbortSignal
+   * @returns {boolean}
+   */
+  isCancelled(options) {
+    return !!(options.signal && options.signal.aborted);
+  }
+
+  /**
+   * Stop the pipeline if the caller cancelled it
+   * @param {Object} options - Processing options, may contain an AbortSignal
+   */
+  throwIfCancelled(options) {
+    if (this.isCancelled(options)) {
+      throw options.signal.reason || new Error('Analysis cancelled');
+    }
+  }
+
+  /**
+   * Mark a stage as skipped because a stage it depends on failed
+   * @param {Object} meta - Stage metadata collector
+   * @returns {null}
+   */
+  skipStage(meta) {
+    meta.status = 'skipped';
+    return null;
+  }
+
+  /**
+   * Track and emit a stage failure
+   * @param {string} sessionId - Session ID
+   * @param {string} stage - Stage name
+   * @param {Object} meta - Failed stage metadata
+   * @param {Object} options - Processing options
+   * @param {Object} req - Express request object
+   */
+  async reportStageFailure(sessionId, stage, meta, options, req) {
+    await AnalyticsService.trackStageFailed(sessionId, stage, meta.error, options.userId, req, meta);
+    this.emitStage(options, 'stage_failed', { stage, error: meta.error });
+  }
+
+  /**
+   * Map each stage to the prompt version that produced it
+   * @param {Object} stageMeta - Stage name -> stage metadata
+   * @returns {Object} - Stage name -> prompt version id
+   */
+  collectPromptVersions(stageMeta) {
+    const versions = {};
+    for (const [stage, meta] of Object.entries(stageMeta)) {
+      if (meta && meta.promptVersion) versions[stage] = meta.promptVersion;
+    }
+    return versions;
+  }
+
+  /**
+   * Map each stage to the model that produced it
+   * @param {Object} stageMeta - Stage name -> stage metadata
+   * @returns {Object} - Stage name -> model name
+   */
+  collectModels(stageMeta) {
+    const models = {};
+    for (const [stage, meta] of Object.entries(stageMeta)) {
+      if (meta && meta.model) models[stage] = meta.model;
+    }
+    return models;
+  }
+
+  /**
+   * Field provenance of every stage that produced output
+   * @param {Object} stageMeta - Stage name -> stage metadata
+   * @returns {Array<Object>} - { path, source, confidence } entries
+   */
+  collectProvenance(stageMeta) {
+    return Object.values(stageMeta).flatMap(meta => (meta && meta.provenance) || []);
+  }
+
+  /**
+   * Notify a progress listener (e.g. an SSE stream) that a stage finished.
+   * Listener errors never break the pipeline.
+   * @param {Object} options - Processing options, may contain onStage(event, data)
+   * @param {string} event - Stage event name
+   * @param {Object} data - Stage output
+   */
+  emitStage(options, event, data) {
+    if (typeof options.onStage !== 'function') return;
+    try {
+      options.onStage(event, data);
+    } catch (error) {
+      console.error(`Error emitting stage event ${event}:`, error);
+    }
+  }
+
+  /**
+   * Messages for a stage prompt, with optional user guidance as a follow-up turn
+   * @param {string} prompt - Rendered stage prompt
+   * @param {string|null} guidance - Processed guidance text
+   * @returns {Array} - Chat messages
+   */
+  buildStageMessages(prompt, guidance = null) {
+    const messages = [{ role: "user", content: prompt }];
+    if (guidance) {
+      messages.push({ role: "user", content: `Guidance from the user for this version: ${guidance}` });
+    }
+    return messages;
+  }
+
+  /**
+   * Build narrative loop (Stage 1)
+   * @param {string} input - Processed input
+   * @param {Object} meta - Stage metadata collector
+   * @param {string|null} guidance - Optional user guidance when regenerating
+   * @param {Object|null} previous - Previous session context, for follow-up sessions
+   * @returns {Object|null} - Narrative loop data, or null when the stage failed
+   */
+  async buildNarrativeLoop(input, meta = this.createStageMeta(), guidance = null, previous = null) {
+    try {
+      const prompt = await this.renderPrompt('narrativeLoop', {
+        input,
+        previousSession: previous || 'none'
+      }, meta);
+      const parsed = await this.completeStructured('narrativeLoop', this.buildStageMessages(prompt, guidance), meta);
       if (!parsed.ok) {
-        // One retry: ask model to return only valid JSON
-        const fixed = await this.retryJsonFix('a JSON object with keys: trigger, fear, emotion, outcome, whyItFeelsReal, hiddenLogic, breakingActions (array of strings), mechanisms (array of strings)', raw);
-        parsed = this.safeJsonParse(fixed);
+        throw new LlmError('Model output could not be parsed as JSON', { code: 'LLM_INVALID_OUTPUT' });
       }
-      let narrativeLoop = parsed.ok ? parsed.data : {};
+      meta.status = 'ok';
       // Normalize before validation to reduce errors
-      narrativeLoop = this.normalizeNarrativeLoop(narrativeLoop);
+      const normalized = this.normalizeNarrativeLoop(parsed.data);
+      let narrativeLoop = normalized;
       
       // Validate against schema
       const { error } = narrativeLoopSchema.validate(narrativeLoop);
       if (error) {
         console.error('Narrative loop validation error:', error);
-        return this.repairNarrativeLoop(narrativeLoop);
+        meta.repairs.push('schema_repair');
+        narrativeLoop = this.repairNarrativeLoop(normalized);
       }
 
+      meta.provenance = this.traceProvenance('narrativeLoop', parsed.data, normalized, narrativeLoop);
       return narrativeLoop;
     } catch (error) {
-      console.error('Error building narrative loop:', error);
-      return this.getDefaultNarrativeLoop();
+      return this.failStage('narrative loop', meta, error);
     }
   }
 
   /**
-   * Build SPIESS map (Stage 2)
+   * Build SPIESS map (Stage 2), without its tool action (see buildToolAction)
    * @param {Object} narrativeLoop - Narrative loop data
-   * @returns {Object} - SPIESS map data
-   */
-  async buildSpiessMap(narrativeLoop) {
-    const prompt = `Convert this narrative loop into a SPIESS map. Return a JSON object with these exact fields:
-    {
-      "sensations": ["physical sensation 1", "physical sensation 2"] (1-5 sensations, max 200 chars each),
-      "emotions": ["emotion 1", "emotion 2"] (1-5 emotions, max 200 chars each),
-      "needs": ["need1", "need2"] (1-3 needs from: ${needsEnum.join(', ')}),
-      "confirmationBias": "Cause-effect sentence about confirmation bias (max 1000 chars)",
-      "microTest": {
-        "description": "Test description (max 500 chars)",
-        "timeframe": "Within 24 hours (max 100 chars)",
-        "successCriteria": "How to measure success (max 300 chars)"
-      },
-      "toolAction": {
-        "protocol": "STOP" or "Values First" or "Bridge Belief",
-        "steps": ["Step 1", "Step 2", "Step 3"] (1-5 steps, max 300 chars each),
-        "example": "Concrete example (max 500 chars)"
-      }
-    }
-    
-    Narrative Loop: ${JSON.stringify(narrativeLoop)}`;
-
+   * @param {Object} meta - Stage metadata collector
+   * @param {string|null} guidance - Optional user guidance when regenerating
+   * @param {Object|null} previous - Previous session context, for follow-up sessions
+   * @returns {Object|null} - SPIESS map data, or null when the stage failed
+   */
+  async buildSpiessMap(narrativeLoop, meta = this.createStageMeta(), guidance = null, previous = null) {
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 2000,
-        temperature: 0.3
-      });
-      const raw = response.choices[0].message.content;
-      let parsed = this.safeJsonParse(raw);
+      const prompt = await this.renderPrompt('spiessMap', {
+        narrativeLoop,
+        needsEnum,
+        previousSession: previous || 'none'
+      }, meta);
+      const parsed = await this.completeStructured('spiessMap', this.buildStageMessages(prompt, guidance), meta);
       if (!parsed.ok) {
-        const fixed = await this.retryJsonFix('a JSON object with keys: sensations (array of strings), emotions (array of strings), needs (array of strings), confirmationBias (string), microTest (object with description, timeframe, successCriteria), toolAction (object with protocol, steps array, example)', raw);
-        parsed = this.safeJsonParse(fixed);
+        throw new LlmError('Model output could not be parsed as JSON', { code: 'LLM_INVALID_OUTPUT' });
       }
-      let spiessMap = parsed.ok ? parsed.data : {};
+      meta.status = 'ok';
       // Normalize before validation to reduce errors
-      spiessMap = this.normalizeSpiessMap(spiessMap);
+      const normalized = this.normalizeSpiessMap(parsed.data);
+      let spiessMap = normalized;
       
       // Validate against schema
-      const { error } = spiessMapSchema.validate(spiessMap);
+      const { error } = spiessMapStageSchema.validate(spiessMap);
       if (error) {
         console.error('SPIESS map validation error:', error);
-        return this.repairSpiessMap(spiessMap);
+        meta.repairs.push('schema_repair');
+        spiessMap = this.repairSpiessMap(normalized);
       }
 
+      meta.provenance = this.traceProvenance('spiessMap', parsed.data, normalized, spiessMap);
       return spiessMap;
     } catch (error) {
-      console.error('Error building SPIESS map:', error);
-      return this.getDefaultSpiessMap();
+      return this.failStage('SPIESS map', meta, error);
     }
   }
 
   /**
-   * Build summary (Stage 3)
+   * Build the tool action (Stage 3): choose a protocol and fill its template's step slots
+   * (see config/protocols.js). Slots the model leaves empty or that break the template's
+   * rules get the template's fallback text. When the model is unavailable the protocol is
+   * chosen from the strongest emotion and filled with fallbacks.
    * @param {Object} narrativeLoop - Narrative loop data
    * @param {Object} spiessMap - SPIESS map data
-   * @returns {Object} - Summary data
+   * @param {Object} meta - Stage metadata collector
+   * @param {string|null} guidance - Optional user guidance when regenerating
+   * @param {Object|null} previous - Previous session context, for follow-up sessions
+   * @returns {Object} - Tool action ({ protocol, rationale, steps, example })
    */
-  async buildSummary(narrativeLoop, spiessMap) {
-    const prompt = `Create a concise summary under 250 words. Return a JSON object with these exact fields:
-    {
-      "content": "Summary under 250 words that names key mechanisms and provides insight",
-      "mechanisms": ["mechanism1", "mechanism2"] (1-5 key mechanisms, max 100 chars each),
-      "nextStep": "One clear next step (max 200 chars)"
+  async buildToolAction(narrativeLoop, spiessMap, meta = this.createStageMeta(), guidance = null, previous = null) {
+    const { microTest, toolAction, ...observations } = spiessMap;
+    try {
+      const prompt = await this.renderPrompt('toolAction', {
+        narrativeLoop,
+        spiessMap: observations,
+        protocols: protocolService.describeForPrompt(),
+        previousSession: previous || 'none'
+      }, meta);
+      const parsed = await this.completeStructured('toolAction', this.buildStageMessages(prompt, guidance), meta);
+      if (!parsed.ok || !parsed.data) {
+        throw new LlmError('Model output could not be parsed as JSON', { code: 'LLM_INVALID_OUTPUT' });
+      }
+      const protocol = typeof parsed.data.protocol === 'string' ? parsed.data.protocol.trim() : '';
+      if (!protocolService.getTemplate(protocol)) {
+        throw new LlmError(`Model chose an unknown protocol: ${protocol || 'none'}`, { code: 'LLM_INVALID_OUTPUT' });
+      }
+      meta.status = 'ok';
+
+      // First text per slot; slots of other protocols are ignored by the template
+      const texts = {};
+      for (const item of Array.isArray(parsed.data.slots) ? parsed.data.slots : []) {
+        if (item && typeof item.slot === 'string' && typeof item.text === 'string' && !(item.slot in texts)) {
+          texts[item.slot] = item.text;
+        }
+      }
+
+      const { toolAction: built, sources } = protocolService.fill(protocol, texts, parsed.data);
+      if (Object.values(sources).some(source => source !== 'model')) {
+        meta.repairs.push('schema_repair');
+      }
+      meta.provenance = Object.entries(sources)
+        .map(([field, source]) => ({ path: `spiessMap.toolAction.${field}`, source, confidence: null }));
+      return built;
+    } catch (error) {
+      console.error('Error building tool action, using the protocol template:', error);
+      meta.status = 'ok';
+      meta.fallback = 'heuristic';
+      meta.error = {
+        code: error instanceof LlmError ? error.code : 'AI_PROCESSING_ERROR',
+        message: error instanceof LlmError ? error.message : 'Tool action generation failed'
+      };
+
+      const { toolAction: suggested, matched } = offlineAnalysisService.suggestToolAction(observations.emotions);
+      const source = matched ? 'heuristic' : 'default';
+      meta.provenance = [
+        { path: 'spiessMap.toolAction.protocol', source, confidence: null },
+        { path: 'spiessMap.toolAction.rationale', source, confidence: null },
+        { path: 'spiessMap.toolAction.steps', source: 'default', confidence: null },
+        { path: 'spiessMap.toolAction.example', source: 'default', confidence: null }
+      ];
+      return suggested;
     }
-    
-    Narrative Loop: ${JSON.stringify(narrativeLoop)}
-    SPIESS Map: ${JSON.stringify(spiessMap)}`;
+  }
 
+  /**
+   * Build summary (Stage 4)
+   * @param {Object} narrativeLoop - Narrative loop data
+   * @param {Object} spiessMap - SPIESS map data
+   * @param {Object} meta - Stage metadata collector
+   * @param {string|null} guidance - Optional user guidance when regenerating
+   * @param {Object|null} previous - Previous session context, for follow-up sessions
+   * @returns {Object|null} - Summary data, or null when the stage failed
+   */
+  async buildSummary(narrativeLoop, spiessMap, meta = this.createStageMeta(), guidance = null, previous = null) {
     try {
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 500,
-        temperature: 0.3
-      });
-      const raw = response.choices[0].message.content;
-      let parsed = this.safeJsonParse(raw);
+      const prompt = await this.renderPrompt('summary', {
+        narrativeLoop,
+        spiessMap,
+        previousSession: previous || 'none'
+      }, meta);
+      const parsed = await this.completeStructured('summary', this.buildStageMessages(prompt, guidance), meta);
       if (!parsed.ok) {
-        const fixed = await this.retryJsonFix('a JSON object with keys: content (string), mechanisms (array of strings), nextStep (string)', raw);
-        parsed = this.safeJsonParse(fixed);
+        throw new LlmError('Model output could not be parsed as JSON', { code: 'LLM_INVALID_OUTPUT' });
       }
-      const summary = parsed.ok ? parsed.data : this.getDefaultSummary();
-      
-      // Ensure content is under 250 characters (matches mongoose schema)
-      if (summary.content && summary.content.length > 250) {
-        summary.content = summary.content.slice(0, 250);
+      meta.status = 'ok';
+      const normalized = this.normalizeSummary(parsed.data);
+      let summary = normalized;
+
+      // Validate against schema
+      const { error } = summarySchema.validate(summary);
+      if (error) {
+        console.error('Summary validation error:', error);
+        meta.repairs.push('schema_repair');
+        summary = this.repairSummary(normalized);
       }
 
+      meta.provenance = this.traceProvenance('summary', parsed.data, normalized, summary);
       return summary;
     } catch (error) {
-      console.error('Error building summary:', error);
-      return this.getDefaultSummary();
+      return this.failStage('summary', meta, error);
     }
   }
 
   /**
-   * Detect mechanisms and generate tags
+   * Compare a follow-up session's loop with the previous session's (Stage 6).
+   * When the model is unavailable or its output is unusable, the loops are compared
+   * by the words their trigger and fear share instead.
+   * @param {Object} previous - Previous session context (see threadService.describePrevious)
    * @param {Object} narrativeLoop - Narrative loop data
    * @param {Object} spiessMap - SPIESS map data
-   * @returns {Array} - Array of detected tags
+   * @param {Object} meta - Stage metadata collector
+   * @returns {Object} - Comparison ({ trigger, fear, intensity, changes, summary })
    */
-  async detectMechanisms(narrativeLoop, spiessMap) {
-    const tags = [];
-    const allowedTags = [
-      'fear_of_rejection',
-      'autonomy_threat',
-      'perfectionism',
-      'people_pleasing',
-      'boundary_signaling',
-      'attention_testing',
-      'vulnerability_avoidance'
-    ];
-    
-    // Check for specific mechanisms
-    const text = `${JSON.stringify(narrativeLoop)} ${JSON.stringify(spiessMap)}`.toLowerCase();
-    
-    // Note: Do not add a tag for confirmation bias; it is represented in SPIESS, not tags
-    
-    if (text.includes('rejection') || text.includes('rejection_sensitivity')) {
-      tags.push('fear_of_rejection');
-    }
-    
-    if (text.includes('control') || text.includes('autonomy')) {
-      tags.push('autonomy_threat');
-    }
-    
-    if (text.includes('perfect') || text.includes('perfectionism')) {
-      tags.push('perfectionism');
-    }
-    
-    if (text.includes('people pleas') || text.includes('approval')) {
-      tags.push('people_pleasing');
+  async buildComparison(previous, narrativeLoop, spiessMap, meta = this.createStageMeta()) {
+    const { microTest, toolAction, ...observations } = spiessMap;
+    try {
+      const prompt = await this.renderPrompt('comparison', {
+        previousSession: previous,
+        narrativeLoop,
+        spiessMap: observations
+      }, meta);
+      const parsed = await this.completeStructured('comparison', this.buildStageMessages(prompt), meta);
+      if (!parsed.ok) {
+        throw new LlmError('Model output could not be parsed as JSON', { code: 'LLM_INVALID_OUTPUT' });
+      }
+
+      const { value, error } = comparisonSchema.validate(parsed.data, { stripUnknown: true });
+      if (error) {
+        throw new LlmError(`Model comparison failed validation: ${error.message}`, { code: 'LLM_INVALID_OUTPUT' });
+      }
+      meta.status = 'ok';
+      return value;
+    } catch (error) {
+      console.error('Error comparing with the previous session, using the heuristic comparison:', error);
+      meta.status = 'ok';
+      meta.fallback = 'heuristic';
+      meta.error = {
+        code: error instanceof LlmError ? error.code : 'AI_PROCESSING_ERROR',
+        message: error instanceof LlmError ? error.message : 'Comparison failed'
+      };
+      return offlineAnalysisService.compareWithPrevious(previous, narrativeLoop);
     }
-    
-    if (text.includes('boundary') || text.includes('limit')) {
-      tags.push('boundary_signaling');
+  }
+
+  /**
+   * Trace where each output field came from. Object fields (microTest, toolAction)
+   * are traced per sub-field; confidence is the model's own score for the field, if given.
+   * @param {string} stage - Stage name, used as the path prefix
+   * @param {Object} raw - Parsed model output
+   * @param {Object} normalized - Output after normalization
+   * @param {Object} final - Output after validation and any repair
+   * @returns {Array<Object>} - { path, source, confidence } entries
+   */
+  traceProvenance(stage, raw, normalized, final) {
+    const scores = raw && typeof raw.confidence === 'object' && raw.confidence !== null ? raw.confidence : {};
+    const entries = [];
+
+    const trace = (path, rawValue, normalizedValue, finalValue, confidence) => {
+      if (finalValue && typeof finalValue === 'object' && !Array.isArray(finalValue)) {
+        Object.keys(finalValue).forEach(key => trace(`${path}.${key}`, rawValue?.[key], normalizedValue?.[key], finalValue[key], confidence));
+        return;
+      }
+      entries.push({ path, source: this.getFieldSource(rawValue, normalizedValue, finalValue), confidence });
+    };
+
+    Object.keys(final).forEach(key => {
+      const score = scores[key];
+      const confidence = typeof score === 'number' && score >= 0 && score <= 1 ? score : null;
+      trace(`${stage}.${key}`, raw?.[key], normalized?.[key], final[key], confidence);
+    });
+
+    return entries;
+  }
+
+  /**
+   * Classify one field: 'model' when kept as the model wrote it, 'repaired' when the
+   * model's value was clipped or filtered, 'default' when a placeholder replaced it
+   * @param {any} rawValue - Value in the parsed model output
+   * @param {any} normalizedValue - Value after normalization
+   * @param {any} finalValue - Value returned to the client
+   * @returns {string}
+   */
+  getFieldSource(rawValue, normalizedValue, finalValue) {
+    const isEmpty = value => value === undefined || value === null ||
+      (typeof value === 'string' && value.trim() === '') || (Array.isArray(value) && value.length === 0);
+    const derivedFrom = (value, original) => typeof original === 'string' && original.length > 0 && original.startsWith(value);
+
+    if (isEmpty(rawValue)) return 'default';
+    if (JSON.stringify(normalizedValue) === JSON.stringify(finalValue)) return 'model';
+    if (typeof finalValue === 'string') {
+      return derivedFrom(finalValue, normalizedValue) ? 'repaired' : 'default';
     }
-    
-    if (text.includes('attention') || text.includes('test')) {
-      tags.push('attention_testing');
+    if (Array.isArray(finalValue) && Array.isArray(normalizedValue)) {
+      return finalValue.some(item => normalizedValue.some(original => derivedFrom(item, original))) ? 'repaired' : 'default';
     }
-    
-    if (text.includes('vulnerable') || text.includes('vulnerability')) {
-      tags.push('vulnerability_avoidance');
+    return 'default';
+  }
+
+  /**
+   * Classify mechanism tags (Stage 5). Tags below TAG_CONFIDENCE_THRESHOLD are dropped.
+   * When the classifier is unavailable the keyword heuristic is used instead, and its
+   * tags carry no confidence or evidence.
+   * @param {Object} narrativeLoop - Narrative loop data
+   * @param {Object} spiessMap - SPIESS map data
+   * @param {Object} meta - Stage metadata collector
+   * @param {string|null} guidance - Optional user guidance when regenerating
+   * @returns {Array<Object>} - Applied tags as { tag, confidence, evidence }, most confident first
+   */
+  async classifyTags(narrativeLoop, spiessMap, meta = this.createStageMeta(), guidance = null) {
+    try {
+      // The suggested micro test and tool action say nothing about the person's mechanisms
+      const { microTest, toolAction, ...observations } = spiessMap;
+      const prompt = await this.renderPrompt('tags', { narrativeLoop, spiessMap: observations, tagsEnum }, meta);
+      const parsed = await this.completeStructured('tags', this.buildStageMessages(prompt, guidance), meta);
+      if (!parsed.ok || !parsed.data || !Array.isArray(parsed.data.tags)) {
+        throw new LlmError('Model output could not be parsed as JSON', { code: 'LLM_INVALID_OUTPUT' });
+      }
+      meta.status = 'ok';
+
+      const best = new Map();
+      for (const item of parsed.data.tags) {
+        const { error, value } = tagItemSchema.validate(item, { stripUnknown: true });
+        if (error) {
+          if (!meta.repairs.includes('schema_repair')) meta.repairs.push('schema_repair');
+          continue;
+        }
+        if (!best.has(value.tag) || best.get(value.tag).confidence < value.confidence) {
+          best.set(value.tag, { tag: value.tag, confidence: value.confidence, evidence: value.evidence.trim() });
+        }
+      }
+
+      return [...best.values()]
+        .filter(t => t.confidence >= TAG_CONFIDENCE_THRESHOLD)
+        .sort((a, b) => b.confidence - a.confidence);
+    } catch (error) {
+      console.error('Error classifying tags, using keyword fallback:', error);
+      meta.status = 'ok';
+      meta.fallback = 'heuristic';
+      meta.error = {
+        code: error instanceof LlmError ? error.code : 'AI_PROCESSING_ERROR',
+        message: error instanceof LlmError ? error.message : 'Tag classification failed'
+      };
+      const tags = await this.detectMechanisms(narrativeLoop, spiessMap);
+      return tags.map(tag => ({ tag, confidence: null, evidence: null }));
     }
-    
-    return [...new Set(tags)].filter(t => allowedTags.includes(t)); // Remove duplicates and enforce enum
+  }
+
+  /**
+   * Keyword fallback for mechanism tags. Only what the person described is scanned;
+   * the suggested actions, micro test and tool action are left out.
+   * @param {Object} narrativeLoop - Narrative loop data
+   * @param {Object} spiessMap - SPIESS map data
+   * @returns {Array} - Array of detected tags
+   */
+  async detectMechanisms(narrativeLoop, spiessMap) {
+    const { breakingActions, ...described } = narrativeLoop || {};
+    const { microTest, toolAction, ...observations } = spiessMap || {};
+    const text = `${JSON.stringify(described)} ${JSON.stringify(observations)}`.toLowerCase();
+
+    // Note: Do not add a tag for confirmation bias; it is represented in SPIESS, not tags
+    return tagsEnum.filter(tag => TAG_KEYWORDS[tag].test(text));
   }
 
   /**
@@ -560,6 +2027,7 @@ class AnalysisService {
 
   /**
    * Normalize SPIESS map: lowercase needs, trim strings, ensure arrays.
+   * The tool action is left out; it is built by its own stage.
    */
   normalizeSpiessMap(sp) {
     const sanitizeString = (val) => (typeof val === 'string' ? val.trim() : '');
@@ -573,18 +2041,40 @@ class AnalysisService {
         description: sanitizeString(sp?.microTest?.description),
         timeframe: sanitizeString(sp?.microTest?.timeframe),
         successCriteria: sanitizeString(sp?.microTest?.successCriteria)
-      },
-      toolAction: {
-        protocol: sanitizeString(sp?.toolAction?.protocol),
-        steps: sanitizeArray(sp?.toolAction?.steps),
-        example: (() => {
-          const ex = sanitizeString(sp?.toolAction?.example);
-          return ex.length > 0 ? ex : 'Example not provided';
-        })()
       }
     };
   }
 
+  /**
+   * Normalize summary: trim strings, ensure mechanisms is an array.
+   */
+  normalizeSummary(summary) {
+    const sanitizeString = (val) => (typeof val === 'string' ? val.trim() : '');
+    const sanitizeArray = (arr) => (Array.isArray(arr) ? arr.map(v => sanitizeString(v)).filter(Boolean) : []);
+    return {
+      content: sanitizeString(summary?.content),
+      mechanisms: sanitizeArray(summary?.mechanisms),
+      nextStep: sanitizeString(summary?.nextStep)
+    };
+  }
+
+  /**
+   * Repair summary if validation fails
+   * @param {Object} summary - Invalid summary
+   * @returns {Object} - Repaired summary
+   */
+  repairSummary(summary) {
+    const defaults = this.getDefaultSummary();
+    const clip = (val, max, fallback) => (val && val.length > 0 ? val.slice(0, max) : fallback);
+    const mechanisms = (summary.mechanisms || []).map(m => m.slice(0, 100)).slice(0, 5);
+    return {
+      // Ensure content is under 250 characters (matches mongoose schema)
+      content: clip(summary.content, 250, defaults.content),
+      mechanisms: mechanisms.length > 0 ? mechanisms : defaults.mechanisms,
+      nextStep: clip(summary.nextStep, 200, defaults.nextStep)
+    };
+  }
+
   /**
    * Repair narrative loop if validation fails
    * @param {Object} narrativeLoop - Invalid narrative loop
@@ -641,14 +2131,8 @@ class AnalysisService {
         .filter(v => allowedNeeds.includes(v));
       return filtered.length > 0 ? filtered.slice(0, 3) : ['safety'];
     };
-    const sanitizeProtocol = (val) => {
-      const allowed = ['STOP', 'Values First', 'Bridge Belief'];
-      const v = typeof val === 'string' ? val.trim() : '';
-      return allowed.includes(v) ? v : 'STOP';
-    };
 
     const micro = spiessMap.microTest || {};
-    const tool = spiessMap.toolAction || {};
 
     return {
       sensations: sanitizeArray(spiessMap.sensations, 'Hypothesis: Sensation not clearly identified', 5),
@@ -659,57 +2143,12 @@ class AnalysisService {
         description: sanitizeString(micro.description, 'Hypothesis: Micro test not clearly identified'),
         timeframe: sanitizeString(micro.timeframe, 'Within 24 hours'),
         successCriteria: sanitizeString(micro.successCriteria, 'Hypothesis: Success criteria not clearly identified')
-      },
-      toolAction: {
-        protocol: sanitizeProtocol(tool.protocol),
-        steps: sanitizeArray(tool.steps, 'Hypothesis: Tool action step not clearly identified', 5),
-        example: sanitizeString(tool.example, 'Hypothesis: Tool action example not clearly identified')
-      }
-    };
-  }
-
-  /**
-   * Get default narrative loop for error cases
-   * @returns {Object} - Default narrative loop
-   */
-  getDefaultNarrativeLoop() {
-    return {
-      trigger: 'Unable to identify trigger',
-      fear: 'Unable to identify fear',
-      emotion: 'Unable to identify emotion',
-      outcome: 'Unable to identify outcome',
-      whyItFeelsReal: 'Unable to identify why it feels real',
-      hiddenLogic: 'Unable to identify hidden logic',
-      breakingActions: ['Unable to identify breaking actions'],
-      mechanisms: ['Unable to identify mechanisms']
-    };
-  }
-
-  /**
-   * Get default SPIESS map for error cases
-   * @returns {Object} - Default SPIESS map
-   */
-  getDefaultSpiessMap() {
-    return {
-      sensations: ['Unable to identify sensations'],
-      emotions: ['Unable to identify emotions'],
-      needs: ['safety'],
-      confirmationBias: 'Unable to identify confirmation bias',
-      microTest: {
-        description: 'Unable to identify micro test',
-        timeframe: 'Within 24 hours',
-        successCriteria: 'Unable to identify success criteria'
-      },
-      toolAction: {
-        protocol: 'STOP',
-        steps: ['Unable to identify tool action steps'],
-        example: 'Unable to identify tool action example'
       }
     };
   }
 
   /**
-   * Get default summary for error cases
+   * Get default summary fields, used to fill gaps when repairing a summary
    * @returns {Object} - Default summary
    */
   getDefaultSummary() {
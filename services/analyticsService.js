@@ -1,5 +1,16 @@
 const Analytics = require('../models/analytics');
 
+// Stage events whose eventData.repairs records repair steps, keyed to their pipeline stage
+const REPAIR_TRACKED_EVENTS = {
+  questions_asked: 'clarifyingQuestions',
+  loop_built: 'narrativeLoop',
+  spiess_built: 'spiessMap',
+  tool_action_built: 'toolAction',
+  summary_built: 'summary',
+  tags_classified: 'tags',
+  comparison_built: 'comparison'
+};
+
 class AnalyticsService {
   /**
    * Track an analytics event
@@ -52,14 +63,18 @@ class AnalyticsService {
   /**
    * Track questions asked event
    * @param {string} sessionId - Session ID
-   * @param {Array} questions - Array of questions asked
+   * @param {Array} questions - Array of questions asked ({ field, question })
    * @param {string} userId - User ID (optional)
    * @param {Object} req - Express request object (optional)
+   * @param {Object} meta - Stage metadata, plus the clarifying round (optional)
    */
-  static async trackQuestionsAsked(sessionId, questions, userId = null, req = null) {
+  static async trackQuestionsAsked(sessionId, questions, userId = null, req = null, meta = {}) {
     await this.trackEvent(sessionId, 'questions_asked', { 
       questionCount: questions.length,
-      questions: questions.map(q => q.substring(0, 100)) // Truncate for privacy
+      questions: questions.map(q => q.question.substring(0, 100)), // Truncate for privacy
+      fields: questions.map(q => q.field),
+      round: meta.round || 1,
+      ...this.stageMetaProperties(meta)
     }, userId, req);
   }
 
@@ -69,14 +84,17 @@ class AnalyticsService {
    * @param {Object} narrativeLoop - Narrative loop data
    * @param {string} userId - User ID (optional)
    * @param {Object} req - Express request object (optional)
+   * @param {Object} meta - Stage metadata (optional)
    */
-  static async trackLoopBuilt(sessionId, narrativeLoop, userId = null, req = null) {
+  static async trackLoopBuilt(sessionId, narrativeLoop, userId = null, req = null, meta = {}) {
     await this.trackEvent(sessionId, 'loop_built', {
       hasTrigger: !!narrativeLoop.trigger,
       hasFear: !!narrativeLoop.fear,
       hasEmotion: !!narrativeLoop.emotion,
       hasOutcome: !!narrativeLoop.outcome,
-      mechanismCount: narrativeLoop.mechanisms ? narrativeLoop.mechanisms.length : 0
+      mechanismCount: narrativeLoop.mechanisms ? narrativeLoop.mechanisms.length : 0,
+      ...this.getFieldSources(meta),
+      ...this.stageMetaProperties(meta)
     }, userId, req);
   }
 
@@ -86,13 +104,34 @@ class AnalyticsService {
    * @param {Object} spiessMap - SPIESS map data
    * @param {string} userId - User ID (optional)
    * @param {Object} req - Express request object (optional)
+   * @param {Object} meta - Stage metadata (optional)
    */
-  static async trackSpiessBuilt(sessionId, spiessMap, userId = null, req = null) {
+  static async trackSpiessBuilt(sessionId, spiessMap, userId = null, req = null, meta = {}) {
     await this.trackEvent(sessionId, 'spiess_built', {
       needsCount: spiessMap.needs ? spiessMap.needs.length : 0,
       hasMicroTest: !!spiessMap.microTest,
       hasToolAction: !!spiessMap.toolAction,
-      protocol: spiessMap.toolAction ? spiessMap.toolAction.protocol : null
+      protocol: spiessMap.toolAction ? spiessMap.toolAction.protocol : null,
+      ...this.getFieldSources(meta),
+      ...this.stageMetaProperties(meta)
+    }, userId, req);
+  }
+
+  /**
+   * Track tool action built event
+   * @param {string} sessionId - Session ID
+   * @param {Object} toolAction - Tool action data
+   * @param {string} userId - User ID (optional)
+   * @param {Object} req - Express request object (optional)
+   * @param {Object} meta - Stage metadata (optional)
+   */
+  static async trackToolActionBuilt(sessionId, toolAction, userId = null, req = null, meta = {}) {
+    await this.trackEvent(sessionId, 'tool_action_built', {
+      protocol: toolAction.protocol,
+      stepCount: toolAction.steps ? toolAction.steps.length : 0,
+      source: meta.fallback || 'model',
+      ...this.getFieldSources(meta),
+      ...this.stageMetaProperties(meta)
     }, userId, req);
   }
 
@@ -102,15 +141,110 @@ class AnalyticsService {
    * @param {Object} summary - Summary data
    * @param {string} userId - User ID (optional)
    * @param {Object} req - Express request object (optional)
+   * @param {Object} meta - Stage metadata (optional)
    */
-  static async trackSummaryBuilt(sessionId, summary, userId = null, req = null) {
+  static async trackSummaryBuilt(sessionId, summary, userId = null, req = null, meta = {}) {
     await this.trackEvent(sessionId, 'summary_built', {
       contentLength: summary.content ? summary.content.length : 0,
       mechanismCount: summary.mechanisms ? summary.mechanisms.length : 0,
-      hasNextStep: !!summary.nextStep
+      hasNextStep: !!summary.nextStep,
+      ...this.getFieldSources(meta),
+      ...this.stageMetaProperties(meta)
+    }, userId, req);
+  }
+
+  /**
+   * Track mechanism tags classified event
+   * @param {string} sessionId - Session ID
+   * @param {Array} tagEvidence - Applied tags ({ tag, confidence, evidence })
+   * @param {string} userId - User ID (optional)
+   * @param {Object} req - Express request object (optional)
+   * @param {Object} meta - Stage metadata (optional)
+   */
+  static async trackTagsClassified(sessionId, tagEvidence, userId = null, req = null, meta = {}) {
+    await this.trackEvent(sessionId, 'tags_classified', {
+      tags: tagEvidence.map(t => t.tag),
+      source: meta.fallback || 'model',
+      ...this.stageMetaProperties(meta)
+    }, userId, req);
+  }
+
+  /**
+   * Track comparison built event, for follow-up sessions
+   * @param {string} sessionId - Session ID
+   * @param {Object} comparison - Comparison with the previous session
+   * @param {string} userId - User ID (optional)
+   * @param {Object} req - Express request object (optional)
+   * @param {Object} meta - Stage metadata (optional)
+   */
+  static async trackComparisonBuilt(sessionId, comparison, userId = null, req = null, meta = {}) {
+    await this.trackEvent(sessionId, 'comparison_built', {
+      trigger: comparison.trigger,
+      fear: comparison.fear,
+      intensity: comparison.intensity,
+      changeCount: comparison.changes ? comparison.changes.length : 0,
+      source: meta.fallback || 'model',
+      ...this.stageMetaProperties(meta)
+    }, userId, req);
+  }
+
+  /**
+   * Event properties every pipeline stage records: repair steps, prompt version,
+   * the model that answered and the ones tried before it, and whether it was a cache hit
+   * @param {Object} meta - Stage metadata
+   * @returns {Object} - { repairs, promptVersion, model, fallbacks, cached }
+   */
+  static stageMetaProperties(meta = {}) {
+    return {
+      repairs: meta.repairs || [],
+      promptVersion: meta.promptVersion || null,
+      model: meta.model || null,
+      fallbacks: meta.fallbacks || [],
+      cached: meta.cached === true
+    };
+  }
+
+  /**
+   * Fields of a stage output that were repaired or filled with a default
+   * @param {Object} meta - Stage metadata with provenance entries
+   * @returns {Object} - { repairedFields, defaultFields } as field paths
+   */
+  static getFieldSources(meta = {}) {
+    const provenance = meta.provenance || [];
+    return {
+      repairedFields: provenance.filter(p => p.source === 'repaired').map(p => p.path),
+      defaultFields: provenance.filter(p => p.source === 'default').map(p => p.path)
+    };
+  }
+
+  /**
+   * Track a pipeline stage that failed (model unavailable, timed out or unusable output)
+   * @param {string} sessionId - Session ID
+   * @param {string} stage - Stage name
+   * @param {Object} error - { code, message }
+   * @param {string} userId - User ID (optional)
+   * @param {Object} req - Express request object (optional)
+   * @param {Object} meta - Stage metadata (optional)
+   */
+  static async trackStageFailed(sessionId, stage, error, userId = null, req = null, meta = {}) {
+    await this.trackEvent(sessionId, 'stage_failed', {
+      stage,
+      code: error ? error.code : null,
+      ...this.stageMetaProperties(meta)
     }, userId, req);
   }
 
+  /**
+   * Track an analysis built by the offline heuristics instead of the model
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - 'requested', or the provider error code that triggered the fallback
+   * @param {string} userId - User ID (optional)
+   * @param {Object} req - Express request object (optional)
+   */
+  static async trackOfflineAnalysis(sessionId, reason, userId = null, req = null) {
+    await this.trackEvent(sessionId, 'offline_analysis', { reason }, userId, req);
+  }
+
   /**
    * Track safe exit event
    * @param {string} sessionId - Session ID
@@ -153,6 +287,75 @@ class AnalyticsService {
     await this.trackEvent(sessionId, 'day2_return', {}, userId, req);
   }
 
+  /**
+   * Get how often output repair still triggers, per stage
+   * @param {Date} since - Only count events after this date (optional)
+   * @returns {Object} - Per-stage totals and repair rates
+   */
+  static async getRepairStats(since = null) {
+    try {
+      const match = { eventName: { $in: Object.keys(REPAIR_TRACKED_EVENTS) } };
+      if (since) match.timestamp = { $gte: since };
+
+      const groups = await Analytics.aggregate([
+        { $match: match },
+        { $project: { eventName: 1, repairs: { $ifNull: ['$eventData.repairs', []] } } },
+        {
+          $group: {
+            _id: '$eventName',
+            total: { $sum: 1 },
+            repaired: { $sum: { $cond: [{ $gt: [{ $size: '$repairs' }, 0] }, 1, 0] } },
+            jsonFix: { $sum: { $cond: [{ $in: ['json_fix', '$repairs'] }, 1, 0] } },
+            schemaRepair: { $sum: { $cond: [{ $in: ['schema_repair', '$repairs'] }, 1, 0] } }
+          }
+        }
+      ]);
+
+      // Per-field counts of repaired and defaulted values
+      const fieldGroups = await Analytics.aggregate([
+        { $match: match },
+        {
+          $project: {
+            eventName: 1,
+            fields: {
+              $concatArrays: [
+                { $map: { input: { $ifNull: ['$eventData.repairedFields', []] }, as: 'path', in: { path: '$$path', source: 'repaired' } } },
+                { $map: { input: { $ifNull: ['$eventData.defaultFields', []] }, as: 'path', in: { path: '$$path', source: 'default' } } }
+              ]
+            }
+          }
+        },
+        { $unwind: '$fields' },
+        { $group: { _id: { eventName: '$eventName', path: '$fields.path', source: '$fields.source' }, count: { $sum: 1 } } }
+      ]);
+
+      const stats = {};
+      for (const group of groups) {
+        stats[REPAIR_TRACKED_EVENTS[group._id]] = {
+          total: group.total,
+          repaired: group.repaired,
+          jsonFix: group.jsonFix,
+          schemaRepair: group.schemaRepair,
+          repairRate: group.total > 0 ? group.repaired / group.total : 0,
+          fields: {}
+        };
+      }
+
+      for (const { _id, count } of fieldGroups) {
+        const stage = stats[REPAIR_TRACKED_EVENTS[_id.eventName]];
+        if (!stage) continue;
+        const field = stage.fields[_id.path] || (stage.fields[_id.path] = { repaired: 0, default: 0, rate: 0 });
+        field[_id.source] = count;
+        field.rate = stage.total > 0 ? (field.repaired + field.default) / stage.total : 0;
+      }
+
+      return stats;
+    } catch (error) {
+      console.error('Error getting repair stats:', error);
+      return {};
+    }
+  }
+
   /**
    * Get analytics for a session
    * @param {string} sessionId - Session ID
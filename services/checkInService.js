@@ -0,0 +1,172 @@
+const CheckIn = require('../models/checkIn');
+const Session = require('../models/session');
+const AnalyticsService = require('./analyticsService');
+const SafetyUtils = require('../utils/safety');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours after a session's analysis before its check-in is due
+const CHECK_IN_AFTER_HOURS = parseInt(process.env.CHECK_IN_AFTER_HOURS, 10) || 24;
+
+// Sessions whose analysis finished, the only ones a check-in can follow.
+// Sessions stored before analysisStatus was recorded have none; completed ones count as complete.
+const ANALYSED_STATUSES = ['active', 'completed'];
+const FINISHED_ANALYSIS_STATUSES = ['complete', 'partial'];
+const COMPLETED_ANALYSIS = {
+  $or: [
+    { status: { $in: ANALYSED_STATUSES }, analysisStatus: { $in: FINISHED_ANALYSIS_STATUSES } },
+    { status: 'completed', analysisStatus: null }
+  ]
+};
+
+class CheckInService {
+  /**
+   * Whether a session has a finished analysis to check in on
+   * @param {Object} session - Session document
+   * @returns {boolean}
+   */
+  canCheckIn(session) {
+    if (!session.analysisStatus) return session.status === 'completed';
+    return ANALYSED_STATUSES.includes(session.status) && FINISHED_ANALYSIS_STATUSES.includes(session.analysisStatus);
+  }
+
+  /**
+   * When a session's check-in becomes due
+   * @param {Object} session - Session document
+   * @returns {Date}
+   */
+  dueAt(session) {
+    return new Date(new Date(session.createdAt).getTime() + CHECK_IN_AFTER_HOURS * HOUR_MS);
+  }
+
+  /**
+   * A user's completed sessions that are due for a check-in and have none yet, oldest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async listDue(userId) {
+    const sessions = await this.findDue({ userId });
+    return sessions.map(session => ({
+      sessionId: session.sessionId,
+      createdAt: session.createdAt,
+      dueAt: this.dueAt(session),
+      trigger: session.narrativeLoop?.trigger || null,
+      breakingActions: session.narrativeLoop?.breakingActions || [],
+      nextStep: session.summary?.nextStep || null
+    }));
+  }
+
+  /**
+   * Completed sessions past their check-in time without a check-in, oldest first
+   * @param {Object} filter - Extra session filter, e.g. { userId }
+   * @param {Date} dueSince - Only sessions whose check-in became due after this (optional)
+   * @returns {Promise<Array<Object>>} - Lean sessions
+   */
+  async findDue(filter = {}, dueSince = null) {
+    const createdAt = { $lte: new Date(Date.now() - CHECK_IN_AFTER_HOURS * HOUR_MS) };
+    if (dueSince) createdAt.$gte = new Date(dueSince.getTime() - CHECK_IN_AFTER_HOURS * HOUR_MS);
+
+    const sessions = await Session.find({ ...filter, ...COMPLETED_ANALYSIS, createdAt })
+      .sort({ createdAt: 1 })
+      .select('sessionId userId createdAt narrativeLoop.trigger narrativeLoop.breakingActions summary.nextStep')
+      .lean();
+
+    if (sessions.length === 0) return [];
+
+    const checkedIn = await CheckIn.find({ sessionId: { $in: sessions.map(s => s.sessionId) } })
+      .distinct('sessionId');
+    const done = new Set(checkedIn.map(String));
+
+    return sessions.filter(session => !done.has(String(session.sessionId)));
+  }
+
+  /**
+   * A session's check-in, if it has one
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(sessionId) {
+    const checkIn = await CheckIn.findOne({ sessionId }).lean();
+    return checkIn ? this.describe(checkIn) : null;
+  }
+
+  /**
+   * Store the answers to a session's check-in and track the return
+   * @param {Object} session - Session document
+   * @param {Object} answers - { loopRecurred, intensity, triedActions, notes }, already validated
+   * @param {Object} req - Express request object (optional)
+   * @returns {Promise<Object>} - { success, checkIn }, { success: false, error } or
+   *   { success: false, response } when the notes describe a crisis
+   */
+  async record(session, { loopRecurred, intensity, triedActions = [], notes }, req = null) {
+    if (!this.canCheckIn(session)) {
+      return { success: false, error: { code: 'CONFLICT', message: 'Session has no completed analysis to check in on' } };
+    }
+
+    if (await CheckIn.exists({ sessionId: session.sessionId })) {
+      return { success: false, error: { code: 'CONFLICT', message: 'Session already has a check-in' } };
+    }
+
+    const actions = (session.narrativeLoop && session.narrativeLoop.breakingActions) || [];
+    const unknown = triedActions.filter(action => !actions.includes(action));
+    if (unknown.length > 0) {
+      return {
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: `Not a breaking action of this session: ${unknown[0]}` }
+      };
+    }
+
+    let processedNotes;
+    if (notes !== undefined) {
+      const validation = SafetyUtils.validateInput(notes, session.storageOptIn || false, session.redactNames !== false);
+      if (!validation.isValid) {
+        return validation.isCrisis
+          ? { success: false, response: validation.response }
+          : { success: false, error: { code: 'VALIDATION_ERROR', message: validation.error } };
+      }
+      processedNotes = validation.processedInput;
+    }
+
+    let checkIn;
+    try {
+      checkIn = await CheckIn.create({
+        sessionId: session.sessionId,
+        userId: session.userId || null,
+        loopRecurred,
+        intensity: loopRecurred ? intensity : null,
+        breakingActions: actions.map(action => ({ action, tried: triedActions.includes(action) })),
+        notes: processedNotes,
+        hoursSinceSession: Math.max(0, Math.round((Date.now() - new Date(session.createdAt).getTime()) / HOUR_MS))
+      });
+    } catch (error) {
+      // One check-in per session: a concurrent or repeated answer loses on the unique index
+      if (error.code === 11000) {
+        return { success: false, error: { code: 'CONFLICT', message: 'Session already has a check-in' } };
+      }
+      throw error;
+    }
+
+    await AnalyticsService.trackDay2Return(session.sessionId, session.userId || null, req);
+
+    return { success: true, checkIn: this.describe(checkIn) };
+  }
+
+  /**
+   * Public shape of a check-in
+   * @param {Object} checkIn - CheckIn document
+   * @returns {Object}
+   */
+  describe(checkIn) {
+    return {
+      sessionId: checkIn.sessionId,
+      loopRecurred: checkIn.loopRecurred,
+      intensity: checkIn.intensity ?? null,
+      breakingActions: (checkIn.breakingActions || []).map(({ action, tried }) => ({ action, tried })),
+      notes: checkIn.notes || null,
+      hoursSinceSession: checkIn.hoursSinceSession,
+      createdAt: checkIn.createdAt
+    };
+  }
+}
+
+module.exports = new CheckInService();
@@ -2,6 +2,9 @@ const cron = require('node-cron');
 const Session = require('../models/session');
 const Analytics = require('../models/analytics');
 const Feedback = require('../models/feedback');
+const SessionRevision = require('../models/sessionRevision');
+const MicroTest = require('../models/microTest');
+const CheckIn = require('../models/checkIn');
 
 class CleanupService {
   constructor() {
@@ -62,6 +65,15 @@ class CleanupService {
           status: 'deleted',
           deletedAt: { $lt: cutoffDate }
         });
+        await SessionRevision.deleteMany({
+          sessionId: { $in: deletedSessions.map(s => s.sessionId) }
+        });
+        await MicroTest.deleteMany({
+          sessionId: { $in: deletedSessions.map(s => s.sessionId) }
+        });
+        await CheckIn.deleteMany({
+          sessionId: { $in: deletedSessions.map(s => s.sessionId) }
+        });
         console.log(`Permanently deleted ${deletedSessions.length} old sessions`);
       }
 
@@ -91,14 +103,14 @@ class CleanupService {
 
       // Clean up sessions that were never completed and are older than 7 days
       const incompleteSessions = await Session.find({
-        status: 'active',
+        status: { $in: ['pending', 'active'] },
         createdAt: { $lt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
       });
 
       if (incompleteSessions.length > 0) {
         await Session.updateMany(
           {
-            status: 'active',
+            status: { $in: ['pending', 'active'] },
             createdAt: { $lt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
           },
           {
@@ -151,7 +163,7 @@ class CleanupService {
           createdAt: { $lt: cutoffDate }
         }),
         incompleteSessions: await Session.countDocuments({
-          status: 'active',
+          status: { $in: ['pending', 'active'] },
           createdAt: { $lt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
         })
       };
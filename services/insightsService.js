@@ -0,0 +1,214 @@
+const natural = require('natural');
+const mongoose = require('mongoose');
+const Session = require('../models/session');
+
+const wordTokenizer = new natural.WordTokenizer();
+const STOPWORDS = new Set(natural.stopwords);
+// Words that say nothing about what triggered the loop
+const TRIGGER_FILLER = new Set(['felt', 'feel', 'feeling', 'thought', 'think', 'said', 'told', 'got', 'get', 'went', 'like', 'really', 'just', 'didn', 'don', 'wasn', 'couldn', 'last', 'today', 'yesterday']);
+const MIN_TERM_LENGTH = 3;
+const TRIGGER_EXAMPLES = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the UTC day, Monday-based week or month a date falls in
+ * @param {Date} date - Date
+ * @param {string} interval - day | week | month
+ * @returns {Date}
+ */
+const periodStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  if (interval === 'month') start.setUTCDate(1);
+  return start;
+};
+
+/**
+ * Start of the period after the one starting at a date
+ * @param {Date} start - Period start
+ * @param {string} interval - day | week | month
+ * @returns {Date}
+ */
+const nextPeriod = (start, interval) => {
+  const next = new Date(start);
+  if (interval === 'day') next.setUTCDate(next.getUTCDate() + 1);
+  if (interval === 'week') next.setUTCDate(next.getUTCDate() + 7);
+  if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+};
+
+/**
+ * Top rows as { [name]: value, count, share }
+ * @param {Array<Object>} groups - Aggregation groups { _id, count }, sorted by count
+ * @param {string} name - Key of the group value in each row
+ * @param {number} total - Number of sessions, for share
+ * @param {number} limit - Maximum rows
+ * @returns {Array<Object>}
+ */
+const toRanked = (groups, name, total, limit) => groups
+  .filter(group => group._id !== null && group._id !== '')
+  .slice(0, limit)
+  .map(({ _id, count, ...rest }) => ({
+    [name]: _id,
+    count,
+    share: total > 0 ? Math.round((count / total) * 100) / 100 : 0,
+    ...rest
+  }));
+
+class InsightsService {
+  /**
+   * Patterns across a user's analysed sessions since a date: recurring mechanisms, unmet
+   * needs, emotions, trigger themes and tool action protocols, with protocol trend lines.
+   * @param {string} userId - User ID
+   * @param {Object} options - { since, interval: day | week | month, limit }
+   * @returns {Promise<Object>}
+   */
+  async getInsights(userId, { since, interval = 'week', limit = 10 }) {
+    const match = {
+      userId: new mongoose.Types.ObjectId(String(userId)),
+      status: { $ne: 'deleted' },
+      // Sessions stored before analysisStatus was recorded have none; completed ones count as complete
+      $or: [
+        { analysisStatus: { $in: ['complete', 'partial'] } },
+        { status: 'completed', analysisStatus: null }
+      ],
+      createdAt: { $gte: since }
+    };
+
+    const [facets] = await Session.aggregate([
+      { $match: match },
+      { $sort: { createdAt: 1 } },
+      {
+        $facet: {
+          total: [{ $count: 'sessions' }],
+          mechanisms: [
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 }, lastSeen: { $max: '$createdAt' } } },
+            { $sort: { count: -1, lastSeen: -1 } }
+          ],
+          confidence: [
+            { $unwind: '$tagEvidence' },
+            { $group: { _id: '$tagEvidence.tag', avgConfidence: { $avg: '$tagEvidence.confidence' } } }
+          ],
+          needs: [
+            { $unwind: '$spiessMap.needs' },
+            { $group: { _id: '$spiessMap.needs', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          emotions: [
+            { $unwind: '$spiessMap.emotions' },
+            { $group: { _id: { $toLower: { $trim: { input: '$spiessMap.emotions' } } }, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          protocols: [
+            { $match: { 'spiessMap.toolAction.protocol': { $exists: true, $ne: null } } },
+            { $group: { _id: '$spiessMap.toolAction.protocol', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          timeline: [
+            { $project: { createdAt: 1, protocol: '$spiessMap.toolAction.protocol' } }
+          ],
+          triggers: [
+            { $match: { 'narrativeLoop.trigger': { $type: 'string' } } },
+            { $project: { _id: 0, sessionId: 1, trigger: '$narrativeLoop.trigger' } }
+          ]
+        }
+      }
+    ]);
+
+    const sessions = facets.total.length > 0 ? facets.total[0].sessions : 0;
+    const confidence = new Map(facets.confidence.map(c => [c._id, c.avgConfidence]));
+
+    return {
+      sessions,
+      mechanisms: toRanked(facets.mechanisms, 'tag', sessions, limit).map(row => ({
+        ...row,
+        avgConfidence: confidence.has(row.tag) && confidence.get(row.tag) !== null
+          ? Math.round(confidence.get(row.tag) * 100) / 100
+          : null
+      })),
+      needs: toRanked(facets.needs, 'need', sessions, limit),
+      emotions: toRanked(facets.emotions, 'emotion', sessions, limit),
+      triggers: this.triggerThemes(facets.triggers, sessions, limit),
+      protocols: toRanked(facets.protocols, 'protocol', sessions, limit),
+      trend: this.protocolTrend(facets.timeline, since, interval)
+    };
+  }
+
+  /**
+   * Recurring words across triggers, grouped by stem and counted once per session
+   * @param {Array<Object>} triggers - { sessionId, trigger }
+   * @param {number} total - Number of sessions, for share
+   * @param {number} limit - Maximum rows
+   * @returns {Array<Object>} - { term, count, share, sessionIds } where term is the most used form
+   */
+  triggerThemes(triggers, total, limit) {
+    const themes = new Map();
+
+    triggers.forEach(({ sessionId, trigger }) => {
+      const words = wordTokenizer.tokenize(trigger.replace(/\[[A-Z_]+\]/g, ' ').toLowerCase())
+        .filter(word => word.length >= MIN_TERM_LENGTH && !STOPWORDS.has(word) && !TRIGGER_FILLER.has(word) && !/^\d+$/.test(word));
+
+      const seen = new Set();
+      words.forEach(word => {
+        const stem = natural.PorterStemmer.stem(word);
+        if (!themes.has(stem)) themes.set(stem, { forms: new Map(), sessionIds: [] });
+        const theme = themes.get(stem);
+        theme.forms.set(word, (theme.forms.get(word) || 0) + 1);
+        if (!seen.has(stem)) {
+          seen.add(stem);
+          theme.sessionIds.push(sessionId);
+        }
+      });
+    });
+
+    return [...themes.values()]
+      .filter(theme => theme.sessionIds.length > 1) // a theme recurs
+      .sort((a, b) => b.sessionIds.length - a.sessionIds.length)
+      .slice(0, limit)
+      .map(theme => ({
+        term: [...theme.forms.entries()].sort((a, b) => b[1] - a[1])[0][0],
+        count: theme.sessionIds.length,
+        share: total > 0 ? Math.round((theme.sessionIds.length / total) * 100) / 100 : 0,
+        sessionIds: theme.sessionIds.slice(-TRIGGER_EXAMPLES).reverse() // most recent first
+      }));
+  }
+
+  /**
+   * Sessions and tool action protocols per period, with empty periods filled in
+   * @param {Array<Object>} timeline - { createdAt, protocol }
+   * @param {Date} since - Window start
+   * @param {string} interval - day | week | month
+   * @returns {Object} - { interval, periods: [{ start, sessions, protocols: { STOP: 2 } }] }
+   */
+  protocolTrend(timeline, since, interval) {
+    const periods = [];
+    const byStart = new Map();
+    for (let start = periodStart(since, interval); start.getTime() <= Date.now(); start = nextPeriod(start, interval)) {
+      const period = { start: start.toISOString().slice(0, 10), sessions: 0, protocols: {} };
+      periods.push(period);
+      byStart.set(period.start, period);
+    }
+
+    timeline.forEach(({ createdAt, protocol }) => {
+      const period = byStart.get(periodStart(new Date(createdAt), interval).toISOString().slice(0, 10));
+      if (!period) return;
+      period.sessions += 1;
+      if (protocol) period.protocols[protocol] = (period.protocols[protocol] || 0) + 1;
+    });
+
+    return { interval, periods };
+  }
+
+  /**
+   * Start of a window of whole UTC days ending today
+   * @param {number} days - Window length in days
+   * @returns {Date}
+   */
+  windowStart(days) {
+    return periodStart(new Date(Date.now() - (days - 1) * DAY_MS), 'day');
+  }
+}
+
+module.exports = new InsightsService();
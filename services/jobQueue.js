@@ -0,0 +1,347 @@
+const os = require('os');
+const AnalysisJob = require('../models/analysisJob');
+const analysisService = require('./analysisService');
+const sessionService = require('./sessionService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000;
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+// A running job whose worker has not checkpointed for this long is picked up again
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS, 10) || 2 * 60 * 1000;
+// Running jobs renew their lease this often, so one slow stage does not let another worker take them over
+const HEARTBEAT_MS = Math.max(1000, Math.floor(LEASE_MS / 3));
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+const RETENTION_MS = (parseInt(process.env.JOB_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Checkpointed stages, in pipeline order
+const JOB_STAGES = ['clarificationCheck', 'narrativeLoop', 'spiessMap', 'toolAction', 'summary', 'tags', 'comparison'];
+
+/**
+ * MongoDB-backed queue for asynchronous analysis jobs.
+ * Workers claim jobs atomically, checkpoint each completed stage on the job
+ * and resume from the last checkpoint when a job is picked up again after a restart.
+ */
+class JobQueue {
+  constructor() {
+    this.isRunning = false;
+    this.timer = null;
+    this.polling = false;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.activeJobs = new Map(); // job id string -> ObjectId
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('Job queue is already running');
+      return;
+    }
+
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    this.isRunning = true;
+    console.log(`Job queue started - worker ${this.workerId}, concurrency ${CONCURRENCY}`);
+  }
+
+  /**
+   * Stop polling for jobs. Jobs in progress finish, or are resumed elsewhere once their lease expires.
+   */
+  stop() {
+    if (!this.isRunning) {
+      console.log('Job queue is not running');
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.isRunning = false;
+    console.log('Job queue stopped');
+  }
+
+  /**
+   * Queue an analysis of input that already passed analysisService.prepareAnalysis
+   * @param {Object} params - { sessionId, userId, processedInput, options: { storageOptIn, redactNames, cache, offline, parentSessionId, clientIp } }
+   * @returns {Promise<Object>} - Created job
+   */
+  async enqueue({ sessionId, userId = null, processedInput, options = {} }) {
+    const job = await AnalysisJob.create({
+      sessionId,
+      userId,
+      input: processedInput,
+      options: {
+        storageOptIn: options.storageOptIn || false,
+        redactNames: options.redactNames !== false,
+        cache: options.cache !== false,
+        offline: options.offline === true,
+        parentSessionId: options.parentSessionId || null,
+        clientIp: userId ? null : options.clientIp || null
+      }
+    });
+
+    if (this.isRunning) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Claim and start jobs until the concurrency limit is reached
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.activeJobs.size < CONCURRENCY) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        const id = job._id.toString();
+        this.activeJobs.set(id, job._id);
+        this.runJob(job).finally(() => this.activeJobs.delete(id));
+      }
+    } catch (error) {
+      console.error('Job queue poll error:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Atomically claim the oldest queued job, or a running job whose lease expired
+   * @returns {Promise<Object|null>}
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return AnalysisJob.findOneAndUpdate(
+      {
+        _id: { $nin: [...this.activeJobs.values()] },
+        $or: [
+          { status: 'queued' },
+          // Worker died or restarted mid-job
+          { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LEASE_MS) } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedBy: this.workerId, lockedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run a claimed job, resuming from its checkpoints
+   * @param {Object} job - Claimed job document
+   */
+  async runJob(job) {
+    if (job.attempts > MAX_ATTEMPTS) {
+      await this.finish(job, 'failed', {
+        error: { code: 'AI_PROCESSING_ERROR', message: `Analysis job abandoned after ${MAX_ATTEMPTS} attempts` }
+      });
+      return;
+    }
+
+    const controller = new AbortController();
+    const resume = {};
+    for (const [stage, checkpoint] of job.stages) {
+      resume[stage] = {
+        output: checkpoint.output,
+        promptVersion: checkpoint.promptVersion,
+        model: checkpoint.model,
+        provenance: checkpoint.provenance
+      };
+    }
+
+    const options = {
+      userId: job.userId,
+      storageOptIn: job.options.storageOptIn,
+      redactNames: job.options.redactNames,
+      cache: job.options.cache,
+      offline: job.options.offline,
+      parentSessionId: job.options.parentSessionId,
+      clientIp: job.options.clientIp,
+      resume,
+      signal: controller.signal,
+      onStageStart: (stage) => this.checkpoint(job, controller, { currentStage: stage }),
+      onStageComplete: (stage, output, meta) => this.checkpoint(job, controller, {
+        [`stages.${stage}`]: {
+          output,
+          promptVersion: meta.promptVersion,
+          model: meta.model,
+          provenance: meta.provenance,
+          completedAt: new Date()
+        }
+      })
+    };
+
+    const heartbeat = setInterval(() => {
+      if (controller.signal.aborted) return;
+      this.checkpoint(job, controller, {})
+        .catch(error => console.error(`Job ${job._id} lease renewal failed:`, error.message));
+    }, HEARTBEAT_MS);
+
+    try {
+      if (!job.startedAt) {
+        await AnalysisJob.updateOne({ _id: job._id }, { $set: { startedAt: new Date() } });
+      }
+
+      const result = await analysisService.runAnalysis(job.sessionId, job.input, options);
+
+      // The job may have been cancelled or taken over after its last checkpoint
+      await this.checkpoint(job, controller, {});
+      if (controller.signal.aborted) {
+        console.log(`Job ${job._id} stopped before saving: ${controller.signal.reason.message}`);
+        return;
+      }
+
+      if (result.success) {
+        await sessionService.persistAnalysis(result, job.input, {
+          userId: job.userId,
+          storageOptIn: job.options.storageOptIn,
+          redactNames: job.options.redactNames
+        });
+      }
+
+      await this.finish(job, result.success ? 'completed' : 'failed', {
+        result,
+        error: result.success ? null : result.error
+      });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        // Cancelled, or another worker took the job over
+        console.log(`Job ${job._id} stopped: ${error.message}`);
+        return;
+      }
+
+      console.error(`Job ${job._id} failed:`, error);
+      await this.finish(job, 'failed', {
+        error: { code: 'AI_PROCESSING_ERROR', message: 'Analysis job failed due to processing error' }
+      });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Save progress and renew the lease. Aborts the run when the job was cancelled or taken over.
+   * Called at every stage boundary, by the heartbeat and once more before the result is saved.
+   * @param {Object} job - Job document
+   * @param {AbortController} controller - Aborts the pipeline
+   * @param {Object} fields - Fields to set
+   */
+  async checkpoint(job, controller, fields) {
+    const updated = await AnalysisJob.findOneAndUpdate(
+      { _id: job._id, status: 'running', lockedBy: this.workerId },
+      { $set: { ...fields, lockedAt: new Date() } },
+      { new: true, projection: { _id: 1 } }
+    );
+
+    if (!updated) {
+      controller.abort(new Error('job is no longer running on this worker'));
+    }
+  }
+
+  /**
+   * Record the final state of a job this worker holds
+   * @param {Object} job - Job document
+   * @param {string} status - 'completed' | 'failed'
+   * @param {Object} outcome - { result, error }
+   */
+  async finish(job, status, { result = null, error = null } = {}) {
+    const now = new Date();
+    const update = {
+      status,
+      result,
+      currentStage: null,
+      finishedAt: now,
+      expiresAt: new Date(now.getTime() + RETENTION_MS),
+      lockedBy: null,
+      lockedAt: null
+    };
+    if (error) {
+      update.error = { code: error.code, message: error.message };
+    }
+
+    await AnalysisJob.updateOne(
+      { _id: job._id, status: 'running', lockedBy: this.workerId },
+      // The redacted input and the caller's IP are only needed while the job runs
+      { $set: update, $unset: { input: 1, 'options.clientIp': 1 } }
+    );
+  }
+
+  /**
+   * Cancel a queued or running job. A running job stops at the next stage boundary.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} - Result with the job view or an error
+   */
+  async cancel(jobId) {
+    const now = new Date();
+    const job = await AnalysisJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['queued', 'running'] } },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: now,
+          finishedAt: now,
+          currentStage: null,
+          expiresAt: new Date(now.getTime() + RETENTION_MS)
+        },
+        $unset: { input: 1, 'options.clientIp': 1 }
+      },
+      { new: true }
+    );
+
+    if (job) {
+      return { success: true, job: this.describe(job) };
+    }
+
+    const existing = await AnalysisJob.findById(jobId);
+    if (!existing) {
+      return { success: false, error: { code: 'NOT_FOUND', message: 'Job not found' } };
+    }
+    return { success: false, error: { code: 'CONFLICT', message: `Job already ${existing.status}` } };
+  }
+
+  /**
+   * Load a job; callers check its userId before showing or cancelling it
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Job document
+   */
+  async getJob(jobId) {
+    return AnalysisJob.findById(jobId);
+  }
+
+  /**
+   * Public view of a job: status, stage progress and the result once finished
+   * @param {Object} job - Job document
+   * @returns {Object}
+   */
+  describe(job) {
+    // Only follow-up analyses run the comparison stage
+    const stages = job.options && job.options.parentSessionId ? JOB_STAGES : JOB_STAGES.filter(stage => stage !== 'comparison');
+    const completedStages = stages.filter(stage => job.stages && job.stages.get(stage));
+
+    return {
+      jobId: job._id,
+      sessionId: job.sessionId,
+      status: job.status,
+      progress: {
+        currentStage: job.currentStage,
+        completedStages,
+        stages
+      },
+      attempts: job.attempts,
+      result: job.result || null,
+      error: job.error && job.error.code ? job.error : null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      cancelledAt: job.cancelledAt
+    };
+  }
+}
+
+module.exports = new JobQueue();
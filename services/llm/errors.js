@@ -0,0 +1,93 @@
+/**
+ * Errors raised by the LLM provider layer.
+ * `retryable` marks failures worth another attempt (rate limits, timeouts, 5xx, network).
+ */
+class LlmError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {string} [options.code] - Machine-readable code
+   * @param {boolean} [options.retryable] - Whether a retry may succeed
+   * @param {number} [options.status] - Upstream HTTP status, when there was one
+   * @param {number} [options.retryAfterMs] - Delay requested by the upstream (Retry-After)
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(message, { code = 'LLM_ERROR', retryable = false, status = null, retryAfterMs = null, cause } = {}) {
+    super(message);
+    this.name = 'LlmError';
+    this.code = code;
+    this.retryable = retryable;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    if (cause) this.cause = cause;
+  }
+}
+
+class LlmTimeoutError extends LlmError {
+  constructor(timeoutMs) {
+    super(`LLM call timed out after ${timeoutMs}ms`, { code: 'LLM_TIMEOUT', retryable: true });
+    this.name = 'LlmTimeoutError';
+  }
+}
+
+class CircuitOpenError extends LlmError {
+  constructor(retryInMs) {
+    super(`LLM circuit is open after repeated failures; retry in ${Math.ceil(retryInMs / 1000)}s`, { code: 'LLM_CIRCUIT_OPEN' });
+    this.name = 'CircuitOpenError';
+    this.retryAfterMs = retryInMs;
+  }
+}
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {Object} headers - Response headers
+ * @returns {number|null}
+ */
+const parseRetryAfter = (headers) => {
+  const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  if (!value) return null;
+
+  const seconds = parseFloat(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+};
+
+/**
+ * Classify any provider error as an LlmError
+ * @param {Error} error - Error thrown by a provider
+ * @returns {LlmError}
+ */
+const toLlmError = (error) => {
+  if (error instanceof LlmError) return error;
+
+  const status = typeof error.status === 'number' ? error.status : null;
+  if (status === 429) {
+    return new LlmError('LLM rate limit exceeded', {
+      code: 'LLM_RATE_LIMITED', retryable: true, status, retryAfterMs: parseRetryAfter(error.headers), cause: error
+    });
+  }
+  if (status === 408 || status === 409 || (status && status >= 500)) {
+    return new LlmError(`LLM upstream error (${status})`, { code: 'LLM_UPSTREAM_ERROR', retryable: true, status, cause: error });
+  }
+  if (status) {
+    return new LlmError(`LLM request rejected (${status})`, { code: 'LLM_REQUEST_REJECTED', status, cause: error });
+  }
+
+  const networkCode = error.code || (error.cause && error.cause.code);
+  if (NETWORK_ERROR_CODES.includes(networkCode) || error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError') {
+    return new LlmError('Could not reach the LLM provider', { code: 'LLM_CONNECTION_ERROR', retryable: true, cause: error });
+  }
+
+  return new LlmError(error.message || 'LLM call failed', { cause: error });
+};
+
+module.exports = {
+  LlmError,
+  LlmTimeoutError,
+  CircuitOpenError,
+  toLlmError
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, 'fixtures', 'default.json');
+
+/**
+ * Deterministic provider that answers from a fixtures file instead of a model.
+ * Used for tests, demos and running the pipeline with no network.
+ *
+ * Fixture file shape:
+ * {
+ *   "stages": {
+ *     "narrativeLoop": [
+ *       { "match": "party", "response": { ... } },
+ *       { "response": { ... } }
+ *     ]
+ *   }
+ * }
+ * The first entry whose `match` appears (case-insensitive) in the prompt wins;
+ * an entry without `match` is the stage default. Object responses are returned as JSON.
+ */
+class FixtureProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.fixturesPath] - Path to a fixtures JSON file
+   */
+  constructor({ fixturesPath } = {}) {
+    this.name = 'fixture';
+    this.fixturesPath = fixturesPath || DEFAULT_FIXTURES_PATH;
+    this.fixtures = null;
+  }
+
+  /**
+   * Load fixtures once
+   * @returns {Object} - Parsed fixtures
+   */
+  loadFixtures() {
+    if (!this.fixtures) {
+      this.fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+    }
+    return this.fixtures;
+  }
+
+  /**
+   * Return the fixture response for a stage
+   * @param {Object} request
+   * @param {string} request.stage - Pipeline stage name
+   * @param {Array} request.messages - Chat messages
+   * @param {string} request.model - Model name (echoed back)
+   * @returns {Promise<{content: string, model: string, usage: Object}>}
+   */
+  async complete({ stage, messages, model }) {
+    const entries = (this.loadFixtures().stages || {})[stage] || [];
+    const prompt = messages.map(m => m.content).join('\n').toLowerCase();
+
+    const entry = entries.find(e => e.match && prompt.includes(String(e.match).toLowerCase()))
+      || entries.find(e => !e.match);
+
+    if (!entry) {
+      throw new Error(`No fixture response for stage ${stage}`);
+    }
+
+    const content = typeof entry.response === 'string' ? entry.response : JSON.stringify(entry.response);
+
+    return {
+      content,
+      model: model || 'fixture',
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+  }
+}
+
+module.exports = FixtureProvider;
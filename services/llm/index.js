@@ -0,0 +1,60 @@
+const OpenAIProvider = require('./openaiProvider');
+const FixtureProvider = require('./fixtureProvider');
+const ResilientProvider = require('./resilientProvider');
+const errors = require('./errors');
+
+/**
+ * Create the LLM provider selected by configuration, wrapped with timeouts,
+ * retries and a circuit breaker (see resilientProvider.js).
+ *
+ * Every provider implements:
+ *   complete({ stage, messages, model, temperature, maxTokens, responseSchema, signal })
+ *     -> Promise<{ content, model, usage }>
+ * When responseSchema ({ name, description, schema }) is given, content is JSON text.
+ * Failures are thrown as LlmError (see errors.js).
+ *
+ * @param {Object} config - LLM configuration (see config/llm.js)
+ * @returns {ResilientProvider}
+ */
+function createProvider(config) {
+  return new ResilientProvider(createBaseProvider(config), config.resilience);
+}
+
+/**
+ * Create the unwrapped provider adapter
+ * @param {Object} config - LLM configuration (see config/llm.js)
+ * @returns {OpenAIProvider|FixtureProvider}
+ */
+function createBaseProvider(config) {
+  switch (config.provider) {
+    case 'openai':
+      return new OpenAIProvider({
+        apiKey: config.apiKey,
+        baseURL: config.baseURL,
+        structuredOutput: config.structuredOutput
+      });
+
+    case 'openai_compatible':
+      if (!config.baseURL) {
+        throw new Error('LLM_BASE_URL is required for the openai_compatible provider');
+      }
+      // Local servers usually ignore the key, but the client requires one
+      return new OpenAIProvider({
+        apiKey: config.apiKey || 'not-needed',
+        baseURL: config.baseURL,
+        structuredOutput: config.structuredOutput,
+        name: 'openai_compatible'
+      });
+
+    case 'fixture':
+      return new FixtureProvider({ fixturesPath: config.fixturesPath });
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${config.provider}`);
+  }
+}
+
+module.exports = {
+  createProvider,
+  ...errors
+};
@@ -0,0 +1,126 @@
+const OpenAI = require('openai');
+const { LlmError } = require('./errors');
+
+/**
+ * Adapter for the OpenAI chat completions API.
+ * Also serves any OpenAI-compatible endpoint when constructed with a baseURL.
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - API key
+   * @param {string} [options.baseURL] - Custom endpoint for OpenAI-compatible servers
+   * @param {string} [options.structuredOutput] - 'tools' | 'json_schema' | 'prompt'
+   * @param {string} [options.name] - Provider name reported with each completion
+   */
+  constructor({ apiKey, baseURL, structuredOutput = 'tools', name = 'openai' } = {}) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.structuredOutput = structuredOutput;
+    this.client = null;
+  }
+
+  /**
+   * Lazily create the client so a missing key fails the call, not the server start
+   * @returns {OpenAI}
+   */
+  getClient() {
+    if (!this.apiKey) {
+      throw new LlmError('No API key is configured for the LLM provider', { code: 'LLM_NOT_CONFIGURED' });
+    }
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        // Retries and timeouts are handled by ResilientProvider
+        maxRetries: 0,
+        ...(this.baseURL ? { baseURL: this.baseURL } : {})
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Translate a response schema into request parameters for the configured mode
+   * @param {Array} messages - Chat messages
+   * @param {Object} responseSchema - { name, description, schema }
+   * @returns {{messages: Array, params: Object}}
+   */
+  applyResponseSchema(messages, responseSchema) {
+    if (!responseSchema) return { messages, params: {} };
+
+    if (this.structuredOutput === 'json_schema') {
+      return {
+        messages,
+        params: {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: false }
+          }
+        }
+      };
+    }
+
+    if (this.structuredOutput === 'prompt') {
+      return {
+        messages: [
+          ...messages,
+          {
+            role: 'system',
+            content: `Respond with ONLY a JSON object matching this JSON Schema. No prose, no backticks.\n${JSON.stringify(responseSchema.schema)}`
+          }
+        ],
+        params: {}
+      };
+    }
+
+    return {
+      messages,
+      params: {
+        tools: [{
+          type: 'function',
+          function: {
+            name: responseSchema.name,
+            description: responseSchema.description,
+            parameters: responseSchema.schema
+          }
+        }],
+        tool_choice: { type: 'function', function: { name: responseSchema.name } }
+      }
+    };
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request
+   * @param {Array} request.messages - Chat messages
+   * @param {string} request.model - Model name
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.maxTokens - Completion token limit
+   * @param {Object} [request.responseSchema] - Structured output schema ({ name, description, schema })
+   * @param {AbortSignal} [request.signal] - Aborts the HTTP request
+   * @returns {Promise<{content: string, model: string, usage: Object|null}>}
+   */
+  async complete({ messages, model, temperature, maxTokens, responseSchema, signal }) {
+    const request = this.applyResponseSchema(messages, responseSchema);
+
+    const response = await this.getClient().chat.completions.create({
+      model,
+      messages: request.messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...request.params
+    }, { signal });
+
+    const message = response.choices[0].message;
+    const toolCall = Array.isArray(message.tool_calls) ? message.tool_calls[0] : null;
+
+    return {
+      content: toolCall ? toolCall.function.arguments : (message.content || ''),
+      model: response.model || model,
+      usage: response.usage || null
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
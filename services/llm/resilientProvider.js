@@ -0,0 +1,131 @@
+const { LlmTimeoutError, CircuitOpenError, toLlmError } = require('./errors');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wraps a provider with per-call timeouts, exponential backoff on retryable
+ * errors and a circuit breaker that fails fast after repeated failures.
+ *
+ * The breaker opens after `circuitFailureThreshold` consecutive failed calls
+ * (each call already retried), stays open for `circuitResetMs`, then lets a
+ * single trial call through: success closes it, failure opens it again.
+ */
+class ResilientProvider {
+  /**
+   * @param {Object} provider - Provider to wrap (see services/llm/index.js)
+   * @param {Object} options - Resilience settings (see config/llm.js)
+   */
+  constructor(provider, {
+    timeoutMs = 30000,
+    maxRetries = 2,
+    retryBaseDelayMs = 500,
+    retryMaxDelayMs = 8000,
+    circuitFailureThreshold = 5,
+    circuitResetMs = 30000
+  } = {}) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.options = { timeoutMs, maxRetries, retryBaseDelayMs, retryMaxDelayMs, circuitFailureThreshold, circuitResetMs };
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Current breaker state
+   * @returns {'closed'|'open'|'half_open'}
+   */
+  getCircuitState() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.options.circuitResetMs ? 'half_open' : 'open';
+  }
+
+  /**
+   * Run a completion through the wrapped provider
+   * @param {Object} request - Provider request; `timeoutMs` overrides the default timeout
+   * @returns {Promise<{content: string, model: string, usage: Object|null}>}
+   */
+  async complete(request) {
+    const state = this.getCircuitState();
+    if (state === 'open' || (state === 'half_open' && this.trialInFlight)) {
+      throw new CircuitOpenError(Math.max(0, this.options.circuitResetMs - (Date.now() - this.openedAt)));
+    }
+
+    const isTrial = state === 'half_open';
+    if (isTrial) this.trialInFlight = true;
+
+    try {
+      const result = await this.completeWithRetries(request);
+      this.consecutiveFailures = 0;
+      this.openedAt = null;
+      return result;
+    } catch (error) {
+      // Rejected requests are our bug, not an outage; only upstream trouble trips the breaker
+      if (error.retryable) {
+        this.consecutiveFailures += 1;
+        if (isTrial || this.consecutiveFailures >= this.options.circuitFailureThreshold) {
+          this.openedAt = Date.now();
+          console.error(`LLM circuit opened after ${this.consecutiveFailures} consecutive failures`);
+        }
+      }
+      throw error;
+    } finally {
+      if (isTrial) this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Call the provider, retrying retryable errors with exponential backoff and jitter
+   * @param {Object} request - Provider request
+   * @returns {Promise<Object>}
+   */
+  async completeWithRetries(request) {
+    const { maxRetries, retryBaseDelayMs, retryMaxDelayMs } = this.options;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.completeWithTimeout(request);
+      } catch (rawError) {
+        const error = toLlmError(rawError);
+        if (!error.retryable || attempt >= maxRetries) {
+          throw error;
+        }
+
+        const backoff = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attempt);
+        const delay = Math.min(retryMaxDelayMs, Math.max(error.retryAfterMs || 0, backoff * (0.5 + Math.random() / 2)));
+        console.error(`LLM ${request.stage || 'call'} failed (${error.code}), retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Call the provider, aborting it once the timeout passes
+   * @param {Object} request - Provider request
+   * @returns {Promise<Object>}
+   */
+  async completeWithTimeout(request) {
+    const timeoutMs = request.timeoutMs || this.options.timeoutMs;
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((_resolve, reject) => {
+      timer = setTimeout(() => {
+        // Settle the race before the abort makes the provider reject with its own error
+        reject(new LlmTimeoutError(timeoutMs));
+        controller.abort();
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([
+        this.provider.complete({ ...request, signal: controller.signal }),
+        timeout
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = ResilientProvider;
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LlmCache = require('../models/llmCache');
+const llmConfig = require('../config/llm');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Content-addressed cache for model completions.
+ * Entries are keyed on the stage, prompt version, model and a hash of the rendered
+ * messages, which only ever contain the redacted input.
+ */
+class LlmCacheService {
+  /**
+   * Whether the cache can be used right now
+   * @returns {boolean}
+   */
+  isAvailable() {
+    // Skip rather than queue queries while MongoDB is down
+    return llmConfig.cache.enabled && mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Build the cache key for a completion request
+   * @param {Object} request - { stage, promptVersion, model, messages, responseSchema }
+   * @returns {{key: string, inputHash: string}}
+   */
+  buildKey({ stage, promptVersion, model, messages, responseSchema }) {
+    const inputHash = sha256(JSON.stringify({
+      messages,
+      schema: responseSchema ? responseSchema.name : null
+    }));
+    const key = sha256([stage, promptVersion || '', model, inputHash].join('|'));
+    return { key, inputHash };
+  }
+
+  /**
+   * Look up a cached completion
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - { content, model } or null on a miss
+   */
+  async get(key) {
+    if (!this.isAvailable()) return null;
+
+    try {
+      const entry = await LlmCache.findOneAndUpdate(
+        { key, expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 } },
+        { new: true }
+      ).lean();
+
+      return entry ? { content: entry.content, model: entry.model } : null;
+    } catch (error) {
+      console.error('Error reading LLM cache:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a completion
+   * @param {Object} entry - { key, inputHash, stage, promptVersion, model, content }
+   */
+  async set({ key, inputHash, stage, promptVersion, model, content }) {
+    if (!this.isAvailable() || !content) return;
+
+    try {
+      await LlmCache.updateOne(
+        { key },
+        {
+          $set: {
+            inputHash,
+            stage,
+            promptVersion: promptVersion || null,
+            model,
+            content,
+            expiresAt: new Date(Date.now() + llmConfig.cache.ttlHours * 60 * 60 * 1000)
+          },
+          $setOnInsert: { hits: 0 }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('Error writing LLM cache:', error.message);
+    }
+  }
+
+  /**
+   * Remove cached completions
+   * @param {Object} filter - { stage, promptVersion } (both optional; empty clears everything)
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async invalidate({ stage, promptVersion } = {}) {
+    const query = {};
+    if (stage) query.stage = stage;
+    if (promptVersion) query.promptVersion = promptVersion;
+
+    const result = await LlmCache.deleteMany(query);
+    return result.deletedCount;
+  }
+
+  /**
+   * Entry and hit counts per stage
+   * @returns {Promise<Array>}
+   */
+  async getStats() {
+    return LlmCache.aggregate([
+      { $group: { _id: '$stage', entries: { $sum: 1 }, hits: { $sum: '$hits' } } },
+      { $project: { _id: 0, stage: '$_id', entries: 1, hits: 1 } },
+      { $sort: { stage: 1 } }
+    ]);
+  }
+}
+
+module.exports = new LlmCacheService();
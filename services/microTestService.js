@@ -0,0 +1,203 @@
+const MicroTest = require('../models/microTest');
+const AnalyticsService = require('./analyticsService');
+const SafetyUtils = require('../utils/safety');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_DUE_HOURS = 24; // the SPIESS map's default timeframe is "Within 24 hours"
+
+const UNIT_HOURS = { minute: 1 / 60, hour: 1, day: 24, week: 24 * 7, month: 24 * 30 };
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, twelve: 12, fourteen: 14, thirty: 30, 'forty-eight': 48
+};
+
+// Statuses a micro-test can still move out of
+const OPEN_STATUSES = ['planned', 'in_progress'];
+
+/**
+ * End of a UTC day, a number of days after a date
+ * @param {Date} from - Start date
+ * @param {number} days - Days to add
+ * @returns {Date}
+ */
+const endOfDay = (from, days = 0) => {
+  const date = new Date(from);
+  date.setUTCDate(date.getUTCDate() + days);
+  date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
+class MicroTestService {
+  /**
+   * Due time of a micro-test from its free-text timeframe, e.g. "Within 24 hours",
+   * "in the next 3 days", "tomorrow" or "this week". Unrecognised timeframes get 24 hours.
+   * @param {string} timeframe - Timeframe text
+   * @param {Date} from - When the micro-test was planned
+   * @returns {Date}
+   */
+  parseDueAt(timeframe, from = new Date()) {
+    const text = typeof timeframe === 'string' ? timeframe.toLowerCase() : '';
+
+    const amount = text.match(/\b(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten|twelve|fourteen|thirty|forty-eight)\s*(minute|hour|day|week|month)s?\b/);
+    if (amount) {
+      const count = /^\d+$/.test(amount[1]) ? parseInt(amount[1], 10) : NUMBER_WORDS[amount[1]];
+      return new Date(from.getTime() + count * UNIT_HOURS[amount[2]] * HOUR_MS);
+    }
+
+    if (/\b(today|tonight|this evening)\b/.test(text)) return endOfDay(from);
+    if (/\btomorrow\b/.test(text)) return endOfDay(from, 1);
+    if (/\b(this|the) weekend\b/.test(text)) return endOfDay(from, (7 - from.getUTCDay()) % 7);
+    if (/\bnext week\b/.test(text)) return new Date(from.getTime() + 14 * 24 * HOUR_MS);
+    if (/\b(this|a) week\b/.test(text)) return new Date(from.getTime() + 7 * 24 * HOUR_MS);
+
+    return new Date(from.getTime() + DEFAULT_DUE_HOURS * HOUR_MS);
+  }
+
+  /**
+   * Bring a session's micro-test record in line with its SPIESS map. The first call
+   * creates a planned record. A planned record follows later edits or regeneration of
+   * spiessMap.microTest; once done or skipped, a changed micro-test gets a new record.
+   * A micro-test already in progress is left as it is.
+   * @param {Object} session - Session document
+   * @returns {Promise<Object|null>} - Current record, or null when the session has no micro-test
+   */
+  async sync(session) {
+    const current = session.spiessMap && session.spiessMap.microTest;
+    const latest = await MicroTest.findOne({ sessionId: session.sessionId }).sort({ createdAt: -1 });
+
+    if (!current || !current.description) return latest;
+
+    const fields = {
+      description: current.description,
+      timeframe: current.timeframe,
+      successCriteria: current.successCriteria
+    };
+    const unchanged = latest && ['description', 'timeframe', 'successCriteria']
+      .every(field => (latest[field] || '') === (fields[field] || ''));
+
+    if (unchanged || (latest && latest.status === 'in_progress')) return latest;
+
+    if (latest && latest.status === 'planned') {
+      Object.assign(latest, fields, { dueAt: this.parseDueAt(fields.timeframe) });
+      return latest.save();
+    }
+
+    return MicroTest.create({
+      sessionId: session.sessionId,
+      userId: session.userId || null,
+      ...fields,
+      dueAt: this.parseDueAt(fields.timeframe)
+    });
+  }
+
+  /**
+   * Create a session's micro-test record after its analysis is stored.
+   * Never throws: a record that cannot be created is logged and created on first use instead.
+   * @param {Object} session - Session document, already saved
+   */
+  async plan(session) {
+    try {
+      await this.sync(session);
+    } catch (error) {
+      console.error('Error planning micro-test:', error);
+    }
+  }
+
+  /**
+   * Start, skip or reschedule a micro-test
+   * @param {Object} microTest - MicroTest document
+   * @param {Object} changes - { status: 'in_progress' | 'skipped', dueAt }
+   * @returns {Promise<Object>} - { success, microTest } or { success: false, error }
+   */
+  async update(microTest, { status, dueAt }) {
+    if (!OPEN_STATUSES.includes(microTest.status)) {
+      return { success: false, error: { code: 'CONFLICT', message: `Micro-test already ${microTest.status}` } };
+    }
+
+    if (status === 'in_progress' && microTest.status === 'planned') {
+      microTest.status = 'in_progress';
+      microTest.startedAt = new Date();
+    } else if (status === 'skipped') {
+      microTest.status = 'skipped';
+      microTest.completedAt = new Date();
+    }
+    if (dueAt) microTest.dueAt = dueAt;
+
+    await microTest.save();
+    return { success: true, microTest: this.describe(microTest) };
+  }
+
+  /**
+   * Record how a micro-test went and mark it done
+   * @param {Object} microTest - MicroTest document
+   * @param {Object} session - Session document (storageOptIn, redactNames)
+   * @param {Object} outcome - { criteriaMet, fearCameTrue, notes }
+   * @param {Object} req - Express request object (optional)
+   * @returns {Promise<Object>} - { success, microTest }, { success: false, error } or
+   *   { success: false, response } when the notes describe a crisis
+   */
+  async recordOutcome(microTest, session, { criteriaMet, fearCameTrue, notes }, req = null) {
+    if (!OPEN_STATUSES.includes(microTest.status)) {
+      return { success: false, error: { code: 'CONFLICT', message: `Micro-test already ${microTest.status}` } };
+    }
+
+    let processedNotes;
+    if (notes !== undefined) {
+      const validation = SafetyUtils.validateInput(notes, session.storageOptIn || false, session.redactNames !== false);
+      if (!validation.isValid) {
+        return validation.isCrisis
+          ? { success: false, response: validation.response }
+          : { success: false, error: { code: 'VALIDATION_ERROR', message: validation.error } };
+      }
+      processedNotes = validation.processedInput;
+    }
+
+    const now = new Date();
+    microTest.status = 'done';
+    microTest.startedAt = microTest.startedAt || now;
+    microTest.completedAt = now;
+    microTest.outcome = { criteriaMet, fearCameTrue, notes: processedNotes, recordedAt: now };
+    await microTest.save();
+
+    await AnalyticsService.trackMicroTestCompleted(microTest.sessionId, {
+      microTestId: microTest._id,
+      criteriaMet,
+      fearCameTrue: fearCameTrue === undefined ? null : fearCameTrue,
+      onTime: now <= microTest.dueAt,
+      hadNotes: Boolean(processedNotes)
+    }, session.userId || null, req);
+
+    return { success: true, microTest: this.describe(microTest) };
+  }
+
+  /**
+   * Public shape of a micro-test
+   * @param {Object} microTest - MicroTest document
+   * @returns {Object}
+   */
+  describe(microTest) {
+    const outcome = microTest.outcome && microTest.outcome.recordedAt ? {
+      criteriaMet: microTest.outcome.criteriaMet,
+      fearCameTrue: microTest.outcome.fearCameTrue ?? null,
+      notes: microTest.outcome.notes || null,
+      recordedAt: microTest.outcome.recordedAt
+    } : null;
+
+    return {
+      id: microTest._id,
+      sessionId: microTest.sessionId,
+      description: microTest.description,
+      timeframe: microTest.timeframe || null,
+      successCriteria: microTest.successCriteria || null,
+      status: microTest.status,
+      dueAt: microTest.dueAt,
+      overdue: OPEN_STATUSES.includes(microTest.status) && microTest.dueAt < new Date(),
+      startedAt: microTest.startedAt,
+      completedAt: microTest.completedAt,
+      outcome,
+      createdAt: microTest.createdAt
+    };
+  }
+}
+
+module.exports = new MicroTestService();
@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const path = require('path');
+const cron = require('node-cron');
+const ejs = require('ejs');
+const nodemailer = require('nodemailer');
+const User = require('../models/user');
+const MicroTest = require('../models/microTest');
+const Notification = require('../models/notification');
+const checkInService = require('./checkInService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+
+const NOTIFICATIONS_ENABLED = process.env.NOTIFICATIONS_ENABLED === 'true';
+const NOTIFICATION_CRON = process.env.NOTIFICATION_CRON || '*/15 * * * *';
+// How long before a micro-test is due its reminder goes out
+const MICRO_TEST_REMINDER_LEAD_MINUTES = parseInt(process.env.MICRO_TEST_REMINDER_LEAD_MINUTES, 10) || 120;
+// Reminders more than this late (e.g. after downtime) are dropped instead of sent
+const REMINDER_WINDOW_HOURS = 24;
+const MAX_SEND_ATTEMPTS = 3;
+// A reminder left 'sending' this long belongs to a worker that died mid-send and is claimed again
+const SENDING_LEASE_MS = 10 * 60 * 1000;
+
+// Reminder kinds: the user preference that opts in to each and how it is rendered
+const KINDS = {
+  micro_test_due: {
+    preference: 'microTestReminders',
+    template: 'microTestReminder',
+    subject: 'Reminder: your micro-test is due soon'
+  },
+  check_in_due: {
+    preference: 'checkInReminders',
+    template: 'checkInReminder',
+    subject: 'A quick check-in on your last session'
+  }
+};
+
+const PREFERENCES = Object.values(KINDS).map(kind => kind.preference);
+
+/**
+ * Rough time until a date, for email copy
+ * @param {Date} date - Due time
+ * @returns {string} - e.g. "in about 2 hours" or "now"
+ */
+const describeDue = (date) => {
+  const minutes = Math.round((new Date(date).getTime() - Date.now()) / 60000);
+  if (minutes <= 5) return 'now';
+  if (minutes < 90) return `in about ${minutes} minutes`;
+  return `in about ${Math.round(minutes / 60)} hours`;
+};
+
+class NotificationService {
+  constructor() {
+    this.task = null;
+    this.transport = null;
+  }
+
+  /**
+   * Start sending reminders on the NOTIFICATION_CRON schedule. Does nothing unless
+   * NOTIFICATIONS_ENABLED is true.
+   */
+  start() {
+    if (!NOTIFICATIONS_ENABLED) {
+      console.log('Notification service disabled - set NOTIFICATIONS_ENABLED=true to send reminder emails');
+      return;
+    }
+    if (this.task) {
+      console.log('Notification service is already running');
+      return;
+    }
+
+    this.task = cron.schedule(NOTIFICATION_CRON, async () => {
+      await this.sendDueReminders();
+    });
+    console.log(`Notification service started - checking for due reminders on "${NOTIFICATION_CRON}"`);
+  }
+
+  /**
+   * Stop the notification service
+   */
+  stop() {
+    if (!this.task) return;
+    this.task.stop();
+    this.task = null;
+    console.log('Notification service stopped');
+  }
+
+  /**
+   * SMTP transport from SMTP_* settings. Defaults to a local SMTP catcher such as
+   * Mailpit or MailHog on localhost:1025.
+   * @returns {Object} - nodemailer transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      const auth = process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined;
+
+      this.transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth
+      });
+    }
+    return this.transport;
+  }
+
+  /**
+   * A user's reminder preferences
+   * @param {Object} user - User document
+   * @returns {Object} - { microTestReminders, checkInReminders }
+   */
+  getPreferences(user) {
+    const notifications = user.notifications || {};
+    return Object.fromEntries(PREFERENCES.map(name => [name, Boolean(notifications[name])]));
+  }
+
+  /**
+   * Turn reminder kinds on or off. The first opt-in creates the user's unsubscribe token.
+   * @param {Object} user - User document
+   * @param {Object} changes - { microTestReminders, checkInReminders }, already validated
+   * @returns {Promise<Object>} - Updated preferences
+   */
+  async updatePreferences(user, changes) {
+    const set = {};
+    PREFERENCES.forEach(name => {
+      if (typeof changes[name] === 'boolean') set[`notifications.${name}`] = changes[name];
+    });
+
+    const optingIn = Object.values(changes).some(Boolean);
+    if (optingIn && !(user.notifications && user.notifications.unsubscribeToken)) {
+      set['notifications.unsubscribeToken'] = crypto.randomBytes(24).toString('hex');
+    }
+
+    const updated = await User.findByIdAndUpdate(user._id, { $set: set }, { new: true });
+    return this.getPreferences(updated);
+  }
+
+  /**
+   * Whether an unsubscribe link belongs to a user. Changes nothing, so link prefetching is harmless.
+   * @param {string} token - Unsubscribe token from the link
+   * @returns {Promise<boolean>}
+   */
+  async isUnsubscribeToken(token) {
+    if (typeof token !== 'string' || token.length === 0) return false;
+    return Boolean(await User.exists({ 'notifications.unsubscribeToken': token }));
+  }
+
+  /**
+   * Turn reminders off for the user an unsubscribe link belongs to
+   * @param {string} token - Unsubscribe token from the link
+   * @param {string} [preference] - One preference to turn off; all when omitted
+   * @returns {Promise<boolean>} - false when the token matches no user
+   */
+  async unsubscribe(token, preference = null) {
+    if (typeof token !== 'string' || token.length === 0) return false;
+
+    const names = PREFERENCES.includes(preference) ? [preference] : PREFERENCES;
+    const set = Object.fromEntries(names.map(name => [`notifications.${name}`, false]));
+
+    const user = await User.findOneAndUpdate({ 'notifications.unsubscribeToken': token }, { $set: set });
+    return Boolean(user);
+  }
+
+  /**
+   * Render the page an unsubscribe link opens, asking to confirm with a POST to the same URL
+   * @param {boolean} valid - Whether the link belongs to a user
+   * @param {string} action - URL the confirm form posts to
+   * @param {string} [preference] - Preference the link turns off; all when omitted
+   * @returns {Promise<string>} - HTML
+   */
+  renderUnsubscribeConfirm(valid, action, preference = null) {
+    return ejs.renderFile(path.join(VIEWS_DIR, 'unsubscribe.ejs'), {
+      valid,
+      action,
+      reason: this.describePreference(preference)
+    });
+  }
+
+  /**
+   * Render the page shown after unsubscribing
+   * @param {boolean} success - Whether the link was valid
+   * @param {string} [preference] - Preference that was turned off; all when omitted
+   * @returns {Promise<string>} - HTML
+   */
+  renderUnsubscribed(success, preference = null) {
+    return ejs.renderFile(path.join(VIEWS_DIR, 'unsubscribed.ejs'), {
+      success,
+      reason: this.describePreference(preference)
+    });
+  }
+
+  /**
+   * Reminder kind named in unsubscribe pages
+   * @param {string} [preference] - Preference; all reminders when omitted
+   * @returns {string}
+   */
+  describePreference(preference) {
+    return {
+      microTestReminders: 'micro-test reminders',
+      checkInReminders: 'check-in reminders'
+    }[preference] || 'reminder emails';
+  }
+
+  /**
+   * Send every reminder that is due: micro-tests due within the lead time and sessions
+   * whose check-in became due, for users who opted in. Each reminder is sent once.
+   * @returns {Promise<Object>} - { sent, failed }
+   */
+  async sendDueReminders() {
+    const totals = { sent: 0, failed: 0 };
+    try {
+      const now = Date.now();
+      const windowStart = new Date(now - REMINDER_WINDOW_HOURS * HOUR_MS);
+
+      const microTests = await MicroTest.find({
+        userId: { $ne: null },
+        status: { $in: ['planned', 'in_progress'] },
+        dueAt: { $gte: windowStart, $lte: new Date(now + MICRO_TEST_REMINDER_LEAD_MINUTES * 60000) }
+      }).lean();
+
+      const sessions = await checkInService.findDue({ userId: { $ne: null } }, windowStart);
+
+      const reminders = [
+        ...microTests.map(microTest => ({ kind: 'micro_test_due', refId: microTest._id, userId: microTest.userId, microTest })),
+        ...sessions.map(session => ({ kind: 'check_in_due', refId: session.sessionId, userId: session.userId, session }))
+      ];
+      if (reminders.length === 0) return totals;
+
+      const users = await User.find({
+        _id: { $in: [...new Set(reminders.map(r => String(r.userId)))] },
+        deleted_at: null
+      }).select('email firstName notifications').lean();
+      const usersById = new Map(users.map(user => [String(user._id), user]));
+
+      for (const reminder of reminders) {
+        const user = usersById.get(String(reminder.userId));
+        if (!user || !user.notifications || !user.notifications[KINDS[reminder.kind].preference]) continue;
+
+        const result = await this.deliver(reminder, user);
+        if (result === 'sent') totals.sent += 1;
+        if (result === 'failed') totals.failed += 1;
+      }
+
+      if (totals.sent > 0 || totals.failed > 0) {
+        console.log(`Reminder emails: ${totals.sent} sent, ${totals.failed} failed`);
+      }
+    } catch (error) {
+      console.error('Error sending reminder emails:', error);
+    }
+    return totals;
+  }
+
+  /**
+   * Send one reminder unless it was already sent or gave up after MAX_SEND_ATTEMPTS
+   * @param {Object} reminder - { kind, refId, microTest | session }
+   * @param {Object} user - Lean user
+   * @returns {Promise<string|null>} - 'sent', 'failed' or null when skipped
+   */
+  async deliver(reminder, user) {
+    const notification = await this.claim(reminder.kind, reminder.refId, user._id);
+    if (!notification) return null;
+
+    try {
+      await this.getTransport().sendMail(await this.compose(reminder, user));
+      notification.status = 'sent';
+      notification.sentAt = new Date();
+      notification.error = null;
+    } catch (error) {
+      console.error(`Error sending ${reminder.kind} reminder:`, error.message);
+      notification.status = 'failed';
+      notification.error = error.message;
+    }
+    await notification.save();
+    return notification.status;
+  }
+
+  /**
+   * Claim a reminder for sending: a new record, a failed one with attempts left, or one stuck
+   * in 'sending' past SENDING_LEASE_MS because its worker died. Claiming counts as an attempt,
+   * so a reminder that keeps crashing its worker still gives up after MAX_SEND_ATTEMPTS.
+   * The unique index on kind and refId keeps two workers from sending the same reminder.
+   * @param {string} kind - Reminder kind
+   * @param {Object} refId - MicroTest _id or session ID
+   * @param {Object} userId - User ID
+   * @returns {Promise<Object|null>} - Notification document, or null when there is nothing to send
+   */
+  async claim(kind, refId, userId) {
+    try {
+      return await Notification.create({ kind, refId, userId, status: 'sending', attempts: 1 });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+    return Notification.findOneAndUpdate(
+      {
+        kind,
+        refId,
+        attempts: { $lt: MAX_SEND_ATTEMPTS },
+        $or: [
+          { status: 'failed' },
+          { status: 'sending', updatedAt: { $lt: new Date(Date.now() - SENDING_LEASE_MS) } }
+        ]
+      },
+      { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Render a reminder email with its unsubscribe links
+   * @param {Object} reminder - { kind, microTest | session }
+   * @param {Object} user - Lean user
+   * @returns {Promise<Object>} - nodemailer message
+   */
+  async compose(reminder, user) {
+    const kind = KINDS[reminder.kind];
+    const apiUrl = (process.env.API_URL || 'http://localhost:8080').replace(/\/$/, '');
+    const unsubscribeBase = `${apiUrl}/api/v1/notifications/unsubscribe?token=${encodeURIComponent(user.notifications.unsubscribeToken)}`;
+    const unsubscribeUrl = `${unsubscribeBase}&type=${kind.preference}`;
+
+    const data = {
+      firstName: user.firstName,
+      appUrl: process.env.APP_URL || 'http://localhost:3000',
+      unsubscribeUrl,
+      unsubscribeAllUrl: unsubscribeBase,
+      microTest: reminder.microTest || null,
+      dueText: reminder.microTest ? describeDue(reminder.microTest.dueAt) : null
+    };
+
+    const [html, text] = await Promise.all([
+      ejs.renderFile(path.join(VIEWS_DIR, 'emails', `${kind.template}.ejs`), data),
+      ejs.renderFile(path.join(VIEWS_DIR, 'emails', `${kind.template}.txt.ejs`), data)
+    ]);
+
+    return {
+      from: process.env.MAIL_FROM || 'Clarify <no-reply@clarify.local>',
+      to: user.email,
+      subject: kind.subject,
+      html,
+      text,
+      list: {
+        // One-click unsubscribe in mail clients (RFC 8058)
+        unsubscribe: unsubscribeUrl
+      },
+      headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+    };
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,455 @@
+const natural = require('natural');
+const protocolService = require('./protocolService');
+const {
+  narrativeLoopSchema,
+  spiessMapSchema,
+  summarySchema,
+  comparisonSchema
+} = require('../schemas');
+
+const sentenceTokenizer = new natural.SentenceTokenizer();
+const wordTokenizer = new natural.WordTokenizer();
+const STOPWORDS = new Set(natural.stopwords);
+
+/**
+ * Stem every word of a lexicon so inflections match (worried, worrying -> worri)
+ * @param {Object} lexicon - Label -> words
+ * @returns {Object} - Label -> Set of stems
+ */
+const stemLexicon = (lexicon) => Object.fromEntries(
+  Object.entries(lexicon).map(([label, words]) => [label, new Set(words.map(w => natural.PorterStemmer.stem(w)))])
+);
+
+// Emotion lexicon: emotion label -> words that signal it
+const EMOTION_LEXICON = stemLexicon({
+  Anxiety: ['anxious', 'anxiety', 'nervous', 'worried', 'worry', 'panic', 'uneasy', 'stressed', 'tense'],
+  Fear: ['afraid', 'scared', 'fear', 'terrified', 'frightened'],
+  Sadness: ['sad', 'hurt', 'upset', 'crying', 'disappointed', 'miserable', 'heartbroken'],
+  Anger: ['angry', 'mad', 'furious', 'frustrated', 'annoyed', 'irritated', 'resentful'],
+  Embarrassment: ['embarrassed', 'awkward', 'humiliated', 'uncomfortable'],
+  Shame: ['ashamed', 'shame', 'stupid', 'inadequate', 'failure'],
+  Guilt: ['guilty', 'guilt', 'fault', 'sorry'],
+  Loneliness: ['lonely', 'alone', 'excluded', 'isolated', 'ignored', 'invisible'],
+  Overwhelm: ['overwhelmed', 'exhausted', 'drained', 'swamped']
+});
+
+// Body sensation lexicon: sensation -> words that signal it
+const SENSATION_LEXICON = stemLexicon({
+  'Tight chest': ['chest', 'tight', 'tightness'],
+  'Racing heart': ['heart', 'racing', 'pounding'],
+  'Knot in the stomach': ['stomach', 'nauseous', 'sick', 'gut'],
+  'Muscle tension': ['tension', 'clenched', 'jaw', 'shoulders'],
+  'Shaky hands': ['shaking', 'shaky', 'trembling'],
+  'Hot face': ['blushing', 'flushed', 'face'],
+  'Shallow breathing': ['breath', 'breathe', 'breathing'],
+  'Heaviness and fatigue': ['tired', 'heavy', 'fatigue', 'sleep'],
+  'Tears': ['tears', 'cried', 'crying']
+});
+
+// Sensation most often reported with each emotion, for stories that mention none
+const EMOTION_SENSATIONS = {
+  Anxiety: 'Tight chest',
+  Fear: 'Racing heart',
+  Sadness: 'Heaviness and fatigue',
+  Anger: 'Muscle tension',
+  Embarrassment: 'Hot face',
+  Shame: 'Hot face',
+  Guilt: 'Knot in the stomach',
+  Loneliness: 'Heaviness and fatigue',
+  Overwhelm: 'Shallow breathing'
+};
+
+// Cue phrases that mark the sentence carrying each narrative field
+const FIELD_CUES = {
+  trigger: [
+    /\b(when|after|because|since)\b/,
+    /\b(said|told|asked|ignored|left|cancell?ed|forgot|critici[sz]ed|excluded|didn't|did not)\b/,
+    /\b(yesterday|today|tonight|last (night|week|time)|this (morning|week))\b/
+  ],
+  fear: [
+    /\b(afraid|scared|fear|terrified|worried|worry)\b/,
+    /\bwhat if\b/,
+    /\b(they|he|she|people|everyone) (must|probably|don't|do not|doesn't|does not|won't|will not|hate|think)\b/,
+    /\b(might|going to|will) (be|lose|get|never)\b/
+  ],
+  outcome: [
+    /\b(ended up|so i|now i|i left|i stopped|i avoided|i'm going to|i will|i won't)\b/,
+    /\b(should just|give up on|stop trying|never again)\b/
+  ],
+  whyItFeelsReal: [
+    /\b(always|every time|again|used to|as a (kid|child|teenager)|in the past|before)\b/
+  ],
+  hiddenLogic: [
+    /\bif i\b/,
+    /\bi (have to|must|should|need to)\b/
+  ]
+};
+
+// Thinking patterns and the phrases that suggest them
+const MECHANISM_CUES = {
+  'mind reading': /\b(avoiding me|(don't|doesn't|do not|does not) (\w+ )?like me|(think|thinks) (i'm|i am)|hates? me|must think)\b/,
+  'catastrophizing': /\b(worst|ruin(ed)?|disaster|fired|everything is)\b/,
+  'all-or-nothing thinking': /\b(always|never|everyone|no one|nobody|completely|totally)\b/,
+  'personalization': /\b(my fault|because of me|blame myself)\b/,
+  'fortune telling': /\b(will|going to) (fail|never|lose|leave|reject)\b/,
+  'should statements': /\bi (should|must|have to)\b/,
+  'rejection sensitivity': /\b(reject\w*|excluded|left out|ignored|avoiding me)\b/,
+  'perfectionism': /\bperfect\w*\b/
+};
+
+// Needs (see needsEnum) and the phrases that suggest them
+const NEED_CUES = {
+  safety: /\b(safe|unsafe|threat\w*|danger\w*|scared|afraid)\b/,
+  belonging: /\b(belong\w*|excluded|left out|fit in|group|alone|ignored|avoiding me)\b/,
+  autonomy: /\b(freedom|my choice|micromanag\w*|told me what|forced)\b/,
+  competence: /\b(fail\w*|mistakes?|good enough|perfect\w*|capable|criticis\w*|criticiz\w*|presentation)\b/,
+  purpose: /\b(purpose|pointless)\b/,
+  connection: /\b(connect\w*|close to|lonely|friends?|partner|relationship)\b/,
+  recognition: /\b(appreciat\w*|recogni\w*|credit|valued|praise\w*|noticed?)\b/,
+  control: /\b(control\w*|uncertain\w*|chaos|chaotic)\b/,
+  predictability: /\b(unexpected\w*|sudden\w*|surprised?|unpredictable|out of nowhere)\b/,
+  growth: /\b(grow\w*|learn\w*|stuck|progress)\b/,
+  contribution: /\b(help\w*|contribut\w*|useful|make a difference)\b/,
+  meaning: /\b(meaning\w*|why bother)\b/
+};
+
+// Protocol suggested for the dominant emotion
+const EMOTION_PROTOCOLS = {
+  Anxiety: 'STOP',
+  Fear: 'STOP',
+  Anger: 'STOP',
+  Overwhelm: 'STOP',
+  Embarrassment: 'Bridge Belief',
+  Shame: 'Bridge Belief',
+  Guilt: 'Bridge Belief',
+  Sadness: 'Values First',
+  Loneliness: 'Values First'
+};
+
+// Micro test suggested for the most prominent need
+const NEED_MICRO_TESTS = {
+  belonging: 'Reach out to one person from the situation with a short, friendly message and note the actual reply',
+  connection: 'Reach out to one person from the situation with a short, friendly message and note the actual reply',
+  competence: 'Share one piece of work that is good enough rather than perfect and note the actual response',
+  recognition: 'Ask one person for specific feedback on something you did and note what they actually say',
+  autonomy: 'Make one small decision on your own today and note what actually happens',
+  control: 'Let one small thing go unplanned today and note what actually happens'
+};
+
+// Share of the shorter text's word stems two loop fields need in common to count as the same or similar
+const SAME_OVERLAP = 0.6;
+const SIMILAR_OVERLAP = 0.25;
+
+const DEFAULT_MICRO_TEST = 'Write down the feared prediction, then check what actually happens the next time the situation comes up';
+
+const BREAKING_ACTIONS = [
+  'Name the story separately from the facts',
+  'Ask one clarifying question instead of assuming',
+  'Do one small thing without checking for approval'
+];
+
+class OfflineAnalysisService {
+  /**
+   * Rule-based analysis for when the LLM is unavailable.
+   * Builds a schema-valid narrative loop, SPIESS map and summary from the input alone.
+   * @param {string} input - Sanitized, redacted input
+   * @returns {Object} - { narrativeLoop, spiessMap, summary, provenance }
+   */
+  analyze(input) {
+    const text = typeof input === 'string' ? input : '';
+    const sentences = sentenceTokenizer.tokenize(text.replace(/\s+/g, ' ').trim())
+      .map(s => s.trim())
+      .filter(s => s.length > 0);
+    const stems = new Set(wordTokenizer.tokenize(text.toLowerCase()).map(w => natural.PorterStemmer.stem(w)));
+    const lower = text.toLowerCase();
+
+    const provenance = [];
+    const trace = (path, found) => {
+      provenance.push({ path, source: found ? 'heuristic' : 'default', confidence: null });
+    };
+
+    const emotions = this.matchLexicon(EMOTION_LEXICON, stems);
+    const narrativeLoop = this.buildNarrativeLoop(sentences, lower, emotions, trace);
+    const spiessMap = this.buildSpiessMap(lower, stems, emotions, trace);
+    const summary = this.buildSummary(narrativeLoop, spiessMap, emotions, trace);
+
+    this.assertValid('narrativeLoop', narrativeLoopSchema, narrativeLoop);
+    this.assertValid('spiessMap', spiessMapSchema, spiessMap);
+    this.assertValid('summary', summarySchema, summary);
+
+    return { narrativeLoop, spiessMap, summary, provenance };
+  }
+
+  /**
+   * Narrative loop from the sentences carrying each field's cue phrases
+   * @param {Array<string>} sentences - Input sentences
+   * @param {string} lower - Lower-cased input
+   * @param {Array<string>} emotions - Emotion labels found, strongest first
+   * @param {Function} trace - Provenance recorder (path, found)
+   * @returns {Object}
+   */
+  buildNarrativeLoop(sentences, lower, emotions, trace) {
+    const used = new Set();
+    const pick = (field, preferLast = false) => {
+      const sentence = this.pickSentence(sentences, FIELD_CUES[field], used, preferLast);
+      if (sentence) used.add(sentence);
+      return sentence;
+    };
+
+    // Triggers come early in a story and outcomes late; without a cue the opening sentence sets the scene
+    const trigger = pick('trigger') || sentences[0] || null;
+    if (trigger) used.add(trigger);
+    const fear = pick('fear');
+    const outcome = pick('outcome', true);
+    const whyItFeelsReal = pick('whyItFeelsReal');
+    const hiddenLogic = pick('hiddenLogic');
+    const mechanisms = Object.keys(MECHANISM_CUES).filter(name => MECHANISM_CUES[name].test(lower));
+
+    trace('narrativeLoop.trigger', !!trigger);
+    trace('narrativeLoop.fear', !!fear);
+    trace('narrativeLoop.emotion', emotions.length > 0);
+    trace('narrativeLoop.outcome', !!outcome);
+    trace('narrativeLoop.whyItFeelsReal', !!whyItFeelsReal);
+    trace('narrativeLoop.hiddenLogic', !!hiddenLogic);
+    trace('narrativeLoop.breakingActions', false);
+    trace('narrativeLoop.mechanisms', mechanisms.length > 0);
+
+    return {
+      trigger: this.clip(trigger || 'Hypothesis: Trigger not clearly identified', 1000),
+      fear: this.clip(fear || 'Hypothesis: Fear not clearly identified', 1000),
+      emotion: emotions.length > 0
+        ? this.joinLabels(emotions.slice(0, 2))
+        : 'Hypothesis: Emotion not clearly identified',
+      outcome: this.clip(outcome || 'Hypothesis: Outcome not clearly identified', 1000),
+      whyItFeelsReal: this.clip(whyItFeelsReal || 'Hypothesis: Why it feels real not clearly identified', 1000),
+      hiddenLogic: this.clip(hiddenLogic || 'Hypothesis: Hidden logic not clearly identified', 1000),
+      breakingActions: [...BREAKING_ACTIONS],
+      mechanisms: mechanisms.length > 0 ? mechanisms.slice(0, 10) : ['Hypothesis: Mechanism not clearly identified']
+    };
+  }
+
+  /**
+   * SPIESS map from the emotion, sensation and needs lexicons
+   * @param {string} lower - Lower-cased input
+   * @param {Set<string>} stems - Stems of the input's words
+   * @param {Array<string>} emotions - Emotion labels found, strongest first
+   * @param {Function} trace - Provenance recorder (path, found)
+   * @returns {Object}
+   */
+  buildSpiessMap(lower, stems, emotions, trace) {
+    const described = this.matchLexicon(SENSATION_LEXICON, stems);
+    const sensations = described.length > 0
+      ? described
+      : [...new Set(emotions.map(e => EMOTION_SENSATIONS[e]))];
+    trace('spiessMap.sensations', sensations.length > 0);
+    trace('spiessMap.emotions', emotions.length > 0);
+
+    const needs = Object.keys(NEED_CUES)
+      .map(need => ({ need, hits: (lower.match(new RegExp(NEED_CUES[need].source, 'g')) || []).length }))
+      .filter(n => n.hits > 0)
+      .sort((a, b) => b.hits - a.hits)
+      .map(n => n.need);
+    trace('spiessMap.needs', needs.length > 0);
+    trace('spiessMap.confirmationBias', false);
+
+    const testNeed = needs.find(need => NEED_MICRO_TESTS[need]);
+    trace('spiessMap.microTest.description', !!testNeed);
+    trace('spiessMap.microTest.timeframe', false);
+    trace('spiessMap.microTest.successCriteria', false);
+
+    const { toolAction, matched } = this.suggestToolAction(emotions);
+    trace('spiessMap.toolAction.protocol', matched);
+    trace('spiessMap.toolAction.rationale', matched);
+    trace('spiessMap.toolAction.steps', false);
+    trace('spiessMap.toolAction.example', false);
+
+    return {
+      sensations: sensations.length > 0 ? sensations.slice(0, 5) : ['Hypothesis: Sensation not clearly identified'],
+      emotions: emotions.length > 0 ? emotions.slice(0, 5) : ['Hypothesis: Emotion not clearly identified'],
+      needs: needs.length > 0 ? needs.slice(0, 3) : ['safety'],
+      confirmationBias: 'Because the fear feels true, neutral signals get read as proof of it, and the evidence against it goes unnoticed.',
+      microTest: {
+        description: testNeed ? NEED_MICRO_TESTS[testNeed] : DEFAULT_MICRO_TEST,
+        timeframe: 'Within 24 hours',
+        successCriteria: 'Noting what actually happened, whether or not it matched the fear'
+      },
+      toolAction
+    };
+  }
+
+  /**
+   * Tool action for the strongest emotion, with the protocol's template filled with its fallback steps.
+   * Also used when the model cannot build the tool action.
+   * @param {Array<string>} emotions - Emotion labels or model-written emotions, strongest first
+   * @returns {{toolAction: Object, matched: boolean}} - matched is false when no emotion suggested a protocol
+   */
+  suggestToolAction(emotions = []) {
+    const label = typeof emotions[0] === 'string' ? emotions[0].trim() : '';
+    const emotion = label.charAt(0).toUpperCase() + label.slice(1).toLowerCase();
+    const matched = Object.prototype.hasOwnProperty.call(EMOTION_PROTOCOLS, emotion);
+    const protocol = matched ? EMOTION_PROTOCOLS[emotion] : 'STOP';
+    const rationale = matched ? `${protocol} is suggested for ${emotion.toLowerCase()}, the strongest emotion described.` : null;
+
+    return { toolAction: protocolService.buildDefault(protocol, rationale), matched };
+  }
+
+  /**
+   * What changed since the previous session, judged by the words the trigger and fear share.
+   * Used for follow-up sessions when the model cannot compare the loops; intensity is left unclear.
+   * @param {Object} previous - Previous session context (see threadService.describePrevious)
+   * @param {Object} narrativeLoop - Narrative loop of the follow-up
+   * @returns {Object} - Comparison
+   */
+  compareWithPrevious(previous, narrativeLoop) {
+    const trigger = this.matchText(previous.narrativeLoop.trigger, narrativeLoop.trigger);
+    const fear = this.matchText(previous.narrativeLoop.fear, narrativeLoop.fear);
+    const describe = { same: 'the same as last time', similar: 'similar to last time', new: 'new this time' };
+
+    const changes = [`The trigger is ${describe[trigger]}.`, `The fear is ${describe[fear]}.`];
+    const { microTest } = previous;
+    if (microTest && microTest.fearCameTrue === false) {
+      changes.push('In your last micro-test the feared outcome did not happen.');
+    } else if (microTest && microTest.fearCameTrue === true) {
+      changes.push('In your last micro-test the feared outcome happened.');
+    }
+    const tried = previous.breakingActions.filter(a => a.tried).map(a => a.action);
+    if (tried.length > 0) {
+      changes.push(this.clip(`Since last time you tried: ${tried.join('; ')}.`, 200));
+    }
+
+    const comparison = {
+      trigger,
+      fear,
+      intensity: 'unclear',
+      changes,
+      summary: `Compared to your previous session, the trigger is ${describe[trigger]} and the fear is ${describe[fear]}.`
+    };
+    this.assertValid('comparison', comparisonSchema, comparison);
+    return comparison;
+  }
+
+  /**
+   * Whether two texts are about the same thing, by the share of word stems they have in common
+   * @param {string|null} before - Earlier text
+   * @param {string|null} after - Later text
+   * @returns {string} - same | similar | new
+   */
+  matchText(before, after) {
+    const stemsOf = (text) => new Set(wordTokenizer.tokenize(String(text || '').replace(/\[[A-Z_]+\]/g, ' ').toLowerCase())
+      .filter(word => !STOPWORDS.has(word))
+      .map(word => natural.PorterStemmer.stem(word)));
+    const a = stemsOf(before);
+    const b = stemsOf(after);
+    if (a.size === 0 || b.size === 0) return 'new';
+
+    const overlap = [...a].filter(stem => b.has(stem)).length / Math.min(a.size, b.size);
+    if (overlap >= SAME_OVERLAP) return 'same';
+    if (overlap >= SIMILAR_OVERLAP) return 'similar';
+    return 'new';
+  }
+
+  /**
+   * Short summary assembled from the loop and map
+   * @param {Object} narrativeLoop - Offline narrative loop
+   * @param {Object} spiessMap - Offline SPIESS map
+   * @param {Array<string>} emotions - Emotion labels found, strongest first
+   * @param {Function} trace - Provenance recorder (path, found)
+   * @returns {Object}
+   */
+  buildSummary(narrativeLoop, spiessMap, emotions, trace) {
+    const mechanisms = narrativeLoop.mechanisms.filter(m => !m.startsWith('Hypothesis:'));
+    const parts = [
+      emotions.length > 0
+        ? `This situation brought up ${this.joinLabels(emotions.slice(0, 2)).toLowerCase()}, tied to a need for ${spiessMap.needs.slice(0, 2).join(' and ')}.`
+        : `This situation touches a need for ${spiessMap.needs.slice(0, 2).join(' and ')}.`,
+      mechanisms.length > 0 ? `Patterns like ${mechanisms.slice(0, 2).join(' and ')} may keep the loop going.` : '',
+      'Testing the fear with one small action can loosen it.'
+    ];
+
+    trace('summary.content', emotions.length > 0 || mechanisms.length > 0);
+    trace('summary.mechanisms', mechanisms.length > 0);
+    trace('summary.nextStep', false);
+
+    return {
+      content: this.clip(parts.filter(Boolean).join(' '), 250),
+      mechanisms: mechanisms.length > 0
+        ? mechanisms.slice(0, 5).map(m => this.clip(m, 100))
+        : ['Hypothesis: Mechanism not clearly identified'],
+      nextStep: this.clip(spiessMap.microTest.description, 200)
+    };
+  }
+
+  /**
+   * Sentence with the most cue matches. Ties go to the earliest sentence, or the latest with preferLast.
+   * @param {Array<string>} sentences - Input sentences
+   * @param {Array<RegExp>} cues - Cue patterns
+   * @param {Set<string>} used - Sentences already assigned to another field
+   * @param {boolean} preferLast - Prefer later sentences on ties
+   * @returns {string|null}
+   */
+  pickSentence(sentences, cues, used, preferLast = false) {
+    let best = null;
+    let bestScore = 0;
+    sentences.forEach(sentence => {
+      if (used.has(sentence)) return;
+      const lowerSentence = sentence.toLowerCase();
+      const score = cues.filter(cue => cue.test(lowerSentence)).length;
+      if (score > bestScore || (preferLast && score > 0 && score === bestScore)) {
+        best = sentence;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Lexicon labels whose words appear in the input, most matches first
+   * @param {Object} lexicon - Label -> Set of stems
+   * @param {Set<string>} stems - Stems of the input's words
+   * @returns {Array<string>}
+   */
+  matchLexicon(lexicon, stems) {
+    return Object.entries(lexicon)
+      .map(([label, words]) => ({ label, hits: [...words].filter(w => stems.has(w)).length }))
+      .filter(l => l.hits > 0)
+      .sort((a, b) => b.hits - a.hits)
+      .map(l => l.label);
+  }
+
+  /**
+   * "Anxiety and embarrassment"
+   * @param {Array<string>} labels - Labels
+   * @returns {string}
+   */
+  joinLabels(labels) {
+    return labels.map((label, i) => (i === 0 ? label : label.toLowerCase())).join(' and ');
+  }
+
+  /**
+   * Trim text to a maximum length at a word boundary
+   * @param {string} text - Text
+   * @param {number} max - Maximum length
+   * @returns {string}
+   */
+  clip(text, max) {
+    if (text.length <= max) return text;
+    const cut = text.substring(0, max - 3);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > 0 ? cut.substring(0, lastSpace) : cut).trim()}...`;
+  }
+
+  /**
+   * Offline outputs are built to fit the stage schemas; anything else is a bug
+   * @param {string} stage - Stage name
+   * @param {Object} schema - Joi schema
+   * @param {Object} data - Stage output
+   */
+  assertValid(stage, schema, data) {
+    const { error } = schema.validate(data);
+    if (error) {
+      throw new Error(`Offline ${stage} failed schema validation: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new OfflineAnalysisService();
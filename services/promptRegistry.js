@@ -0,0 +1,202 @@
+const PromptTemplate = require('../models/promptTemplate');
+const builtInPrompts = require('../config/prompts');
+
+const ACTIVE_CACHE_TTL_MS = parseInt(process.env.PROMPT_CACHE_TTL_MS, 10) || 60 * 1000;
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+class PromptRegistry {
+  constructor() {
+    this.activeCache = new Map();
+  }
+
+  /**
+   * Stages that have prompt templates
+   * @returns {Array<string>}
+   */
+  getStages() {
+    return Object.keys(builtInPrompts);
+  }
+
+  /**
+   * Built-in template for a stage as a version entry
+   * @param {string} stage - Stage name
+   * @returns {Object|null}
+   */
+  getBuiltIn(stage) {
+    const prompt = builtInPrompts[stage];
+    if (!prompt) return null;
+    return {
+      stage,
+      version: prompt.version,
+      versionId: `${stage}@${prompt.version}`,
+      template: prompt.template,
+      description: prompt.description,
+      builtIn: true
+    };
+  }
+
+  /**
+   * Placeholders used by a template
+   * @param {string} template - Template text
+   * @returns {Array<string>}
+   */
+  getPlaceholders(template) {
+    return [...template.matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]);
+  }
+
+  /**
+   * Resolve the active template for a stage: the pinned stored version, else the built-in.
+   * Cached briefly so prompt lookups don't add a query to every model call.
+   * @param {string} stage - Stage name
+   * @returns {Promise<Object>} - Version entry ({ versionId, template, ... })
+   */
+  async getActive(stage) {
+    const cached = this.activeCache.get(stage);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.entry;
+    }
+
+    let entry = this.getBuiltIn(stage);
+    try {
+      const pinned = await PromptTemplate.findOne({ stage, isActive: true }).lean();
+      if (pinned) {
+        entry = { ...pinned, builtIn: false };
+      }
+    } catch (error) {
+      console.error(`Error loading active prompt for ${stage}, using built-in:`, error.message);
+    }
+
+    this.activeCache.set(stage, { entry, expiresAt: Date.now() + ACTIVE_CACHE_TTL_MS });
+    return entry;
+  }
+
+  /**
+   * Render the active template for a stage
+   * @param {string} stage - Stage name
+   * @param {Object} variables - Values for the template placeholders
+   * @returns {Promise<{versionId: string, content: string}>}
+   */
+  async render(stage, variables = {}) {
+    const entry = await this.getActive(stage);
+    if (!entry) {
+      throw new Error(`No prompt template for stage ${stage}`);
+    }
+
+    const content = entry.template.replace(PLACEHOLDER_PATTERN, (_match, name) => {
+      const value = variables[name];
+      if (value === undefined || value === null) return '';
+      if (typeof value === 'string') return value;
+      if (Array.isArray(value) && value.every(v => typeof v === 'string')) return value.join(', ');
+      return JSON.stringify(value);
+    });
+
+    return { versionId: entry.versionId, content };
+  }
+
+  /**
+   * List all versions of a stage's prompt, built-in first, with the active one flagged
+   * @param {string} stage - Stage name
+   * @returns {Promise<Array<Object>>}
+   */
+  async listVersions(stage) {
+    const stored = await PromptTemplate.find({ stage }).sort({ createdAt: 1 }).lean();
+    const activeStored = stored.find(t => t.isActive);
+    const builtIn = this.getBuiltIn(stage);
+
+    return [
+      { ...builtIn, isActive: !activeStored },
+      ...stored.map(t => ({
+        stage: t.stage,
+        version: t.version,
+        versionId: t.versionId,
+        template: t.template,
+        description: t.description,
+        builtIn: false,
+        isActive: t.isActive,
+        createdBy: t.createdBy,
+        createdAt: t.createdAt
+      }))
+    ];
+  }
+
+  /**
+   * Store a new version of a stage's prompt
+   * @param {string} stage - Stage name
+   * @param {Object} data - { template, description, activate }
+   * @param {string} userId - Admin creating the version
+   * @returns {Promise<Object>} - Result with the created version or an error
+   */
+  async createVersion(stage, { template, description, activate = false }, userId = null) {
+    if (!builtInPrompts[stage]) {
+      return { success: false, error: { code: 'VALIDATION_ERROR', message: `Unknown prompt stage: ${stage}` } };
+    }
+
+    if (!template || typeof template !== 'string') {
+      return { success: false, error: { code: 'VALIDATION_ERROR', message: 'template is required and must be a string' } };
+    }
+
+    const allowed = builtInPrompts[stage].variables;
+    const unknown = this.getPlaceholders(template).filter(name => !allowed.includes(name));
+    if (unknown.length > 0) {
+      return {
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `Unknown template variables for ${stage}: ${[...new Set(unknown)].join(', ')}. Allowed: ${allowed.join(', ') || 'none'}`
+        }
+      };
+    }
+
+    // Stored versions continue numbering after the built-in and any existing versions
+    const existing = await PromptTemplate.find({ stage }).select('version').lean();
+    const latest = [builtInPrompts[stage].version, ...existing.map(t => t.version)]
+      .map(v => parseInt(String(v).replace(/^v/, ''), 10) || 0)
+      .reduce((max, n) => Math.max(max, n), 0);
+    const version = `v${latest + 1}`;
+
+    const created = await PromptTemplate.create({
+      stage,
+      version,
+      versionId: `${stage}@${version}`,
+      template,
+      description,
+      createdBy: userId
+    });
+
+    if (activate) {
+      await this.pinVersion(stage, created.versionId);
+    }
+
+    return { success: true, version: await PromptTemplate.findById(created._id).lean() };
+  }
+
+  /**
+   * Pin the active version for a stage. Pinning the built-in version unpins all stored ones.
+   * @param {string} stage - Stage name
+   * @param {string} versionId - Version to activate (e.g. 'summary@v3')
+   * @returns {Promise<Object>} - Result with the active versionId or an error
+   */
+  async pinVersion(stage, versionId) {
+    const builtIn = this.getBuiltIn(stage);
+    if (!builtIn) {
+      return { success: false, error: { code: 'VALIDATION_ERROR', message: `Unknown prompt stage: ${stage}` } };
+    }
+
+    if (versionId !== builtIn.versionId) {
+      const exists = await PromptTemplate.exists({ stage, versionId });
+      if (!exists) {
+        return { success: false, error: { code: 'NOT_FOUND', message: `Prompt version ${versionId} not found` } };
+      }
+    }
+
+    await PromptTemplate.updateMany({ stage, versionId: { $ne: versionId } }, { $set: { isActive: false } });
+    if (versionId !== builtIn.versionId) {
+      await PromptTemplate.updateOne({ stage, versionId }, { $set: { isActive: true } });
+    }
+
+    this.activeCache.delete(stage);
+    return { success: true, stage, activeVersionId: versionId };
+  }
+}
+
+module.exports = new PromptRegistry();
@@ -0,0 +1,107 @@
+const protocols = require('../config/protocols');
+const { checkSlot } = require('../schemas');
+
+const MAX_STEP_LENGTH = 300;
+
+class ProtocolService {
+  /**
+   * Protocol template by name
+   * @param {string} protocol - Protocol name
+   * @returns {Object|null}
+   */
+  getTemplate(protocol) {
+    return Object.prototype.hasOwnProperty.call(protocols, protocol) ? protocols[protocol] : null;
+  }
+
+  /**
+   * Every protocol with when to choose it and its slots, for the toolAction prompt
+   * @returns {string}
+   */
+  describeForPrompt() {
+    return Object.entries(protocols).map(([name, template]) => {
+      const slots = template.slots
+        .map(slot => `  - ${slot.key} (${slot.label}): ${slot.instruction}${slot.patternHint ? `; must ${slot.patternHint}` : ''}`)
+        .join('\n');
+      return `"${name}": ${template.description}. Choose it when ${template.selectWhen}.\n${slots}`;
+    }).join('\n');
+  }
+
+  /**
+   * Fill a protocol's template with slot texts. Empty slots and slots that break a
+   * rule get the template's fallback text.
+   * @param {string} protocol - Protocol name
+   * @param {Object} texts - Slot key -> text
+   * @param {Object} extras - { rationale, example }; missing ones get template defaults
+   * @returns {{toolAction: Object, sources: Object}} - sources maps each toolAction field
+   *   to 'model', 'repaired' (some slots fell back) or 'default'
+   */
+  fill(protocol, texts = {}, { rationale = '', example = '' } = {}) {
+    const template = this.getTemplate(protocol);
+    const filled = {};
+    let fellBack = 0;
+
+    for (const slot of template.slots) {
+      const text = typeof texts[slot.key] === 'string' ? texts[slot.key].trim() : '';
+      const candidate = { ...texts, ...filled, [slot.key]: text };
+      if (checkSlot(template, slot, text, candidate) || `${slot.label}: ${text}`.length > MAX_STEP_LENGTH) {
+        filled[slot.key] = slot.fallback;
+        fellBack += 1;
+      } else {
+        filled[slot.key] = text;
+      }
+    }
+
+    const cleanRationale = typeof rationale === 'string' ? rationale.trim().slice(0, 500) : '';
+    const cleanExample = typeof example === 'string' ? example.trim().slice(0, 500) : '';
+
+    let stepsSource = 'model';
+    if (fellBack === template.slots.length) stepsSource = 'default';
+    else if (fellBack > 0) stepsSource = 'repaired';
+
+    return {
+      toolAction: {
+        protocol,
+        rationale: cleanRationale || this.defaultRationale(protocol),
+        steps: this.formatSteps(protocol, filled),
+        example: cleanExample || template.exampleFallback
+      },
+      sources: {
+        protocol: 'model',
+        rationale: cleanRationale ? 'model' : 'default',
+        steps: stepsSource,
+        example: cleanExample ? 'model' : 'default'
+      }
+    };
+  }
+
+  /**
+   * A protocol's template filled entirely with its fallback texts
+   * @param {string} protocol - Protocol name
+   * @param {string} [rationale] - Why the protocol was chosen
+   * @returns {Object} - Tool action
+   */
+  buildDefault(protocol, rationale = null) {
+    return this.fill(protocol, {}, { rationale: rationale || '' }).toolAction;
+  }
+
+  /**
+   * Stored steps of a filled template, in slot order
+   * @param {string} protocol - Protocol name
+   * @param {Object} filled - Slot key -> text
+   * @returns {Array<string>} - "<label>: <text>" steps
+   */
+  formatSteps(protocol, filled) {
+    return this.getTemplate(protocol).slots.map(slot => `${slot.label}: ${filled[slot.key]}`);
+  }
+
+  /**
+   * Generic rationale built from when the protocol should be chosen
+   * @param {string} protocol - Protocol name
+   * @returns {string}
+   */
+  defaultRationale(protocol) {
+    return `${protocol} fits when ${this.getTemplate(protocol).selectWhen}.`;
+  }
+}
+
+module.exports = new ProtocolService();
@@ -0,0 +1,201 @@
+const SessionRevision = require('../models/sessionRevision');
+const analysisService = require('./analysisService');
+
+const ANALYSIS_FIELDS = ['narrativeLoop', 'spiessMap', 'summary', 'tags', 'tagEvidence'];
+const MAX_RECORD_ATTEMPTS = 3;
+
+class RevisionService {
+  /**
+   * Snapshot of a session's current analysis
+   * @param {Object} session - Session document
+   * @returns {Object}
+   */
+  snapshot(session) {
+    const data = typeof session.toObject === 'function' ? session.toObject() : session;
+    return {
+      ...analysisService.getStoredOutputs(session),
+      analysisStatus: data.analysisStatus,
+      failedStages: data.failedStages || [],
+      staleStages: data.staleStages || [],
+      provenance: data.provenance || [],
+      promptVersions: data.promptVersions instanceof Map
+        ? Object.fromEntries(data.promptVersions)
+        : (data.promptVersions || {}),
+      models: data.models instanceof Map
+        ? Object.fromEntries(data.models)
+        : (data.models || {})
+    };
+  }
+
+  /**
+   * Record the session's current analysis as its next revision.
+   * Never throws: a revision that cannot be stored is logged and skipped.
+   * @param {Object} session - Session document, already saved
+   * @param {string} trigger - analyze | answers | chat | regenerate | edit | restore
+   * @param {Object} options - { userId, details }
+   * @returns {Promise<Object|null>} - Created revision, or null on failure
+   */
+  async record(session, trigger, { userId = null, details = {} } = {}) {
+    const snapshot = this.snapshot(session);
+
+    // Concurrent writers can pick the same number; the unique index rejects the loser, which retries
+    for (let attempt = 1; attempt <= MAX_RECORD_ATTEMPTS; attempt++) {
+      try {
+        const latest = await SessionRevision.findOne({ sessionId: session.sessionId })
+          .sort({ revision: -1 })
+          .select('revision')
+          .lean();
+
+        const created = await SessionRevision.create({
+          sessionId: session.sessionId,
+          revision: latest ? latest.revision + 1 : 1,
+          trigger,
+          details,
+          userId,
+          ...snapshot
+        });
+        return created.toObject();
+      } catch (error) {
+        if (error.code === 11000 && attempt < MAX_RECORD_ATTEMPTS) continue;
+        console.error('Error recording session revision:', error);
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * List a session's revisions, newest first, without their outputs
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(sessionId) {
+    const revisions = await SessionRevision.find({ sessionId })
+      .sort({ revision: -1 })
+      .select('revision trigger details userId analysisStatus promptVersions models createdAt')
+      .lean();
+    return revisions.map(r => this.describe(r, false));
+  }
+
+  /**
+   * Get one revision with its outputs
+   * @param {string} sessionId - Session ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object|null>}
+   */
+  async get(sessionId, revision) {
+    const found = await SessionRevision.findOne({ sessionId, revision }).lean();
+    return found ? this.describe(found) : null;
+  }
+
+  /**
+   * Field-level differences between two revisions
+   * @param {string} sessionId - Session ID
+   * @param {number} from - Earlier revision number
+   * @param {number} to - Later revision number
+   * @returns {Promise<Object>} - Result with changes or an error
+   */
+  async diff(sessionId, from, to) {
+    const [before, after] = await Promise.all([this.get(sessionId, from), this.get(sessionId, to)]);
+    const missing = !before ? from : (!after ? to : null);
+    if (missing !== null) {
+      return { success: false, error: { code: 'NOT_FOUND', message: `Revision ${missing} not found` } };
+    }
+
+    const changes = [];
+    ANALYSIS_FIELDS.forEach(field => this.diffValues(before[field], after[field], field, changes));
+
+    return {
+      success: true,
+      from: before.revision,
+      to: after.revision,
+      changes
+    };
+  }
+
+  /**
+   * Collect changed paths between two values. Objects are compared key by key,
+   * arrays and scalars as a whole.
+   * @param {any} before - Earlier value
+   * @param {any} after - Later value
+   * @param {string} path - Dotted path of the values
+   * @param {Array} changes - Collector for { path, from, to }
+   */
+  diffValues(before, after, path, changes) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (isObject(before) && isObject(after)) {
+      const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+      keys.forEach(key => this.diffValues(before[key], after[key], `${path}.${key}`, changes));
+      return;
+    }
+
+    if (JSON.stringify(before ?? null) !== JSON.stringify(after ?? null)) {
+      changes.push({ path, from: before ?? null, to: after ?? null });
+    }
+  }
+
+  /**
+   * Make an older revision the session's current analysis. Restoring records a new revision.
+   * @param {Object} session - Session document
+   * @param {number} revision - Revision number to restore
+   * @param {string} userId - User restoring
+   * @returns {Promise<Object>} - Result with the new revision or an error
+   */
+  async restore(session, revision, userId = null) {
+    const target = await SessionRevision.findOne({ sessionId: session.sessionId, revision }).lean();
+    if (!target) {
+      return { success: false, error: { code: 'NOT_FOUND', message: `Revision ${revision} not found` } };
+    }
+
+    ANALYSIS_FIELDS.forEach(field => {
+      session[field] = target[field];
+    });
+    session.analysisStatus = target.analysisStatus;
+    session.failedStages = target.failedStages || [];
+    session.staleStages = target.staleStages || [];
+    session.provenance = target.provenance || [];
+    session.promptVersions = target.promptVersions || {};
+    session.models = target.models || {};
+    await session.save();
+
+    const created = await this.record(session, 'restore', { userId, details: { restoredFrom: revision } });
+    return { success: true, revision: created ? this.describe(created) : null };
+  }
+
+  /**
+   * Public shape of a revision
+   * @param {Object} revision - Revision document (lean)
+   * @param {boolean} withOutputs - Include the analysis outputs
+   * @returns {Object}
+   */
+  describe(revision, withOutputs = true) {
+    const described = {
+      revision: revision.revision,
+      trigger: revision.trigger,
+      details: revision.details || {},
+      userId: revision.userId || null,
+      analysisStatus: revision.analysisStatus || null,
+      promptVersions: revision.promptVersions instanceof Map
+        ? Object.fromEntries(revision.promptVersions)
+        : (revision.promptVersions || {}),
+      models: revision.models instanceof Map
+        ? Object.fromEntries(revision.models)
+        : (revision.models || {}),
+      createdAt: revision.createdAt
+    };
+
+    if (withOutputs) {
+      ANALYSIS_FIELDS.forEach(field => {
+        described[field] = revision[field];
+      });
+      described.failedStages = revision.failedStages || [];
+      described.staleStages = revision.staleStages || [];
+      described.provenance = revision.provenance || [];
+    }
+
+    return described;
+  }
+}
+
+module.exports = new RevisionService();
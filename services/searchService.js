@@ -0,0 +1,204 @@
+const natural = require('natural');
+const mongoose = require('mongoose');
+const Session = require('../models/session');
+
+// Most recent matching sessions that are scored; older ones are not searched
+const MAX_SEARCH_SESSIONS = parseInt(process.env.MAX_SEARCH_SESSIONS, 10) || 1000;
+const SNIPPET_LENGTH = 160;
+const MAX_SNIPPETS = 3;
+
+// Searchable text fields, in the order snippets prefer them when they match equally
+const FIELDS = [
+  'narrativeLoop.trigger',
+  'narrativeLoop.fear',
+  'narrativeLoop.emotion',
+  'narrativeLoop.outcome',
+  'narrativeLoop.whyItFeelsReal',
+  'narrativeLoop.hiddenLogic',
+  'narrativeLoop.breakingActions',
+  'summary.content',
+  'summary.nextStep',
+  'input'
+];
+
+const WORD_PATTERN = /[A-Za-z0-9']+/g;
+
+/**
+ * Stems of the searchable words of a text, stopwords left out
+ * @param {string} text - Text
+ * @returns {Array<string>}
+ */
+const stemsOf = (text) => natural.PorterStemmer.tokenizeAndStem(text);
+
+/**
+ * Value of a dotted path on a lean session
+ * @param {Object} session - Lean session
+ * @param {string} path - e.g. narrativeLoop.trigger
+ * @returns {any}
+ */
+const valueAt = (session, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), session);
+
+class SearchService {
+  /**
+   * Whether a query has any word worth searching for
+   * @param {string} q - Query text
+   * @returns {boolean}
+   */
+  hasTerms(q) {
+    return stemsOf(q).length > 0;
+  }
+
+  /**
+   * Search a user's sessions. With a query, sessions are ranked by the TF-IDF score of its
+   * words across the input (stored sessions only), narrative loop and summary, and each result
+   * has snippets with the matching words highlighted. Without one, every session that passes
+   * the filters is returned, newest first.
+   * @param {string} userId - User ID
+   * @param {Object} query - { q, tags, needs, protocol, status, from, to, limit, offset }, already validated
+   * @returns {Promise<Object>} - { total, results }
+   */
+  async search(userId, { q, tags, needs, protocol, status, from, to, limit = 20, offset = 0 }) {
+    const filter = {
+      userId: new mongoose.Types.ObjectId(String(userId)),
+      status: status || { $ne: 'deleted' }
+    };
+    if (tags && tags.length > 0) filter.tags = { $in: tags };
+    if (needs && needs.length > 0) filter['spiessMap.needs'] = { $in: needs };
+    if (protocol) filter['spiessMap.toolAction.protocol'] = protocol;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const sessions = await Session.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(MAX_SEARCH_SESSIONS)
+      .select(`sessionId status createdAt storageOptIn tags spiessMap.toolAction.protocol ${FIELDS.join(' ')}`)
+      .lean();
+
+    if (!q) {
+      return {
+        total: sessions.length,
+        results: sessions.slice(offset, offset + limit).map(session => this.describe(session, null, []))
+      };
+    }
+
+    const terms = [...new Set(stemsOf(q))];
+    const tfidf = new natural.TfIdf();
+    sessions.forEach(session => tfidf.addDocument(stemsOf(this.searchableText(session))));
+
+    const scores = sessions.map((_session, index) => tfidf.tfidf(terms, index));
+    const ranked = sessions
+      .map((session, index) => ({ session, score: scores[index] }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score); // stable, so equal scores stay newest first
+
+    return {
+      total: ranked.length,
+      results: ranked.slice(offset, offset + limit)
+        .map(({ session, score }) => this.describe(session, score, this.snippets(session, new Set(terms))))
+    };
+  }
+
+  /**
+   * Text of a session's searchable fields. The input only counts when the user opted in to storing it.
+   * @param {Object} session - Lean session
+   * @returns {string}
+   */
+  searchableText(session) {
+    return FIELDS.map(path => this.fieldText(session, path)).filter(Boolean).join('\n');
+  }
+
+  /**
+   * Text of one searchable field
+   * @param {Object} session - Lean session
+   * @param {string} path - Field path
+   * @returns {string|null}
+   */
+  fieldText(session, path) {
+    if (path === 'input' && !session.storageOptIn) return null;
+    const value = valueAt(session, path);
+    if (Array.isArray(value)) return value.length > 0 ? value.join('; ') : null;
+    return typeof value === 'string' && value.trim().length > 0 ? value : null;
+  }
+
+  /**
+   * Snippets of the fields with the most matching words, each cut around its first match
+   * @param {Object} session - Lean session
+   * @param {Set<string>} terms - Query stems
+   * @returns {Array<Object>} - { field, text, highlights: [{ start, end }] } with offsets into text
+   */
+  snippets(session, terms) {
+    return FIELDS
+      .map(field => {
+        const text = this.fieldText(session, field);
+        if (!text) return null;
+        const matches = [...text.matchAll(WORD_PATTERN)]
+          .filter(match => terms.has(natural.PorterStemmer.stem(match[0].toLowerCase())))
+          .map(match => ({ start: match.index, end: match.index + match[0].length }));
+        return matches.length > 0 ? { field, text, matches } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.matches.length - a.matches.length)
+      .slice(0, MAX_SNIPPETS)
+      .map(({ field, text, matches }) => ({ field, ...this.cut(text, matches) }));
+  }
+
+  /**
+   * Up to SNIPPET_LENGTH characters of a text around its first match, cut at word
+   * boundaries, with the matches inside it
+   * @param {string} text - Field text
+   * @param {Array<Object>} matches - { start, end } offsets into text, in order
+   * @returns {Object} - { text, highlights }
+   */
+  cut(text, matches) {
+    if (text.length <= SNIPPET_LENGTH) {
+      return { text, highlights: matches };
+    }
+
+    let start = Math.max(0, matches[0].start - Math.floor(SNIPPET_LENGTH / 3));
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    start = Math.max(0, end - SNIPPET_LENGTH);
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < matches[0].start) start = space + 1;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > matches[0].end) end = space;
+    }
+
+    const prefix = start > 0 ? '...' : '';
+    const suffix = end < text.length ? '...' : '';
+    return {
+      text: `${prefix}${text.slice(start, end)}${suffix}`,
+      highlights: matches
+        .filter(match => match.start >= start && match.end <= end)
+        .map(match => ({ start: match.start - start + prefix.length, end: match.end - start + prefix.length }))
+    };
+  }
+
+  /**
+   * Public shape of a search result
+   * @param {Object} session - Lean session
+   * @param {number|null} score - TF-IDF score, null without a query
+   * @param {Array<Object>} snippets - Highlighted snippets
+   * @returns {Object}
+   */
+  describe(session, score, snippets) {
+    return {
+      sessionId: session.sessionId,
+      status: session.status,
+      createdAt: session.createdAt,
+      score: score === null ? null : Math.round(score * 1000) / 1000,
+      trigger: valueAt(session, 'narrativeLoop.trigger') || null,
+      summary: valueAt(session, 'summary.content') || null,
+      tags: session.tags || [],
+      protocol: valueAt(session, 'spiessMap.toolAction.protocol') || null,
+      snippets
+    };
+  }
+}
+
+module.exports = new SearchService();
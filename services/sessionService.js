@@ -0,0 +1,318 @@
+const Session = require('../models/session');
+const Message = require('../models/message');
+const revisionService = require('./revisionService');
+const microTestService = require('./microTestService');
+const analysisService = require('./analysisService');
+const SchemaValidationMiddleware = require('../middleware/schemaValidation');
+const SafetyUtils = require('../utils/safety');
+const { narrativeLoopSchema, spiessMapSchema } = require('../schemas');
+
+// Stages users can edit, with the schema their merged output must pass
+const EDITABLE_STAGES = {
+  narrativeLoop: {
+    schema: narrativeLoopSchema,
+    validate: data => SchemaValidationMiddleware.validateNarrativeLoop(data)
+  },
+  spiessMap: {
+    schema: spiessMapSchema,
+    validate: data => SchemaValidationMiddleware.validateSpiessMap(data)
+  }
+};
+
+// Edited fields checked against an enum rather than treated as free text
+const ENUM_PATHS = ['spiessMap.needs', 'spiessMap.toolAction.protocol'];
+
+class SessionService {
+  /**
+   * Format clarifying questions for the message log
+   * @param {Array} questions - Questions ({ field, question })
+   * @returns {string}
+   */
+  formatQuestions(questions) {
+    return questions.map((q, i) => `Q${i + 1} (${q.field}): ${q.question}`).join('\n');
+  }
+
+  /**
+   * Persist the outcome of an analyze call: the session (when opted in) and the message log
+   * @param {Object} result - Analysis result
+   * @param {string} input - User input as submitted (redacted input for async jobs)
+   * @param {Object} options - { userId, storageOptIn, redactNames }
+   */
+  async persistAnalysis(result, input, { userId, storageOptIn, redactNames }) {
+    // Save session if storage is opted in.
+    // Sessions waiting for answers are already stored as pending by the analysis service.
+    if (storageOptIn && result.stage !== 'clarifying_questions') {
+      try {
+        const session = new Session({
+          sessionId: result.sessionId,
+          userId,
+          input: result.input || input,
+          resolvedFields: result.resolvedFields || [],
+          missingFields: result.missingFields || [],
+          parentSessionId: result.parentSessionId || null,
+          threadId: result.threadId || null,
+          storageOptIn,
+          redactNames
+        });
+        this.applyResult(session, result);
+
+        await session.save();
+        await revisionService.record(session, 'analyze', { userId });
+        await microTestService.plan(session);
+      } catch (error) {
+        console.error('Error saving session:', error);
+        // Continue without failing the request
+      }
+    }
+
+    // Store messages: user's input and assistant's questions
+    try {
+      await Message.create({
+        sessionId: result.sessionId,
+        sender: 'human',
+        message: input
+      });
+
+      const questions = Array.isArray(result.questions) ? result.questions : [];
+      if (questions.length > 0) {
+        await Message.create({
+          sessionId: result.sessionId,
+          sender: 'openai',
+          message: this.formatQuestions(questions)
+        });
+      }
+    } catch (error) {
+      console.error('Error storing analyze messages:', error);
+      // Continue without failing the request
+    }
+  }
+
+  /**
+   * Apply user edits to a session's narrative loop or SPIESS map.
+   * Edited text gets the same safety checks and redaction as analyze input, the merged
+   * output is validated against the stage schema, and edited fields are recorded as
+   * user-authored. Downstream stages become stale unless the summary is rebuilt.
+   * The session is updated in memory; the caller saves it.
+   * @param {Object} session - Session document
+   * @param {string} stage - narrativeLoop | spiessMap
+   * @param {Object} fields - Field name -> new value; microTest and toolAction may be partial
+   * @param {Object} options - { rebuildSummary, userId, clientIp, cache }
+   * @param {Object} req - Express request object
+   * @returns {Promise<Object>} - Edit result
+   */
+  async editStage(session, stage, fields, options = {}, req = null) {
+    const sessionId = session.sessionId.toString();
+    const validationError = (message) => ({
+      success: false,
+      sessionId,
+      error: { code: 'VALIDATION_ERROR', message, timestamp: new Date().toISOString() }
+    });
+
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+      return validationError('fields must be an object with at least one field to change');
+    }
+
+    const current = analysisService.getStoredOutputs(session)[stage];
+    if (!current) {
+      return validationError(`Session has no ${stage} to edit`);
+    }
+
+    const schemaKeys = EDITABLE_STAGES[stage].schema.describe().keys;
+    const edits = {};
+    const editedPaths = [];
+
+    for (const [key, value] of Object.entries(fields)) {
+      const keySchema = schemaKeys[key];
+      if (!keySchema) {
+        return validationError(`Unknown ${stage} field: ${key}`);
+      }
+
+      if (keySchema.type === 'object' && value && typeof value === 'object' && !Array.isArray(value)) {
+        edits[key] = { ...(current[key] || {}) };
+        for (const [subKey, subValue] of Object.entries(value)) {
+          if (!keySchema.keys[subKey]) {
+            return validationError(`Unknown ${stage} field: ${key}.${subKey}`);
+          }
+          const processed = this.processEditValue(session, `${stage}.${key}.${subKey}`, subValue);
+          if (!processed.isValid) return { sessionId, ...this.editFailure(processed) };
+          edits[key][subKey] = processed.value;
+          editedPaths.push(`${stage}.${key}.${subKey}`);
+        }
+      } else {
+        const processed = this.processEditValue(session, `${stage}.${key}`, value);
+        if (!processed.isValid) return { sessionId, ...this.editFailure(processed) };
+        edits[key] = processed.value;
+        editedPaths.push(`${stage}.${key}`);
+      }
+    }
+
+    const validation = EDITABLE_STAGES[stage].validate({ ...current, ...edits });
+    if (!validation.isValid) {
+      return {
+        success: false,
+        sessionId,
+        error: SchemaValidationMiddleware.createErrorResponse(validation.error)
+      };
+    }
+
+    session[stage] = validation.data;
+    this.markUserEdited(session, editedPaths);
+    session.staleStages = [...new Set([...(session.staleStages || []), ...analysisService.getDownstreamStages(stage)])];
+
+    let summaryResult = null;
+    if (options.rebuildSummary) {
+      summaryResult = await analysisService.regenerateStage(session, 'summary', {
+        userId: options.userId,
+        clientIp: options.clientIp,
+        cache: options.cache
+      }, req);
+
+      if (summaryResult.success) {
+        this.applyResult(session, summaryResult);
+      }
+    }
+
+    const outputs = analysisService.getStoredOutputs(session);
+    return {
+      success: true,
+      sessionId,
+      editedStage: stage,
+      editedFields: editedPaths,
+      summaryRebuilt: !!(summaryResult && summaryResult.success),
+      failedStages: summaryResult && !summaryResult.success ? summaryResult.failedStages || [] : [],
+      staleStages: session.staleStages,
+      narrativeLoop: outputs.narrativeLoop,
+      spiessMap: outputs.spiessMap,
+      summary: outputs.summary,
+      tags: outputs.tags,
+      provenance: session.provenance
+    };
+  }
+
+  /**
+   * Copy an analysis result onto a session. A regeneration result replaces only its
+   * regenerated stages; a downstream stage that failed keeps its old output.
+   * The session is updated in memory; the caller saves it.
+   * @param {Object} session - Session document
+   * @param {Object} result - Result of an analysis, an answered round, a chat or a regeneration
+   */
+  applyResult(session, result) {
+    const regenerated = result.regeneratedStages;
+    if (regenerated) {
+      // The tool action is stored inside the SPIESS map
+      regenerated.forEach(name => {
+        const field = name === 'toolAction' ? 'spiessMap' : name;
+        session[field] = result[field];
+      });
+      if (regenerated.includes('tags')) {
+        session.tagEvidence = result.tagEvidence || [];
+      }
+      session.staleStages = result.staleStages;
+      this.replaceProvenance(session, regenerated, result.provenance);
+      session.failedStages = (session.failedStages || []).filter(name => !regenerated.includes(name));
+      session.analysisStatus = session.failedStages.length > 0 ? 'partial' : 'complete';
+    } else {
+      session.narrativeLoop = result.narrativeLoop;
+      session.spiessMap = result.spiessMap;
+      session.summary = result.summary;
+      session.tags = result.tags || [];
+      session.tagEvidence = result.tagEvidence || [];
+      session.comparison = result.comparison || undefined;
+      session.analysisStatus = result.status;
+      session.analysisMode = result.mode;
+      session.failedStages = (result.failedStages || []).map(f => f.stage);
+      session.provenance = result.provenance || [];
+    }
+    this.applyVersions(session, result);
+  }
+
+  /**
+   * Record the prompt versions and models of a result's stages on a session,
+   * keeping those of stages the result did not run
+   * @param {Object} session - Session document
+   * @param {Object} result - Result with promptVersions and models
+   */
+  applyVersions(session, result) {
+    session.promptVersions = { ...Object.fromEntries(session.promptVersions || []), ...result.promptVersions };
+    session.models = { ...Object.fromEntries(session.models || []), ...result.models };
+  }
+
+  /**
+   * Replace the field provenance of some stages, keeping the other stages' entries
+   * @param {Object} session - Session document
+   * @param {Array<string>} stages - Stages whose entries are replaced
+   * @param {Array<Object>} entries - New { path, source, confidence } entries
+   */
+  replaceProvenance(session, stages, entries = []) {
+    const kept = (session.provenance || [])
+      .map(p => (typeof p.toObject === 'function' ? p.toObject() : p))
+      .filter(p => !stages.includes(analysisService.getProvenanceStage(p.path)));
+    session.provenance = [...kept, ...entries];
+  }
+
+  /**
+   * Record fields as user-authored; they stay so until their stage is regenerated
+   * @param {Object} session - Session document
+   * @param {Array<string>} paths - Edited field paths
+   */
+  markUserEdited(session, paths) {
+    const kept = (session.provenance || [])
+      .map(p => (typeof p.toObject === 'function' ? p.toObject() : p))
+      .filter(p => !paths.includes(p.path));
+    session.provenance = [...kept, ...paths.map(path => ({ path, source: 'user_edited', confidence: null }))];
+  }
+
+  /**
+   * Safety-check one edited value. Enum fields are validated by the schema instead,
+   * since name redaction would mangle values like "Values First".
+   * @param {Object} session - Session document (storageOptIn, redactNames)
+   * @param {string} path - Dotted field path
+   * @param {any} value - Edited value
+   * @returns {Object} - { isValid, value } or the failed validation
+   */
+  processEditValue(session, path, value) {
+    if (ENUM_PATHS.includes(path)) {
+      return { isValid: true, value };
+    }
+
+    const check = (text) => SafetyUtils.validateInput(text, session.storageOptIn || false, session.redactNames !== false);
+
+    if (typeof value === 'string') {
+      const validation = check(value);
+      return validation.isValid ? { isValid: true, value: validation.processedInput } : validation;
+    }
+
+    if (Array.isArray(value)) {
+      const processed = [];
+      for (const item of value) {
+        if (typeof item !== 'string') {
+          processed.push(item); // left for schema validation to reject
+          continue;
+        }
+        const validation = check(item);
+        if (!validation.isValid) return validation;
+        processed.push(validation.processedInput);
+      }
+      return { isValid: true, value: processed };
+    }
+
+    return { isValid: true, value };
+  }
+
+  /**
+   * Result for an edit whose text failed the safety checks
+   * @param {Object} validation - Failed SafetyUtils validation
+   * @returns {Object}
+   */
+  editFailure(validation) {
+    if (validation.isCrisis) {
+      return { success: false, response: validation.response };
+    }
+    return {
+      success: false,
+      error: { code: 'VALIDATION_ERROR', message: validation.error, timestamp: new Date().toISOString() }
+    };
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,86 @@
+const Session = require('../models/session');
+const MicroTest = require('../models/microTest');
+const CheckIn = require('../models/checkIn');
+
+class ThreadService {
+  /**
+   * Thread links and prompt context for a follow-up of a session.
+   * The caller checks access to the parent before analysis starts; this only reloads it.
+   * @param {string} parentSessionId - Session the follow-up continues
+   * @returns {Promise<Object|null>} - { parentSessionId, threadId, previous }, or null when
+   *   the parent is gone
+   */
+  async getThread(parentSessionId) {
+    const parent = await Session.findOne({ sessionId: parentSessionId, status: { $ne: 'deleted' } }).lean();
+    if (!parent) return null;
+
+    const [microTests, checkIn] = await Promise.all([
+      MicroTest.find({ sessionId: parent.sessionId }).sort({ createdAt: -1 }).lean(),
+      CheckIn.findOne({ sessionId: parent.sessionId }).lean()
+    ]);
+    // The micro-test the user reported on, else the one they were last given
+    const microTest = microTests.find(test => test.status === 'done') || microTests[0] || null;
+
+    return {
+      ...this.links(parent),
+      previous: this.describePrevious(parent, microTest, checkIn)
+    };
+  }
+
+  /**
+   * Thread fields of a session that follows a parent. The thread is named after its first session.
+   * @param {Object} parent - Parent session
+   * @returns {Object} - { parentSessionId, threadId }
+   */
+  links(parent) {
+    return {
+      parentSessionId: parent.sessionId,
+      threadId: parent.threadId || parent.sessionId
+    };
+  }
+
+  /**
+   * What the stage prompts are told about the previous session: its loop, the breaking
+   * actions and whether the check-in said they were tried, and how the micro-test went
+   * @param {Object} parent - Lean parent session
+   * @param {Object|null} microTest - Parent's micro-test record
+   * @param {Object|null} checkIn - Parent's check-in
+   * @returns {Object}
+   */
+  describePrevious(parent, microTest, checkIn) {
+    const narrativeLoop = parent.narrativeLoop || {};
+    const tried = new Map(((checkIn && checkIn.breakingActions) || []).map(({ action, tried }) => [action, tried]));
+
+    return {
+      analysedAt: parent.createdAt,
+      narrativeLoop: {
+        trigger: narrativeLoop.trigger || null,
+        fear: narrativeLoop.fear || null,
+        emotion: narrativeLoop.emotion || null,
+        outcome: narrativeLoop.outcome || null,
+        hiddenLogic: narrativeLoop.hiddenLogic || null
+      },
+      emotions: (parent.spiessMap && parent.spiessMap.emotions) || [],
+      breakingActions: (narrativeLoop.breakingActions || []).map(action => ({
+        action,
+        tried: tried.has(action) ? tried.get(action) : null // null: no check-in to say
+      })),
+      microTest: microTest ? {
+        description: microTest.description,
+        successCriteria: microTest.successCriteria || null,
+        status: microTest.status,
+        criteriaMet: (microTest.outcome && microTest.outcome.criteriaMet) || null,
+        fearCameTrue: microTest.outcome && typeof microTest.outcome.fearCameTrue === 'boolean'
+          ? microTest.outcome.fearCameTrue
+          : null,
+        notes: (microTest.outcome && microTest.outcome.notes) || null
+      } : null,
+      checkIn: checkIn ? {
+        loopRecurred: checkIn.loopRecurred,
+        intensity: checkIn.intensity ?? null
+      } : null
+    };
+  }
+}
+
+module.exports = new ThreadService();
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const LlmUsage = require('../models/llmUsage');
+const pricing = require('../config/pricing');
+
+// Tokens each user may spend per UTC day; 0 disables the budget
+const DAILY_TOKEN_BUDGET = parseInt(process.env.DAILY_TOKEN_BUDGET, 10) || 0;
+
+// Tokens anonymous callers may spend per IP address and UTC day; defaults to the user budget
+const configuredAnonymousBudget = parseInt(process.env.ANONYMOUS_DAILY_TOKEN_BUDGET, 10);
+const ANONYMOUS_DAILY_TOKEN_BUDGET = Number.isFinite(configuredAnonymousBudget) ? configuredAnonymousBudget : DAILY_TOKEN_BUDGET;
+
+// Aggregation fields shared by every rollup
+const TOTALS = {
+  calls: { $sum: 1 },
+  promptTokens: { $sum: '$promptTokens' },
+  completionTokens: { $sum: '$completionTokens' },
+  totalTokens: { $sum: '$totalTokens' },
+  cost: { $sum: { $ifNull: ['$cost', 0] } },
+  avgLatencyMs: { $avg: '$latencyMs' }
+};
+
+const EMPTY_TOTALS = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, avgLatencyMs: 0 };
+
+/**
+ * UTC date of a timestamp, YYYY-MM-DD
+ * @param {Date} date - Timestamp
+ * @returns {string}
+ */
+const toDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * ObjectId of a session or user ID, or null when it is missing or malformed
+ * @param {any} id - ID
+ * @returns {mongoose.Types.ObjectId|null}
+ */
+const toObjectId = (id) => (id && mongoose.Types.ObjectId.isValid(String(id)) ? new mongoose.Types.ObjectId(String(id)) : null);
+
+class UsageService {
+  /**
+   * Whether usage can be recorded and read right now
+   * @returns {boolean}
+   */
+  isAvailable() {
+    // Skip rather than queue writes while MongoDB is down
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Record one model call. Never throws: usage that cannot be stored is logged and skipped.
+   * @param {Object} call - { sessionId, userId, clientIp, stage, provider, model, usage, latencyMs }
+   *   where usage is the provider's { prompt_tokens, completion_tokens, total_tokens };
+   *   clientIp is only kept for anonymous calls
+   */
+  async record({ sessionId = null, userId = null, clientIp = null, stage, provider, model, usage, latencyMs }) {
+    if (!this.isAvailable()) return;
+
+    const promptTokens = (usage && usage.prompt_tokens) || 0;
+    const completionTokens = (usage && usage.completion_tokens) || 0;
+
+    try {
+      await LlmUsage.create({
+        sessionId: toObjectId(sessionId),
+        userId: toObjectId(userId),
+        clientIp: toObjectId(userId) ? null : clientIp,
+        stage,
+        provider,
+        model,
+        promptTokens,
+        completionTokens,
+        totalTokens: (usage && usage.total_tokens) || promptTokens + completionTokens,
+        latencyMs,
+        cost: pricing.computeCost(model, promptTokens, completionTokens),
+        day: toDay()
+      });
+    } catch (error) {
+      console.error('Error recording LLM usage:', error.message);
+    }
+  }
+
+  /**
+   * Totals for one session, with a breakdown per stage
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>}
+   */
+  async getSessionUsage(sessionId) {
+    const match = { sessionId: toObjectId(sessionId) };
+    const [totals, stages] = await Promise.all([
+      this.aggregateTotals(match),
+      this.aggregateBy(match, '$stage', 'stage')
+    ]);
+    return { ...totals, stages };
+  }
+
+  /**
+   * Totals for one user since a date, with a breakdown per day
+   * @param {string} userId - User ID
+   * @param {Date} since - Start date
+   * @returns {Promise<Object>}
+   */
+  async getUserUsage(userId, since) {
+    const match = { userId: toObjectId(userId), day: { $gte: toDay(since) } };
+    const [totals, days] = await Promise.all([
+      this.aggregateTotals(match),
+      this.aggregateBy(match, '$day', 'day')
+    ]);
+    return { ...totals, days };
+  }
+
+  /**
+   * Totals per day across all users, with the number of distinct users
+   * @param {Date} since - Start date
+   * @returns {Promise<Array>}
+   */
+  async getDailyUsage(since) {
+    const days = await LlmUsage.aggregate([
+      { $match: { day: { $gte: toDay(since) } } },
+      { $group: { _id: '$day', ...TOTALS, users: { $addToSet: '$userId' } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return days.map(({ _id, users, ...totals }) => ({
+      day: _id,
+      ...this.formatTotals(totals),
+      users: users.filter(Boolean).length
+    }));
+  }
+
+  /**
+   * Totals per model since a date
+   * @param {Date} since - Start date
+   * @returns {Promise<Array>}
+   */
+  async getModelUsage(since) {
+    return this.aggregateBy({ day: { $gte: toDay(since) } }, '$model', 'model');
+  }
+
+  /**
+   * Check the daily token budget of a user, or of an anonymous caller's IP address.
+   * An unset budget is not limited.
+   * @param {string} userId - User ID, null for anonymous callers
+   * @param {string} clientIp - Caller's IP address, used when there is no user
+   * @returns {Promise<Object>} - { allowed, used, limit, resetsAt }
+   */
+  async checkBudget(userId, clientIp = null) {
+    const user = toObjectId(userId);
+    const limit = user ? DAILY_TOKEN_BUDGET : ANONYMOUS_DAILY_TOKEN_BUDGET;
+    if (!limit || (!user && !clientIp) || !this.isAvailable()) {
+      return { allowed: true, used: null, limit: limit || null, resetsAt: null };
+    }
+
+    const [usage] = await LlmUsage.aggregate([
+      { $match: { ...(user ? { userId: user } : { userId: null, clientIp }), day: toDay() } },
+      { $group: { _id: null, totalTokens: { $sum: '$totalTokens' } } }
+    ]);
+    const used = usage ? usage.totalTokens : 0;
+
+    const resetsAt = new Date();
+    resetsAt.setUTCHours(24, 0, 0, 0);
+
+    return { allowed: used < limit, used, limit, resetsAt };
+  }
+
+  /**
+   * Totals of every call matching a filter
+   * @param {Object} match - Query filter
+   * @returns {Promise<Object>}
+   */
+  async aggregateTotals(match) {
+    const [totals] = await LlmUsage.aggregate([
+      { $match: match },
+      { $group: { _id: null, ...TOTALS } }
+    ]);
+    return totals ? this.formatTotals(totals) : { ...EMPTY_TOTALS };
+  }
+
+  /**
+   * Totals grouped by one field
+   * @param {Object} match - Query filter
+   * @param {string} field - Field path to group on, e.g. '$stage'
+   * @param {string} name - Key of the group value in each row
+   * @returns {Promise<Array>}
+   */
+  async aggregateBy(match, field, name) {
+    const groups = await LlmUsage.aggregate([
+      { $match: match },
+      { $group: { _id: field, ...TOTALS } },
+      { $sort: { _id: 1 } }
+    ]);
+    return groups.map(({ _id, ...totals }) => ({ [name]: _id, ...this.formatTotals(totals) }));
+  }
+
+  /**
+   * Round aggregated cost and latency for output
+   * @param {Object} totals - Aggregated totals
+   * @returns {Object}
+   */
+  formatTotals({ _id, ...totals }) {
+    return {
+      ...totals,
+      cost: Math.round(totals.cost * 1e6) / 1e6,
+      avgLatencyMs: Math.round(totals.avgLatencyMs || 0)
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -2,6 +2,76 @@ const request = require('supertest');
 const app = require('../app');
 const Session = require('../models/session');
 const Analytics = require('../models/analytics');
+const User = require('../models/user');
+const LlmUsage = require('../models/llmUsage');
+const { narrativeLoopSchema, spiessMapSchema } = require('../schemas');
+const analysisService = require('../services/analysisService');
+const FixtureProvider = require('../services/llm/fixtureProvider');
+const ResilientProvider = require('../services/llm/resilientProvider');
+const { LlmError } = require('../services/llm');
+const mongoose = require('mongoose');
+
+/**
+ * Register a user and return their Bearer token and ID
+ * @param {string} email - Email address, unique per test
+ * @returns {Promise<Object>} - { token, userId }
+ */
+const signUp = async (email) => {
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({ email, password: 'test-password-123' })
+    .expect(201);
+
+  return { token: response.body.token, userId: response.body.user._id };
+};
+
+/**
+ * Answer model calls from the fixture provider for each test of the enclosing describe block,
+ * restoring the configured provider afterwards
+ * @param {Object} [options]
+ * @param {Object} [options.stages] - Stage -> fixture entries replacing the default fixtures
+ * @param {Object} [options.resilience] - Timeout, retry and circuit breaker settings
+ * @returns {Object} - { calls, failWith }: stages the fixtures were asked for; set failWith
+ * to an error to make every call fail
+ */
+const useFixtureProvider = ({ stages = {}, resilience = {} } = {}) => {
+  const fixtures = { calls: [], failWith: null };
+  let configured;
+
+  beforeEach(() => {
+    const provider = new FixtureProvider();
+    provider.fixtures = { stages: { ...provider.loadFixtures().stages, ...stages } };
+    const complete = provider.complete.bind(provider);
+    provider.complete = async (request) => {
+      fixtures.calls.push(request.stage);
+      if (fixtures.failWith) throw fixtures.failWith;
+      return complete(request);
+    };
+
+    fixtures.calls = [];
+    fixtures.failWith = null;
+    configured = analysisService.provider;
+    analysisService.provider = new ResilientProvider(provider, { maxRetries: 0, ...resilience });
+  });
+
+  afterEach(() => {
+    analysisService.provider = configured;
+  });
+
+  return fixtures;
+};
+
+/**
+ * Split a Server-Sent Events body into { event, data } entries
+ * @param {string} text - Response body
+ * @returns {Array<Object>}
+ */
+const parseEvents = (text) => text.split('\n\n')
+  .filter(block => block.startsWith('event: '))
+  .map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
 
 describe('Clarify MVP Golden Test Suite', () => {
   let testSessionId;
@@ -37,6 +107,7 @@ describe('Clarify MVP Golden Test Suite', () => {
       expect(response.body.spiessMap).toBeDefined();
       expect(response.body.summary).toBeDefined();
       expect(response.body.tags).toBeDefined();
+      expect(Object.keys(response.body.models)).toEqual(expect.arrayContaining(['narrativeLoop', 'spiessMap', 'summary', 'tags']));
 
       // Validate narrative loop structure
       expect(response.body.narrativeLoop.trigger).toBeDefined();
@@ -62,6 +133,15 @@ describe('Clarify MVP Golden Test Suite', () => {
       expect(Array.isArray(response.body.summary.mechanisms)).toBe(true);
       expect(response.body.summary.nextStep).toBeDefined();
 
+      // Every field carries provenance
+      const sources = ['model', 'repaired', 'default', 'user_edited'];
+      expect(response.body.provenance.map(p => p.path)).toContain('narrativeLoop.trigger');
+      response.body.provenance.forEach(p => expect(sources).toContain(p.source));
+
+      // Every tag comes with its evidence
+      expect(response.body.tagEvidence.map(t => t.tag)).toEqual(response.body.tags);
+      response.body.tagEvidence.forEach(t => expect(t).toHaveProperty('confidence'));
+
       testSessionId = response.body.sessionId;
     });
   });
@@ -181,9 +261,39 @@ describe('Clarify MVP Golden Test Suite', () => {
 
       // Check that STOP protocol is recommended
       expect(response.body.spiessMap.toolAction.protocol).toBe('STOP');
-      expect(response.body.spiessMap.toolAction.steps).toBeDefined();
+      expect(response.body.spiessMap.toolAction.steps.map(step => step.split(':')[0]))
+        .toEqual(['Stop', 'Take a breath', 'Observe', 'Proceed']);
+      expect(response.body.spiessMap.toolAction.rationale).toBeDefined();
       expect(response.body.spiessMap.toolAction.example).toBeDefined();
     });
+
+    describe('protocol template fallback', () => {
+      useFixtureProvider({
+        stages: {
+          toolAction: [{ response: 'None of these protocols fit.' }],
+          jsonFix: [{ response: 'Still not JSON.' }]
+        }
+      });
+
+      test('should report a tool action taken from the protocol template', async () => {
+        const response = await request(app)
+          .post('/api/v1/analyze')
+          .send({
+            input: "My manager ignored my email again and my chest got tight. I'm worried I am about to be fired.",
+            cache: false
+          })
+          .expect(200);
+
+        expect(response.body.toolActionSource).toBe('heuristic');
+        expect(response.body.tagSource).toBe('model');
+        expect(response.body.spiessMap.toolAction.protocol).toBeDefined();
+        expect(response.body.provenance).toContainEqual(expect.objectContaining({
+          path: 'spiessMap.toolAction.steps',
+          source: 'default'
+        }));
+        expect(response.body.status).toBe('complete');
+      });
+    });
   });
 
   describe('Test Case 7: Crisis Detection', () => {
@@ -225,12 +335,29 @@ describe('Clarify MVP Golden Test Suite', () => {
       expect(Array.isArray(response.body.questions)).toBe(true);
       expect(response.body.questions.length).toBeLessThanOrEqual(3);
       expect(response.body.needsAnswers).toBe(true);
+
+      response.body.questions.forEach(q => {
+        expect(['trigger', 'fear', 'emotion', 'outcome']).toContain(q.field);
+        expect(typeof q.question).toBe('string');
+        expect(response.body.missingFields).toContain(q.field);
+      });
+      expect(response.body.round).toBe(1);
+      expect(Array.isArray(response.body.resolvedFields)).toBe(true);
     });
   });
 
   describe('Test Case 9: Answer Processing', () => {
     test('should process answers to clarifying questions', async () => {
-      const sessionId = testSessionId || 'test-session-123';
+      const asked = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "I had a bad day at work.",
+          storageOptIn: true,
+          redactNames: true
+        })
+        .expect(200);
+
+      const sessionId = asked.body.sessionId;
       const answers = [
         "I felt excluded because everyone was in groups and I was alone",
         "I'm afraid they don't actually like me and are just being polite",
@@ -278,6 +405,38 @@ describe('Clarify MVP Golden Test Suite', () => {
       expect(response.body.session.sessionId).toBe(testSessionId);
     });
 
+    test("should only show a signed-in user's session to them", async () => {
+      const owner = await signUp('test-session-owner@example.com');
+      const other = await signUp('test-session-other@example.com');
+      const session = await Session.create({
+        sessionId: new mongoose.Types.ObjectId(),
+        userId: owner.userId,
+        status: 'completed',
+        analysisStatus: 'complete',
+        narrativeLoop: { trigger: 'My manager ignored my email' },
+        storageOptIn: true
+      });
+
+      const anonymous = await request(app)
+        .get(`/api/v1/session/${session.sessionId}`)
+        .expect(403);
+
+      expect(anonymous.body.error.code).toBe('INVALID_SESSION');
+      expect(anonymous.body.session).toBeUndefined();
+
+      await request(app)
+        .get(`/api/v1/session/${session.sessionId}`)
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(403);
+
+      const response = await request(app)
+        .get(`/api/v1/session/${session.sessionId}`)
+        .set('Authorization', `Bearer ${owner.token}`)
+        .expect(200);
+
+      expect(response.body.session.narrativeLoop.trigger).toBe('My manager ignored my email');
+    });
+
     test('should delete session by ID', async () => {
       const response = await request(app)
         .delete(`/api/v1/session/${testSessionId}`)
@@ -345,6 +504,1273 @@ describe('Clarify MVP Golden Test Suite', () => {
     });
   });
 
+  describe('Test Case 13: Chat Mode', () => {
+    test('should start a chat session and reply to a message', async () => {
+      const start = await request(app)
+        .post('/api/v1/chat/start')
+        .send({ storageOptIn: true, redactNames: true })
+        .expect(201);
+
+      expect(start.body.success).toBe(true);
+      expect(start.body.sessionId).toBeDefined();
+      expect(start.body.stage).toBe('chatting');
+      expect(start.body.reply).toBeDefined();
+
+      const response = await request(app)
+        .post('/api/v1/chat/send')
+        .send({
+          sessionId: start.body.sessionId,
+          message: 'I had a bad day at work.'
+        })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(['chatting', 'completed']).toContain(response.body.stage);
+
+      const messages = await request(app)
+        .get(`/api/v1/messages/${start.body.sessionId}`)
+        .expect(200);
+
+      expect(messages.body.count).toBe(3);
+    });
+
+    test('should reject messages for unknown chat sessions', async () => {
+      const response = await request(app)
+        .post('/api/v1/chat/send')
+        .send({
+          sessionId: '507f1f77bcf86cd799439011',
+          message: 'Hello'
+        })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('INVALID_SESSION');
+    });
+
+    describe('finished analysis', () => {
+      useFixtureProvider();
+
+      const story = "My manager snapped at me in front of the team and I'm afraid everyone now thinks I'm incompetent.";
+
+      const chatUntilAnalysed = async (storageOptIn) => {
+        const start = await request(app)
+          .post('/api/v1/chat/start')
+          .send({ storageOptIn })
+          .expect(201);
+
+        const response = await request(app)
+          .post('/api/v1/chat/send')
+          .send({ sessionId: start.body.sessionId, message: story })
+          .expect(200);
+
+        expect(response.body.stage).toBe('completed');
+        return response;
+      };
+
+      test('should keep the analysis on an opted-in chat session', async () => {
+        const response = await chatUntilAnalysed(true);
+
+        const stored = await Session.findOne({ sessionId: response.body.sessionId }).lean();
+        expect(stored.status).toBe('completed');
+        expect(stored.input).toBe(story);
+        expect(stored.narrativeLoop.trigger).toBe(response.body.narrativeLoop.trigger);
+        expect(stored.analysisStatus).toBe('complete');
+        expect(stored.tagEvidence).toEqual(expect.any(Array));
+        expect(stored.promptVersions.narrativeLoop).toBe(response.body.promptVersions.narrativeLoop);
+      });
+
+      test('should return the analysis without keeping it when storage is not opted in', async () => {
+        const response = await chatUntilAnalysed(false);
+
+        expect(response.body.narrativeLoop).toBeDefined();
+        expect(await Session.findOne({ sessionId: response.body.sessionId })).toBeNull();
+      });
+    });
+  });
+
+  describe('Test Case 14: Async Analysis Jobs', () => {
+    test('should queue an analysis and report its progress', async () => {
+      const response = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My friend didn't reply to my message for three days and I'm afraid she's angry with me.",
+          async: true
+        })
+        .expect(202);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.jobId).toBeDefined();
+      expect(response.headers.location).toBe(`/api/v1/jobs/${response.body.jobId}`);
+
+      const job = await request(app)
+        .get(`/api/v1/jobs/${response.body.jobId}`)
+        .expect(200);
+
+      expect(['queued', 'running', 'completed', 'failed']).toContain(job.body.job.status);
+      expect(Array.isArray(job.body.job.progress.completedStages)).toBe(true);
+    });
+
+    test('should answer crisis input synchronously instead of queueing it', async () => {
+      const response = await request(app)
+        .post('/api/v1/analyze')
+        .send({ input: "I want to kill myself", async: true })
+        .expect(400);
+
+      expect(response.body.response.code).toBe('CRISIS_DETECTED');
+    });
+
+    test("should only show and cancel a signed-in user's job with their token", async () => {
+      const owner = await signUp('test-job-owner@example.com');
+      const other = await signUp('test-job-other@example.com');
+
+      const queued = await request(app)
+        .post('/api/v1/analyze')
+        .set('Authorization', `Bearer ${owner.token}`)
+        .send({
+          input: "My friend didn't reply to my message for three days and I'm afraid she's angry with me.",
+          async: true
+        })
+        .expect(202);
+
+      const anonymous = await request(app)
+        .get(`/api/v1/jobs/${queued.body.jobId}`)
+        .expect(403);
+
+      expect(anonymous.body.error.code).toBe('FORBIDDEN');
+
+      await request(app)
+        .get(`/api/v1/jobs/${queued.body.jobId}`)
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/v1/jobs/${queued.body.jobId}`)
+        .set('Authorization', `Bearer ${other.token}`)
+        .expect(403);
+
+      const job = await request(app)
+        .get(`/api/v1/jobs/${queued.body.jobId}`)
+        .set('Authorization', `Bearer ${owner.token}`)
+        .expect(200);
+
+      expect(job.body.job.status).not.toBe('cancelled');
+    });
+
+    test('should return 404 for unknown jobs', async () => {
+      await request(app)
+        .get('/api/v1/jobs/507f1f77bcf86cd799439011')
+        .expect(404);
+    });
+  });
+
+  describe('Test Case 15: Stage Regeneration', () => {
+    test('should regenerate one stage and mark downstream stages stale', async () => {
+      const analysis = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My manager moved my deadline up and I'm scared I'll look incompetent if the report isn't perfect.",
+          storageOptIn: true
+        })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/v1/session/${analysis.body.sessionId}/regenerate`)
+        .send({ stage: 'spiessMap', guidance: 'Focus more on body sensations' })
+        .expect(200);
+
+      expect(response.body.regeneratedStages).toEqual(['spiessMap']);
+      expect(response.body.staleStages).toEqual(['summary', 'tags']);
+      expect(response.body.spiessMap).toHaveProperty('sensations');
+
+      const session = await request(app)
+        .get(`/api/v1/session/${analysis.body.sessionId}`)
+        .expect(200);
+
+      expect(session.body.session.staleStages).toEqual(['summary', 'tags']);
+    });
+
+    test('should reject unknown stages', async () => {
+      const analysis = await request(app)
+        .post('/api/v1/analyze')
+        .send({ input: "I keep rewriting emails because I'm afraid of sounding stupid.", storageOptIn: true })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/v1/session/${analysis.body.sessionId}/regenerate`)
+        .send({ stage: 'clarifyingQuestions' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should return 404 for unknown sessions', async () => {
+      await request(app)
+        .post('/api/v1/session/507f1f77bcf86cd799439011/regenerate')
+        .send({ stage: 'summary' })
+        .expect(404);
+    });
+  });
+
+  describe('Test Case 16: Revision History', () => {
+    test('should record, diff and restore analysis revisions', async () => {
+      const analysis = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My sister cancelled our plans again and I feel like I'm never a priority for anyone.",
+          storageOptIn: true
+        })
+        .expect(200);
+      const sessionId = analysis.body.sessionId;
+
+      await request(app)
+        .post(`/api/v1/session/${sessionId}/regenerate`)
+        .send({ stage: 'summary' })
+        .expect(200);
+
+      const list = await request(app)
+        .get(`/api/v1/session/${sessionId}/revisions`)
+        .expect(200);
+
+      expect(list.body.revisions.map(r => r.trigger)).toEqual(['regenerate', 'analyze']);
+
+      const diff = await request(app)
+        .get(`/api/v1/session/${sessionId}/revisions/diff?from=1&to=2`)
+        .expect(200);
+
+      expect(Array.isArray(diff.body.changes)).toBe(true);
+
+      const restored = await request(app)
+        .post(`/api/v1/session/${sessionId}/revisions/1/restore`)
+        .expect(200);
+
+      expect(restored.body.revision.revision).toBe(3);
+      expect(restored.body.revision.details.restoredFrom).toBe(1);
+    });
+
+    test('should return 404 for unknown revisions', async () => {
+      const analysis = await request(app)
+        .post('/api/v1/analyze')
+        .send({ input: "I froze when my teacher called on me and now I dread class.", storageOptIn: true })
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/session/${analysis.body.sessionId}/revisions/99`)
+        .expect(404);
+    });
+  });
+
+  describe('Test Case 17: Editing Analysis Outputs', () => {
+    test('should apply valid edits and mark them as user-authored', async () => {
+      const analysis = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My partner forgot our anniversary and I'm worried it means I don't matter to him.",
+          storageOptIn: true
+        })
+        .expect(200);
+
+      const response = await request(app)
+        .patch(`/api/v1/session/${analysis.body.sessionId}/spiess-map`)
+        .send({ fields: { needs: ['belonging', 'recognition'] } })
+        .expect(200);
+
+      expect(response.body.spiessMap.needs).toEqual(['belonging', 'recognition']);
+      expect(response.body.editedFields).toEqual(['spiessMap.needs']);
+      expect(response.body.provenance).toContainEqual({ path: 'spiessMap.needs', source: 'user_edited', confidence: null });
+      expect(response.body.staleStages).toEqual(['summary', 'tags']);
+    });
+
+    test('should reject needs outside the enum', async () => {
+      const analysis = await request(app)
+        .post('/api/v1/analyze')
+        .send({ input: "My coworker took credit for my idea in the meeting and I said nothing.", storageOptIn: true })
+        .expect(200);
+
+      const response = await request(app)
+        .patch(`/api/v1/session/${analysis.body.sessionId}/spiess-map`)
+        .send({ fields: { needs: ['money'] } })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('SCHEMA_VALIDATION_FAILED');
+    });
+  });
+
+  describe('Test Case 18: Offline Analysis', () => {
+    test('should build a schema-valid analysis without the model when offline is requested', async () => {
+      const response = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My boss ignored my idea in the meeting today. I'm worried he thinks I'm not good enough and I will be passed over again.",
+          storageOptIn: true,
+          offline: true
+        })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.mode).toBe('offline');
+      expect(response.body.offlineReason).toBe('requested');
+      expect(response.body.tagSource).toBe('heuristic');
+      expect(response.body.toolActionSource).toBe('heuristic');
+      expect(response.body.comparisonSource).toBeNull();
+      expect(response.body.promptVersions).toEqual({});
+
+      expect(narrativeLoopSchema.validate(response.body.narrativeLoop).error).toBeUndefined();
+      expect(spiessMapSchema.validate(response.body.spiessMap).error).toBeUndefined();
+      expect(response.body.spiessMap.emotions).toContain('Anxiety');
+      response.body.provenance.forEach(p => expect(['heuristic', 'default']).toContain(p.source));
+    });
+  });
+
+  describe('Test Case 19: Usage Accounting', () => {
+    test('should record token usage and cost for every stage of a session', async () => {
+      const analysis = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My sister didn't call me back after I told her about my new job. I felt hurt and wondered if she even cares.",
+          storageOptIn: true,
+          cache: false
+        })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/session/${analysis.body.sessionId}/usage`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.usage.calls).toBeGreaterThanOrEqual(4);
+      expect(response.body.usage.totalTokens).toBeGreaterThan(0);
+      expect(response.body.usage.cost).toBeGreaterThanOrEqual(0);
+
+      const stages = response.body.usage.stages.map(s => s.stage);
+      expect(stages).toEqual(expect.arrayContaining(['narrativeLoop', 'spiessMap', 'summary', 'tags']));
+    });
+
+    describe('attribution', () => {
+      useFixtureProvider();
+      const input = "My sister didn't call me back after I told her about my new job. I felt hurt and wondered if she even cares.";
+
+      test("should charge anonymous calls to the caller's IP and signed-in calls to the user", async () => {
+        const { token, userId } = await signUp('test-usage-attribution@example.com');
+
+        const anonymous = await request(app)
+          .post('/api/v1/analyze')
+          .send({ input, cache: false })
+          .expect(200);
+
+        const signedIn = await request(app)
+          .post('/api/v1/analyze')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ input, cache: false })
+          .expect(200);
+
+        const anonymousCalls = await LlmUsage.find({ sessionId: anonymous.body.sessionId }).lean();
+        expect(anonymousCalls.length).toBeGreaterThan(0);
+        anonymousCalls.forEach(call => {
+          expect(call.userId).toBeNull();
+          expect(call.clientIp).toEqual(expect.any(String));
+        });
+
+        const userCalls = await LlmUsage.find({ sessionId: signedIn.body.sessionId }).lean();
+        expect(userCalls.length).toBeGreaterThan(0);
+        userCalls.forEach(call => {
+          expect(call.userId.toString()).toBe(userId);
+          expect(call.clientIp).toBeNull();
+        });
+      });
+    });
+  });
+
+  describe('Test Case 20: Micro-test Lifecycle', () => {
+    test('should plan the micro-test, start it and record its outcome', async () => {
+      const analysis = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "I asked my manager for feedback on my report and she said she'd look at it later. I got anxious that it was bad and kept rereading it all evening.",
+          storageOptIn: true,
+          cache: false
+        })
+        .expect(200);
+
+      const planned = await request(app)
+        .get(`/api/v1/session/${analysis.body.sessionId}/micro-test`)
+        .expect(200);
+
+      expect(planned.body.microTest.status).toBe('planned');
+      expect(planned.body.microTest.description).toBe(analysis.body.spiessMap.microTest.description);
+      expect(new Date(planned.body.microTest.dueAt).getTime()).toBeGreaterThan(Date.now());
+
+      const started = await request(app)
+        .patch(`/api/v1/session/${analysis.body.sessionId}/micro-test`)
+        .send({ status: 'in_progress' })
+        .expect(200);
+
+      expect(started.body.microTest.status).toBe('in_progress');
+      expect(started.body.microTest.startedAt).toBeDefined();
+
+      const done = await request(app)
+        .post(`/api/v1/session/${analysis.body.sessionId}/micro-test/outcome`)
+        .send({ criteriaMet: 'met', fearCameTrue: false, notes: 'She said the report was fine.' })
+        .expect(200);
+
+      expect(done.body.microTest.status).toBe('done');
+      expect(done.body.microTest.outcome.criteriaMet).toBe('met');
+      expect(done.body.microTest.successCriteria).toBe(analysis.body.spiessMap.microTest.successCriteria);
+
+      const event = await Analytics.findOne({ sessionId: analysis.body.sessionId, eventName: 'micro_test_completed' });
+      expect(event).not.toBeNull();
+      expect(event.eventData.criteriaMet).toBe('met');
+
+      await request(app)
+        .post(`/api/v1/session/${analysis.body.sessionId}/micro-test/outcome`)
+        .send({ criteriaMet: 'not_met' })
+        .expect(409);
+    });
+  });
+
+  describe('Test Case 21: Check-in', () => {
+    test('should store check-in answers against a completed session once', async () => {
+      const analysis = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My friend cancelled our plans an hour before we were supposed to meet. I felt rejected and thought she must have found someone better to hang out with.",
+          storageOptIn: true,
+          cache: false
+        })
+        .expect(200);
+
+      const actions = analysis.body.narrativeLoop.breakingActions;
+
+      const response = await request(app)
+        .post(`/api/v1/session/${analysis.body.sessionId}/check-in`)
+        .send({ loopRecurred: true, intensity: 4, triedActions: [actions[0]] })
+        .expect(200);
+
+      expect(response.body.checkIn.loopRecurred).toBe(true);
+      expect(response.body.checkIn.intensity).toBe(4);
+      expect(response.body.checkIn.breakingActions[0]).toEqual({ action: actions[0], tried: true });
+
+      const event = await Analytics.findOne({ sessionId: analysis.body.sessionId, eventName: 'day2_return' });
+      expect(event).not.toBeNull();
+
+      await request(app)
+        .post(`/api/v1/session/${analysis.body.sessionId}/check-in`)
+        .send({ loopRecurred: false })
+        .expect(409);
+    });
+
+    test('should accept a check-in on a completed session stored before analysis status was recorded', async () => {
+      const defaults = require('../services/llm/fixtures/default.json');
+      const story = "My friend cancelled our plans an hour before we were supposed to meet.";
+
+      const legacy = await Session.create({
+        sessionId: new mongoose.Types.ObjectId(),
+        status: 'completed',
+        input: story,
+        narrativeLoop: defaults.stages.narrativeLoop[0].response,
+        storageOptIn: true
+      });
+
+      const response = await request(app)
+        .post(`/api/v1/session/${legacy.sessionId}/check-in`)
+        .send({ loopRecurred: false })
+        .expect(200);
+
+      expect(response.body.checkIn.loopRecurred).toBe(false);
+
+      // A session still waiting for answers has no analysis to check in on
+      const pending = await Session.create({
+        sessionId: new mongoose.Types.ObjectId(),
+        status: 'pending',
+        input: story,
+        storageOptIn: true
+      });
+
+      const rejected = await request(app)
+        .post(`/api/v1/session/${pending.sessionId}/check-in`)
+        .send({ loopRecurred: false })
+        .expect(409);
+
+      expect(rejected.body.error.code).toBe('CONFLICT');
+    });
+
+    test('should require an intensity when the loop recurred', async () => {
+      const response = await request(app)
+        .post(`/api/v1/session/${testSessionId}/check-in`)
+        .send({ loopRecurred: true })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('SCHEMA_VALIDATION_FAILED');
+    });
+  });
+
+  describe('Test Case 22: Reminder Emails', () => {
+    test('should require sign-in to change reminder preferences', async () => {
+      await request(app)
+        .put('/api/v1/notifications/preferences')
+        .send({ microTestReminders: true })
+        .expect(401);
+    });
+
+    test('should reject an unknown unsubscribe token', async () => {
+      const response = await request(app)
+        .get('/api/v1/notifications/unsubscribe?token=not-a-real-token')
+        .expect(404);
+
+      expect(response.headers['content-type']).toMatch(/html/);
+    });
+
+    test('should only unsubscribe once the link is confirmed', async () => {
+      const user = await User.create({
+        email: 'test-unsubscribe@example.com',
+        passwordHash: 'not-a-real-hash',
+        notifications: { microTestReminders: true, checkInReminders: true, unsubscribeToken: 'test-unsubscribe-token' }
+      });
+
+      // Opening the link, as mail scanners do, changes nothing
+      const confirm = await request(app)
+        .get('/api/v1/notifications/unsubscribe?token=test-unsubscribe-token&type=checkInReminders')
+        .expect(200);
+
+      expect(confirm.text).toContain('<form method="post"');
+      expect((await User.findById(user._id)).notifications.checkInReminders).toBe(true);
+
+      await request(app)
+        .post('/api/v1/notifications/unsubscribe?token=test-unsubscribe-token&type=checkInReminders')
+        .expect(200);
+
+      const updated = await User.findById(user._id);
+      expect(updated.notifications.checkInReminders).toBe(false);
+      expect(updated.notifications.microTestReminders).toBe(true);
+    });
+  });
+
+  describe('Test Case 23: Insights', () => {
+    test('should require sign-in for insights', async () => {
+      await request(app)
+        .get('/api/v1/insights')
+        .expect(401);
+    });
+
+    test('should count completed sessions stored before analysisStatus was recorded', async () => {
+      const { token, userId } = await signUp('test-insights@example.com');
+      const session = {
+        userId,
+        status: 'completed',
+        narrativeLoop: { trigger: 'My manager ignored my email' },
+        spiessMap: { needs: ['recognition'], emotions: ['Anxiety'], toolAction: { protocol: 'STOP' } },
+        tags: ['fear_of_rejection']
+      };
+      await Session.create([
+        { ...session, sessionId: new mongoose.Types.ObjectId() },
+        { ...session, sessionId: new mongoose.Types.ObjectId(), analysisStatus: 'complete' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/v1/insights?days=30&interval=day&limit=5')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.sessions).toBe(2);
+      expect(response.body.mechanisms[0]).toMatchObject({ tag: 'fear_of_rejection', count: 2, share: 1 });
+      expect(response.body.needs[0]).toMatchObject({ need: 'recognition', count: 2 });
+      expect(response.body.emotions[0]).toMatchObject({ emotion: 'anxiety', count: 2 });
+      expect(response.body.protocols[0]).toMatchObject({ protocol: 'STOP', count: 2 });
+      expect(response.body.trend.interval).toBe('day');
+    });
+
+    test('should reject an unknown interval', async () => {
+      const { token } = await signUp('test-insights-interval@example.com');
+
+      const response = await request(app)
+        .get('/api/v1/insights?interval=year')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('SCHEMA_VALIDATION_FAILED');
+    });
+  });
+
+  describe('Test Case 24: Follow-up Sessions', () => {
+    test('should link a follow-up into the thread and compare it with the previous loop', async () => {
+      const first = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My friend cancelled our plans an hour before we were supposed to meet. I felt rejected and thought she must have found someone better to hang out with.",
+          storageOptIn: true,
+          cache: false
+        })
+        .expect(200);
+
+      const followUp = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My sister didn't reply to my message all weekend. I felt rejected again and thought she must be tired of me, but it passed faster this time.",
+          parentSessionId: first.body.sessionId,
+          storageOptIn: true,
+          cache: false
+        })
+        .expect(200);
+
+      expect(followUp.body.parentSessionId).toBe(first.body.sessionId);
+      expect(followUp.body.threadId).toBe(first.body.sessionId);
+      expect(['same', 'similar', 'new']).toContain(followUp.body.comparison.trigger);
+      expect(['same', 'similar', 'new']).toContain(followUp.body.comparison.fear);
+      expect(['lower', 'same', 'higher', 'unclear']).toContain(followUp.body.comparison.intensity);
+      expect(followUp.body.comparison.changes.length).toBeGreaterThan(0);
+
+      const stored = await request(app)
+        .get(`/api/v1/session/${followUp.body.sessionId}`)
+        .expect(200);
+
+      expect(String(stored.body.session.threadId)).toBe(first.body.sessionId);
+    });
+
+    test('should reject an unknown parent session', async () => {
+      const response = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My manager ignored my email again and I am worried I am about to be fired.",
+          parentSessionId: '507f1f77bcf86cd799439011'
+        })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('INVALID_SESSION');
+    });
+
+    test('should not let a body user stand in for the owner of the parent session', async () => {
+      const { token, userId } = await signUp('test-follow-up-owner@example.com');
+
+      const first = await request(app)
+        .post('/api/v1/analyze')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          input: "My friend cancelled our plans an hour before we were supposed to meet. I felt rejected and thought she must have found someone better to hang out with.",
+          storageOptIn: true
+        })
+        .expect(200);
+
+      const asOwnerId = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My sister didn't reply to my message all weekend and I felt rejected again.",
+          parentSessionId: first.body.sessionId,
+          user: userId
+        })
+        .expect(403);
+
+      expect(asOwnerId.body.error.code).toBe('FORBIDDEN');
+
+      const anonymous = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My sister didn't reply to my message all weekend and I felt rejected again.",
+          parentSessionId: first.body.sessionId
+        })
+        .expect(403);
+
+      expect(anonymous.body.error.code).toBe('INVALID_SESSION');
+    });
+  });
+
+  describe('Test Case 25: Session Search', () => {
+    test('should require sign-in for search', async () => {
+      await request(app)
+        .get('/api/v1/session/search?q=manager')
+        .expect(401);
+    });
+  });
+
+  describe('Test Case 26: Streaming Progress', () => {
+    useFixtureProvider();
+
+    test('should stream each stage as it completes, then the complete result', async () => {
+      const response = await request(app)
+        .post('/api/v1/analyze')
+        .set('Accept', 'text/event-stream')
+        .send({
+          input: "My friend cancelled our plans an hour before we were supposed to meet. I felt rejected and thought she must have found someone better to hang out with.",
+          storageOptIn: true
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+
+      const events = parseEvents(response.text);
+      expect(events.map(e => e.event)).toEqual(['loop_built', 'spiess_built', 'summary_built', 'tags', 'complete']);
+      expect(events[0].data.narrativeLoop.trigger).toBeDefined();
+
+      const complete = events[events.length - 1].data;
+      expect(complete.success).toBe(true);
+      expect(complete.narrativeLoop).toEqual(events[0].data.narrativeLoop);
+      expect(complete.summary).toEqual(events[2].data.summary);
+    });
+
+    test('should end the stream with a crisis event for crisis content', async () => {
+      const response = await request(app)
+        .post('/api/v1/analyze')
+        .set('Accept', 'text/event-stream')
+        .send({ input: "I want to kill myself. I can't take this anymore. There's no point in living." })
+        .expect(200);
+
+      const events = parseEvents(response.text);
+      expect(events.map(e => e.event)).toEqual(['crisis']);
+      expect(events[0].data.response.code).toBe('CRISIS_DETECTED');
+    });
+  });
+
+  describe('Test Case 27: Fixture Provider', () => {
+    const defaults = require('../services/llm/fixtures/default.json');
+    const defaultLoop = defaults.stages.narrativeLoop[0].response;
+    const sisterLoop = { ...defaultLoop, trigger: 'My sister did not reply to my message all weekend' };
+    const fixtures = useFixtureProvider({
+      stages: { narrativeLoop: [{ match: 'my sister', response: sisterLoop }, ...defaults.stages.narrativeLoop] }
+    });
+
+    test('should answer every stage from the entry whose match appears in the prompt', async () => {
+      const response = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My sister didn't reply to my message all weekend. I felt rejected and thought she must be tired of me.",
+          cache: false
+        })
+        .expect(200);
+
+      expect(response.body.mode).toBe('online');
+      expect(response.body.narrativeLoop.trigger).toBe(sisterLoop.trigger);
+      expect(fixtures.calls).toEqual(expect.arrayContaining(['clarificationCheck', 'narrativeLoop', 'spiessMap', 'toolAction', 'summary', 'tags']));
+      response.body.provenance
+        .filter(p => p.path.startsWith('narrativeLoop.'))
+        .forEach(p => expect(p.source).toBe('model'));
+    });
+
+    test('should fall back to the stage default when no entry matches', async () => {
+      const response = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My manager ignored my email again and I am worried I am about to be fired.",
+          cache: false
+        })
+        .expect(200);
+
+      expect(response.body.narrativeLoop.trigger).toBe(defaultLoop.trigger);
+      expect(response.body.narrativeLoop.fear).toBe(defaultLoop.fear);
+    });
+  });
+
+  describe('Test Case 28: Structured Output Repair', () => {
+    const defaults = require('../services/llm/fixtures/default.json');
+    const fixtures = useFixtureProvider({
+      stages: {
+        narrativeLoop: [{ response: 'Here is the narrative loop you asked for.' }],
+        summary: [{ response: 'I would rather not summarise this.' }],
+        jsonFix: [
+          {
+            match: 'here is the narrative loop you asked for',
+            response: { ...defaults.stages.narrativeLoop[0].response, breakingActions: [] }
+          },
+          { response: 'Still not JSON.' }
+        ]
+      }
+    });
+
+    test('should fix unparseable output, repair it to the schema and fail stages that stay unusable', async () => {
+      const response = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My manager ignored my email again and I am worried I am about to be fired.",
+          cache: false
+        })
+        .expect(200);
+
+      expect(fixtures.calls.filter(stage => stage === 'jsonFix')).toHaveLength(2);
+
+      // The JSON-fix round-trip rescued the loop; the schema repair filled its empty breaking actions
+      expect(narrativeLoopSchema.validate(response.body.narrativeLoop).error).toBeUndefined();
+      expect(response.body.narrativeLoop.trigger).toBe(defaults.stages.narrativeLoop[0].response.trigger);
+      expect(response.body.narrativeLoop.breakingActions.length).toBeGreaterThan(0);
+      expect(response.body.provenance).toContainEqual(expect.objectContaining({
+        path: 'narrativeLoop.breakingActions',
+        source: 'default'
+      }));
+
+      // The summary was still not JSON after the fix
+      expect(response.body.status).toBe('partial');
+      expect(response.body.summary).toBeNull();
+      expect(response.body.failedStages).toContainEqual(expect.objectContaining({ stage: 'summary', code: 'LLM_INVALID_OUTPUT' }));
+    });
+
+    test('should record the repairs with the prompt version and model in the stage events', async () => {
+      const response = await request(app)
+        .post('/api/v1/analyze')
+        .send({
+          input: "My manager ignored my email again and I am worried I am about to be fired.",
+          cache: false
+        })
+        .expect(200);
+
+      const loopBuilt = await Analytics.findOne({ sessionId: response.body.sessionId, eventName: 'loop_built' }).lean();
+      expect(loopBuilt.eventData).toMatchObject({
+        repairs: ['json_fix', 'schema_repair'],
+        promptVersion: response.body.promptVersions.narrativeLoop,
+        model: response.body.models.narrativeLoop,
+        cached: false
+      });
+
+      const summaryFailed = await Analytics.findOne({
+        sessionId: response.body.sessionId,
+        eventName: 'stage_failed',
+        'eventData.stage': 'summary'
+      }).lean();
+      expect(summaryFailed.eventData).toMatchObject({
+        code: 'LLM_INVALID_OUTPUT',
+        repairs: ['json_fix'],
+        promptVersion: response.body.promptVersions.summary,
+        cached: false
+      });
+    });
+  });
+
+  describe('Test Case 29: Prompt Registry', () => {
+    const builtInPrompts = require('../config/prompts');
+    useFixtureProvider();
+
+    const analyze = () => request(app)
+      .post('/api/v1/analyze')
+      .send({
+        input: "My manager ignored my email again and I am worried I am about to be fired.",
+        cache: false
+      })
+      .expect(200);
+
+    test('should record the prompt version an admin pins in promptVersions', async () => {
+      const { token, userId } = await signUp('test-prompt-admin@example.com');
+      await User.updateOne({ _id: userId }, { $set: { role: 'admin' } });
+      const builtInId = `summary@${builtInPrompts.summary.version}`;
+
+      const before = await analyze();
+      expect(before.body.promptVersions.summary).toBe(builtInId);
+
+      const created = await request(app)
+        .post('/api/admin/prompts/summary')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          template: "Summarise this loop in two plain sentences.\n\nNarrative Loop: {{narrativeLoop}}\nSPIESS Map: {{spiessMap}}",
+          activate: true
+        })
+        .expect(201);
+
+      const pinnedId = created.body.version.versionId;
+      expect(pinnedId).not.toBe(builtInId);
+
+      const pinned = await analyze();
+      expect(pinned.body.promptVersions.summary).toBe(pinnedId);
+      expect(pinned.body.promptVersions.narrativeLoop).toBe(before.body.promptVersions.narrativeLoop);
+
+      // Pinning the built-in version again unpins the stored one
+      await request(app)
+        .put('/api/admin/prompts/summary/active')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ versionId: builtInId })
+        .expect(200);
+
+      const restored = await analyze();
+      expect(restored.body.promptVersions.summary).toBe(builtInId);
+    });
+
+    test('should record the pinned chat prompt for chat replies', async () => {
+      const { token, userId } = await signUp('test-prompt-chat@example.com');
+      await User.updateOne({ _id: userId }, { $set: { role: 'admin' } });
+
+      const created = await request(app)
+        .post('/api/admin/prompts/chat')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ template: 'Ask one short, kind question about what happened.', activate: true })
+        .expect(201);
+
+      const start = await request(app)
+        .post('/api/v1/chat/start')
+        .send({ storageOptIn: true })
+        .expect(201);
+
+      const reply = await request(app)
+        .post('/api/v1/chat/send')
+        .send({ sessionId: start.body.sessionId, message: "I had a bad day at work." })
+        .expect(200);
+
+      expect(reply.body.stage).toBe('chatting');
+      expect(reply.body.promptVersions.chat).toBe(created.body.version.versionId);
+
+      const stored = await Session.findOne({ sessionId: start.body.sessionId }).lean();
+      expect(stored.promptVersions.chat).toBe(created.body.version.versionId);
+    });
+
+    test('should reject template variables the stage does not supply', async () => {
+      const { token, userId } = await signUp('test-prompt-variables@example.com');
+      await User.updateOne({ _id: userId }, { $set: { role: 'admin' } });
+
+      const response = await request(app)
+        .post('/api/admin/prompts/summary')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ template: 'Summarise {{input}}' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('Test Case 30: Pending Sessions', () => {
+    const defaults = require('../services/llm/fixtures/default.json');
+    const answeredLoop = { ...defaults.stages.narrativeLoop[0].response, trigger: 'My manager snapped at me in front of the team' };
+    const fixtures = useFixtureProvider({
+      stages: {
+        clarificationCheck: [
+          { match: 'clarifying questions and answers', response: { missingFields: [] } },
+          { response: { missingFields: ['trigger', 'fear', 'outcome'] } }
+        ],
+        narrativeLoop: [{ match: 'a1: my manager snapped at me', response: answeredLoop }, ...defaults.stages.narrativeLoop]
+      }
+    });
+
+    const answers = [
+      "My manager snapped at me in front of the team",
+      "That everyone now thinks I'm incompetent",
+      "I expect to be left out of the next project"
+    ];
+
+    test('should keep the story while waiting for answers and analyse it merged with them', async () => {
+      const asked = await request(app)
+        .post('/api/v1/analyze')
+        .send({ input: "I had a bad day at work.", storageOptIn: true })
+        .expect(200);
+
+      expect(asked.body.stage).toBe('clarifying_questions');
+
+      const pending = await Session.findOne({ sessionId: asked.body.sessionId }).lean();
+      expect(pending.status).toBe('pending');
+      expect(pending.input).toBe("I had a bad day at work.");
+      expect(pending.expiresAt).toBeNull();
+
+      const answered = await request(app)
+        .post('/api/v1/answers')
+        .send({ sessionId: asked.body.sessionId, answers })
+        .expect(200);
+
+      expect(answered.body.stage).toBe('completed');
+      expect(answered.body.narrativeLoop.trigger).toBe(answeredLoop.trigger);
+      expect(fixtures.calls.filter(stage => stage === 'clarificationCheck')).toHaveLength(2);
+
+      const stored = await Session.findOne({ sessionId: asked.body.sessionId }).lean();
+      expect(stored.status).toBe('completed');
+      expect(stored.input).toBe("I had a bad day at work.");
+      expect(stored.clarifyingRounds[0].answers).toHaveLength(answers.length);
+    });
+
+    test('should drop the pending story once answered when storage is not opted in', async () => {
+      const asked = await request(app)
+        .post('/api/v1/analyze')
+        .send({ input: "I had a bad day at work." })
+        .expect(200);
+
+      const pending = await Session.findOne({ sessionId: asked.body.sessionId }).lean();
+      expect(pending.expiresAt).not.toBeNull();
+
+      await request(app)
+        .post('/api/v1/answers')
+        .send({ sessionId: asked.body.sessionId, answers })
+        .expect(200);
+
+      expect(await Session.findOne({ sessionId: asked.body.sessionId })).toBeNull();
+    });
+
+    test('should reject answers when no pending story is stored for the session', async () => {
+      const unknown = await request(app)
+        .post('/api/v1/answers')
+        .send({ sessionId: '507f1f77bcf86cd799439011', answers })
+        .expect(404);
+
+      expect(unknown.body.error.code).toBe('INVALID_SESSION');
+
+      const expired = await Session.create({
+        sessionId: new mongoose.Types.ObjectId(),
+        status: 'pending',
+        input: "I had a bad day at work.",
+        clarifyingRounds: [{ round: 1, questions: [{ field: 'trigger', question: 'What happened?' }] }],
+        expiresAt: new Date(Date.now() - 60 * 1000)
+      });
+
+      const response = await request(app)
+        .post('/api/v1/answers')
+        .send({ sessionId: expired.sessionId.toString(), answers })
+        .expect(410);
+
+      expect(response.body.error.code).toBe('INVALID_SESSION');
+      expect(fixtures.calls).toHaveLength(0);
+    });
+
+    test("should only accept answers from the pending session's owner", async () => {
+      const owner = await signUp('test-pending-owner@example.com');
+      const other = await signUp('test-pending-other@example.com');
+
+      const asked = await request(app)
+        .post('/api/v1/analyze')
+        .set('Authorization', `Bearer ${owner.token}`)
+        .send({ input: "I had a bad day at work.", storageOptIn: true })
+        .expect(200);
+
+      const anonymous = await request(app)
+        .post('/api/v1/answers')
+        .send({ sessionId: asked.body.sessionId, answers })
+        .expect(403);
+
+      expect(anonymous.body.error.code).toBe('INVALID_SESSION');
+
+      await request(app)
+        .post('/api/v1/answers')
+        .set('Authorization', `Bearer ${other.token}`)
+        .send({ sessionId: asked.body.sessionId, answers })
+        .expect(403);
+
+      expect(fixtures.calls).not.toContain('narrativeLoop');
+
+      const answered = await request(app)
+        .post('/api/v1/answers')
+        .set('Authorization', `Bearer ${owner.token}`)
+        .send({ sessionId: asked.body.sessionId, answers })
+        .expect(200);
+
+      expect(answered.body.narrativeLoop.trigger).toBe(answeredLoop.trigger);
+    });
+  });
+
+  describe('Test Case 31: Multi-round Clarifying Questions', () => {
+    const defaults = require('../services/llm/fixtures/default.json');
+    const answeredLoop = { ...defaults.stages.narrativeLoop[0].response, outcome: 'Expecting to be left out of the next project' };
+    const fixtures = useFixtureProvider({
+      stages: {
+        // The first round's answers still leave the outcome open
+        clarificationCheck: [
+          { match: 'clarifying questions and answers', response: { missingFields: ['outcome'] } },
+          { response: { missingFields: ['trigger', 'fear', 'outcome'] } }
+        ],
+        narrativeLoop: [{ match: 'a3: i expect to be left out', response: answeredLoop }, ...defaults.stages.narrativeLoop]
+      }
+    });
+
+    test('should ask about what is still missing, then analyse every round of answers', async () => {
+      const asked = await request(app)
+        .post('/api/v1/analyze')
+        .send({ input: "I had a bad day at work.", storageOptIn: true })
+        .expect(200);
+
+      expect(asked.body.round).toBe(1);
+
+      const secondRound = await request(app)
+        .post('/api/v1/answers')
+        .send({
+          sessionId: asked.body.sessionId,
+          answers: [
+            "My manager snapped at me in front of the team",
+            "That everyone now thinks I'm incompetent",
+            ""
+          ]
+        })
+        .expect(200);
+
+      expect(secondRound.body.stage).toBe('clarifying_questions');
+      expect(secondRound.body.round).toBe(2);
+      expect(secondRound.body.missingFields).toEqual(['outcome']);
+      expect(secondRound.body.resolvedFields).toEqual(expect.arrayContaining(['trigger', 'fear']));
+      secondRound.body.questions.forEach(q => expect(q.field).toBe('outcome'));
+
+      const answered = await request(app)
+        .post('/api/v1/answers')
+        .send({
+          sessionId: asked.body.sessionId,
+          answers: ["I expect to be left out of the next project"]
+        })
+        .expect(200);
+
+      // The round limit is reached, so the answers go straight to analysis
+      expect(answered.body.stage).toBe('completed');
+      expect(answered.body.round).toBe(answered.body.maxRounds);
+      expect(answered.body.narrativeLoop.outcome).toBe(answeredLoop.outcome);
+      expect(fixtures.calls.filter(stage => stage === 'clarificationCheck')).toHaveLength(2);
+
+      const stored = await Session.findOne({ sessionId: asked.body.sessionId }).lean();
+      expect(stored.clarifyingRounds.map(r => r.round)).toEqual([1, 2]);
+    });
+  });
+
+  describe('Test Case 32: Response Cache', () => {
+    const fixtures = useFixtureProvider();
+    const input = "My manager ignored my email again and I am worried I am about to be fired.";
+
+    test('should serve a repeated analysis from the cache without calling the model', async () => {
+      const first = await request(app)
+        .post('/api/v1/analyze')
+        .send({ input })
+        .expect(200);
+
+      const modelCalls = fixtures.calls.length;
+      expect(modelCalls).toBeGreaterThan(0);
+
+      const second = await request(app)
+        .post('/api/v1/analyze')
+        .send({ input })
+        .expect(200);
+
+      expect(fixtures.calls).toHaveLength(modelCalls);
+      expect(second.body.narrativeLoop).toEqual(first.body.narrativeLoop);
+      expect(second.body.summary).toEqual(first.body.summary);
+
+      const loopBuilt = await Analytics.findOne({ sessionId: second.body.sessionId, eventName: 'loop_built' }).lean();
+      expect(loopBuilt.eventData.cached).toBe(true);
+    });
+
+    test('should call the model again when the client opts out of the cache', async () => {
+      await request(app)
+        .post('/api/v1/analyze')
+        .send({ input })
+        .expect(200);
+
+      const modelCalls = fixtures.calls.length;
+
+      await request(app)
+        .post('/api/v1/analyze')
+        .send({ input, cache: false })
+        .expect(200);
+
+      expect(fixtures.calls).toHaveLength(modelCalls * 2);
+
+      await request(app)
+        .post('/api/v1/analyze')
+        .set('Cache-Control', 'no-cache')
+        .send({ input })
+        .expect(200);
+
+      expect(fixtures.calls).toHaveLength(modelCalls * 3);
+    });
+  });
+
+  describe('Test Case 33: Provider Resilience', () => {
+    const input = "My manager ignored my email again and I am worried I am about to be fired.";
+    const upstreamDown = () => new LlmError('LLM upstream error (503)', { code: 'LLM_UPSTREAM_ERROR', retryable: true, status: 503 });
+
+    describe('circuit breaker', () => {
+      const fixtures = useFixtureProvider({ resilience: { circuitFailureThreshold: 2, circuitResetMs: 60000 } });
+
+      test('should open the circuit after repeated failures and stop calling the provider', async () => {
+        fixtures.failWith = upstreamDown();
+
+        // The clarification check and the narrative loop fail, which opens the circuit
+        const first = await request(app)
+          .post('/api/v1/analyze')
+          .send({ input, cache: false })
+          .expect(200);
+
+        expect(fixtures.calls).toEqual(['clarificationCheck', 'narrativeLoop']);
+        expect(analysisService.provider.getCircuitState()).toBe('open');
+        expect(first.body.mode).toBe('offline');
+        expect(first.body.offlineReason).toBe('LLM_UPSTREAM_ERROR');
+
+        // While open, calls fail fast without reaching the provider
+        const second = await request(app)
+          .post('/api/v1/analyze')
+          .send({ input, cache: false })
+          .expect(200);
+
+        expect(fixtures.calls).toHaveLength(2);
+        expect(second.body.mode).toBe('offline');
+        expect(second.body.offlineReason).toBe('LLM_CIRCUIT_OPEN');
+      });
+    });
+
+    describe('retries', () => {
+      const fixtures = useFixtureProvider({ resilience: { maxRetries: 2, retryBaseDelayMs: 1, retryMaxDelayMs: 1 } });
+
+      test('should retry a retryable failure before giving up on the call', async () => {
+        fixtures.failWith = upstreamDown();
+
+        await request(app)
+          .post('/api/v1/analyze')
+          .send({ input, cache: false })
+          .expect(200);
+
+        // Each call is tried once and retried twice
+        expect(fixtures.calls.filter(stage => stage === 'clarificationCheck')).toHaveLength(3);
+        expect(fixtures.calls.filter(stage => stage === 'narrativeLoop')).toHaveLength(3);
+        expect(analysisService.provider.getCircuitState()).toBe('closed');
+      });
+    });
+  });
+
+  describe('Test Case 34: Mechanism Tags', () => {
+    const defaults = require('../services/llm/fixtures/default.json');
+    const input = "My manager went through my test results in front of the team and I'm afraid they will reject me.";
+
+    describe('keyword fallback', () => {
+      const testLoop = {
+        ...defaults.stages.narrativeLoop[0].response,
+        trigger: 'My manager went through my test results in front of the team',
+        fear: 'That the team will reject me',
+        hiddenLogic: 'If I stay quiet, nobody can judge me',
+        mechanisms: ['rejection sensitivity', 'mind reading']
+      };
+      useFixtureProvider({
+        stages: {
+          narrativeLoop: [{ response: testLoop }],
+          spiessMap: [{ response: { ...defaults.stages.spiessMap[0].response, needs: ['control', 'safety'] } }],
+          tags: [{ response: 'These look like rejection and control.' }],
+          jsonFix: [{ response: 'Still not JSON.' }]
+        }
+      });
+
+      test('should not tag the control need or a mention of a test', async () => {
+        const response = await request(app)
+          .post('/api/v1/analyze')
+          .send({ input, cache: false })
+          .expect(200);
+
+        expect(response.body.tagSource).toBe('heuristic');
+        expect(response.body.tags).toEqual(['fear_of_rejection']);
+      });
+    });
+
+    describe('confidence threshold', () => {
+      useFixtureProvider();
+
+      test('should drop tags the classifier is not confident about', async () => {
+        const response = await request(app)
+          .post('/api/v1/analyze')
+          .send({ input, cache: false })
+          .expect(200);
+
+        expect(response.body.tagSource).toBe('model');
+        expect(response.body.tags).toEqual(['fear_of_rejection', 'perfectionism']);
+      });
+
+      test('should keep every classified tag when the threshold is set to 0', async () => {
+        const configured = process.env.TAG_CONFIDENCE_THRESHOLD;
+        let service;
+        process.env.TAG_CONFIDENCE_THRESHOLD = '0';
+        try {
+          // The threshold is read when the service module loads
+          jest.isolateModules(() => {
+            service = require('../services/analysisService');
+          });
+        } finally {
+          if (configured === undefined) delete process.env.TAG_CONFIDENCE_THRESHOLD;
+          else process.env.TAG_CONFIDENCE_THRESHOLD = configured;
+        }
+        service.renderPrompt = async () => 'Classify the mechanisms';
+        service.completeStructured = async () => ({ ok: true, data: defaults.stages.tags[0].response });
+
+        const tags = await service.classifyTags(defaults.stages.narrativeLoop[0].response, defaults.stages.spiessMap[0].response);
+
+        expect(tags.map(t => t.tag)).toEqual(['fear_of_rejection', 'perfectionism', 'attention_testing']);
+      });
+    });
+  });
+
   describe('Performance Tests', () => {
     test('should process 1000-character input within performance limits', async () => {
       const longInput = "I had a really difficult day at work today. ".repeat(25); // ~1000 characters